@@ -0,0 +1,100 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Decision audit log - one JSON record per line, append-only
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || 'audit_log.jsonl';
+
+function appendAuditRecord(record, file = AUDIT_LOG_FILE) {
+  try {
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('Error writing audit record:', error);
+  }
+}
+
+// A date-only bound such as 2025-07-12 means local midnight for `from` and the
+// end of that day for `to`. Returns null when no bound was given, undefined when invalid.
+function parseDateBound(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isDateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// query: { mint, from, to, reason, action } - every field is optional.
+// `reason` matches the rejecting rule/check name exactly, or appears in the reason text.
+function matchesAuditQuery(record, query) {
+  if (query.mint && record.mint !== query.mint) {
+    return false;
+  }
+  
+  const timestamp = new Date(record.timestamp);
+  if (query.from && timestamp < query.from) {
+    return false;
+  }
+  if (query.to && timestamp > query.to) {
+    return false;
+  }
+  
+  if (query.action && record.action !== query.action) {
+    return false;
+  }
+  
+  if (query.reason) {
+    const rejection = record.rejection;
+    if (!rejection) {
+      return false;
+    }
+    const needle = query.reason.toLowerCase();
+    const ruleMatches = (rejection.rule || '').toLowerCase() === needle;
+    const textMatches = (rejection.reason || '').toLowerCase().includes(needle);
+    if (!ruleMatches && !textMatches) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+// Streams the log so large files don't have to fit in memory
+async function readAuditRecords(query = {}, onRecord, file = AUDIT_LOG_FILE) {
+  if (!fs.existsSync(file)) {
+    return { success: false, error: `${file} does not exist` };
+  }
+  
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let lineNumber = 0;
+  let matched = 0;
+  
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      console.error(`Skipping malformed audit record on line ${lineNumber}: ${error.message}`);
+      continue;
+    }
+    
+    if (matchesAuditQuery(record, query)) {
+      matched++;
+      onRecord(record);
+    }
+  }
+  
+  return { success: true, matched };
+}
+
+module.exports = {
+  AUDIT_LOG_FILE,
+  appendAuditRecord,
+  parseDateBound,
+  matchesAuditQuery,
+  readAuditRecords
+};
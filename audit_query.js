@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+const { AUDIT_LOG_FILE, parseDateBound, readAuditRecords } = require('./audit_log');
+
+const USAGE = `Usage: node audit_query.js [options]
+
+Options:
+  --mint <address>     Only records for this token mint
+  --from <date>        Only records at or after this date/time (e.g. 2025-07-12 or 2025-07-12T14:00)
+  --to <date>          Only records at or before this date/time (a plain date includes the whole day)
+  --reason <text>      Only rejections by this rule/check name (e.g. liquidity, honeypot) or containing this text
+  --action <action>    Only records with this final action (e.g. sniped, rejected_filters, rejected_safety)
+  --file <path>        Audit log to read (default: ${AUDIT_LOG_FILE})
+  --limit <n>          Show at most the last n matching records
+  --json               Print matching records as JSON lines
+  --help               Show this help`;
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json' || arg === '--help') {
+      options[arg.slice(2)] = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const [key, inlineValue] = arg.slice(2).split('=', 2);
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+function formatRecord(record) {
+  const symbol = record.snapshot?.symbol || '?';
+  const when = new Date(record.timestamp).toLocaleString();
+  let line = `${when}  ${symbol.padEnd(10)} ${record.mint}  ${record.action}`;
+  if (record.rejection) {
+    line += `  [${record.rejection.stage}/${record.rejection.rule}] ${record.rejection.reason || ''}`;
+  }
+  if (record.quote) {
+    line += `  quote out=${record.quote.outAmount} impact=${record.quote.priceImpact}%`;
+  }
+  if (record.transaction) {
+    line += `  tx=${record.transaction}`;
+  }
+  return line;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  const query = {
+    mint: options.mint,
+    from: parseDateBound(options.from, false),
+    to: parseDateBound(options.to, true),
+    reason: options.reason,
+    action: options.action
+  };
+  
+  if (query.from === undefined || query.to === undefined) {
+    console.error('❌ Could not parse --from/--to date');
+    process.exit(1);
+  }
+  
+  const limit = options.limit ? parseInt(options.limit) : null;
+  if (options.limit && (!Number.isInteger(limit) || limit <= 0)) {
+    console.error('❌ --limit must be a positive integer');
+    process.exit(1);
+  }
+  
+  // Keep only the tail when a limit is given, and tally what matched
+  const matches = [];
+  const actionCounts = {};
+  const rejectionCounts = {};
+  const result = await readAuditRecords(query, record => {
+    matches.push(record);
+    if (limit && matches.length > limit) {
+      matches.shift();
+    }
+    actionCounts[record.action] = (actionCounts[record.action] || 0) + 1;
+    if (record.rejection) {
+      const key = `${record.rejection.stage}/${record.rejection.rule}`;
+      rejectionCounts[key] = (rejectionCounts[key] || 0) + 1;
+    }
+  }, options.file || AUDIT_LOG_FILE);
+  
+  if (!result.success) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+  
+  if (options.json) {
+    matches.forEach(record => console.log(JSON.stringify(record)));
+    return;
+  }
+  
+  matches.forEach(record => console.log(formatRecord(record)));
+  
+  console.log(`\n📊 ${result.matched} matching record(s)${limit && result.matched > limit ? `, showing last ${limit}` : ''}`);
+  Object.entries(actionCounts).sort((a, b) => b[1] - a[1]).forEach(([action, count]) => {
+    console.log(`   ${action}: ${count}`);
+  });
+  const rejections = Object.entries(rejectionCounts).sort((a, b) => b[1] - a[1]);
+  if (rejections.length > 0) {
+    console.log(`\n🚫 Rejections:`);
+    rejections.forEach(([key, count]) => console.log(`   ${key}: ${count}`));
+  }
+}
+
+main().catch(console.error);
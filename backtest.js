@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { STRATEGY_CONFIG_FILE } = require('./strategy_config');
+
+const USAGE = `Usage: node backtest.js <recording.jsonl> [options]
+
+Replays a market recording (made with: node sniper_birdeye.js --record) once per
+strategy profile and compares the simulated results.
+
+Options:
+  --profiles <a,b,...>  Profiles to compare (default: every profile in ${STRATEGY_CONFIG_FILE},
+                        plus "default" for the base settings when no defaultProfile is set)
+  --bankroll <amount>   Starting balance for each run, in the quote asset (default: 100)
+  --out <path>          Write every profile's full report to this JSON file
+  --verbose             Show each replay's full bot output
+  --help                Show this help`;
+
+function parseArgs(argv) {
+  const options = { recording: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verbose' || arg === '--help') {
+      options[arg.slice(2)] = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      if (options.recording) {
+        throw new Error(`Unexpected argument: ${arg}`);
+      }
+      options.recording = arg;
+      continue;
+    }
+    const [key, inlineValue] = arg.slice(2).split('=', 2);
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+function listProfiles() {
+  const rawConfig = JSON.parse(fs.readFileSync(STRATEGY_CONFIG_FILE, 'utf8'));
+  const profiles = Object.keys(rawConfig.profiles || {});
+  return rawConfig.defaultProfile ? profiles : ['default', ...profiles];
+}
+
+// Each profile replays in its own process so strategy state never leaks between runs
+function replayProfile(recording, profile, options) {
+  const reportFile = path.join(os.tmpdir(), `backtest-${process.pid}-${profile}.json`);
+  const args = ['--replay', recording, '--report-file', reportFile];
+  if (profile !== 'default') {
+    args.push('--profile', profile);
+  }
+  if (options.bankroll) {
+    args.push('--bankroll', options.bankroll);
+  }
+  
+  const env = { ...process.env };
+  delete env.STRATEGY_PROFILE;
+  
+  return new Promise(resolve => {
+    const child = fork(path.join(__dirname, 'sniper_birdeye.js'), args, {
+      env,
+      stdio: options.verbose ? 'inherit' : ['ignore', 'ignore', 'pipe', 'ipc']
+    });
+    
+    let stderr = '';
+    if (child.stderr) {
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+    }
+    
+    child.on('exit', code => {
+      if (code !== 0 || !fs.existsSync(reportFile)) {
+        resolve({ success: false, profile, error: stderr.trim().split('\n').slice(-3).join(' ') || `exited with code ${code}` });
+        return;
+      }
+      const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+      fs.unlinkSync(reportFile);
+      resolve({ success: true, profile, report });
+    });
+  });
+}
+
+function formatUsd(value) {
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+function printComparison(results) {
+  const header = ['Profile', 'Buys', 'Sells', 'Open', 'Hit rate', 'Invested', 'Realized', 'Open value', 'P&L', 'P&L %'];
+  const rows = results.filter(result => result.success).map(({ report }) => [
+    report.profile,
+    String(report.buys),
+    String(report.sells),
+    String(report.openPositions),
+    `${report.hitRate.toFixed(1)}%`,
+    formatUsd(report.investedUsd),
+    formatUsd(report.realizedUsd),
+    formatUsd(report.openValueUsd),
+    formatUsd(report.pnlUsd),
+    `${report.pnlPercent.toFixed(2)}%`
+  ]);
+  
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ');
+  
+  console.log(formatRow(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(formatRow(row)));
+  
+  results.filter(result => !result.success).forEach(result => {
+    console.log(`❌ ${result.profile}: ${result.error}`);
+  });
+  
+  const synthesized = results.filter(result => result.success && result.report.synthesizedQuotes > 0);
+  if (synthesized.length > 0) {
+    console.log(`\n⚠️ Some quotes were not in the recording and were priced from recorded token prices (no price impact):`);
+    synthesized.forEach(({ report }) => console.log(`   ${report.profile}: ${report.synthesizedQuotes}`));
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  if (!options.recording) {
+    console.error(`❌ Missing recording file\n\n${USAGE}`);
+    process.exit(1);
+  }
+  
+  if (!fs.existsSync(options.recording)) {
+    console.error(`❌ ${options.recording} does not exist`);
+    process.exit(1);
+  }
+  
+  const profiles = options.profiles ? options.profiles.split(',').map(name => name.trim()).filter(Boolean) : listProfiles();
+  
+  // Replays run one after another - each one is a full pass over the recording
+  const results = [];
+  for (const profile of profiles) {
+    console.log(`📼 Replaying ${options.recording} with profile ${profile}...`);
+    results.push(await replayProfile(options.recording, profile, options));
+  }
+  
+  console.log('');
+  printComparison(results);
+  
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(results.map(result => result.success ? result.report : result), null, 2));
+    console.log(`\n📝 Full reports written to ${options.out}`);
+  }
+}
+
+main().catch(console.error);
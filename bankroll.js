@@ -0,0 +1,95 @@
+// Bankroll and exposure limits, consulted before every buy.
+//
+// Limits come from the `bankroll` section of strategy.json and are all optional:
+//   { positionSizePercent, maxOpenPositions, maxAtRiskUsd, maxDailySpendUsd, maxDailyLossUsd, maxTokenSharePercent }
+// Everything is measured in USD, whatever the quote asset. "At risk" is the USD cost basis of the
+// tokens still held: a position that has sold half its tokens has half its cost at risk. Days
+// run from local midnight.
+
+// Limits can be null so a profile can switch off one the base settings turn on
+function isSet(limit) {
+  return limit !== undefined && limit !== null;
+}
+
+function isOpen(position) {
+  return position.status !== 'closed' && parseFloat(position.tokensReceived) > 0;
+}
+
+// Share of the original buy still held, for positions that have taken partial exits
+function heldFraction(position) {
+  const initialTokens = parseFloat(position.initialTokens ?? position.tokensReceived);
+  return initialTokens > 0 ? Math.min(parseFloat(position.tokensReceived) / initialTokens, 1) : 0;
+}
+
+function atRiskUsd(position) {
+  return isOpen(position) ? position.costUsd * heldFraction(position) : 0;
+}
+
+// Proceeds less the cost of the tokens sold
+function realizedPnl(position, sale) {
+  const initialTokens = parseFloat(position.initialTokens ?? position.tokensReceived);
+  const cost = initialTokens > 0 ? position.costUsd * sale.tokensSold / initialTokens : 0;
+  return sale.proceedsUsd - cost;
+}
+
+function startOfDay(now) {
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+}
+
+// The fixed `amount`, or positionSizePercent of the available balance, in the quote asset's units
+function sizePosition(amount, balance, limits = {}) {
+  if (!limits.positionSizePercent) {
+    return amount;
+  }
+  return balance * limits.positionSizePercent / 100;
+}
+
+// buy: { mint, costUsd, balanceUsd, now } - balanceUsd is the quote asset available before this buy
+// Returns { allowed: true, exposure } or { allowed: false, limit, reason, exposure }
+function checkExposureLimits(portfolio, buy, limits = {}) {
+  const positions = portfolio.tokens || [];
+  const dayStart = startOfDay(buy.now);
+  const boughtToday = position => new Date(position.snipedAt).getTime() >= dayStart;
+  const soldToday = sale => new Date(sale.soldAt).getTime() >= dayStart;
+  
+  const exposure = {
+    openPositions: positions.filter(isOpen).length,
+    atRiskUsd: positions.reduce((sum, position) => sum + atRiskUsd(position), 0),
+    spentTodayUsd: positions.filter(boughtToday).reduce((sum, position) => sum + position.costUsd, 0),
+    realizedTodayUsd: positions.reduce((sum, position) => sum + (position.sales || [])
+      .filter(soldToday)
+      .reduce((positionSum, sale) => positionSum + realizedPnl(position, sale), 0), 0),
+    tokenAtRiskUsd: positions.filter(position => position.mint === buy.mint).reduce((sum, position) => sum + atRiskUsd(position), 0)
+  };
+  const block = (limit, reason) => ({ allowed: false, limit, reason, exposure });
+  
+  if (isSet(limits.maxOpenPositions) && exposure.openPositions >= limits.maxOpenPositions) {
+    return block('maxOpenPositions', `${exposure.openPositions} positions open (max ${limits.maxOpenPositions})`);
+  }
+  if (isSet(limits.maxAtRiskUsd) && exposure.atRiskUsd + buy.costUsd > limits.maxAtRiskUsd) {
+    return block('maxAtRiskUsd', `$${(exposure.atRiskUsd + buy.costUsd).toFixed(2)} would be at risk (max $${limits.maxAtRiskUsd})`);
+  }
+  if (isSet(limits.maxDailySpendUsd) && exposure.spentTodayUsd + buy.costUsd > limits.maxDailySpendUsd) {
+    return block('maxDailySpendUsd', `$${(exposure.spentTodayUsd + buy.costUsd).toFixed(2)} would be spent today (max $${limits.maxDailySpendUsd})`);
+  }
+  if (isSet(limits.maxDailyLossUsd) && -exposure.realizedTodayUsd >= limits.maxDailyLossUsd) {
+    return block('maxDailyLossUsd', `$${(-exposure.realizedTodayUsd).toFixed(2)} realized loss today (max $${limits.maxDailyLossUsd})`);
+  }
+  if (isSet(limits.maxTokenSharePercent)) {
+    // Share of the whole bankroll: what is available plus what is already at risk
+    const bankroll = buy.balanceUsd + exposure.atRiskUsd;
+    const share = bankroll > 0 ? (exposure.tokenAtRiskUsd + buy.costUsd) / bankroll * 100 : 100;
+    if (share > limits.maxTokenSharePercent) {
+      return block('maxTokenSharePercent', `Token would be ${share.toFixed(1)}% of the bankroll (max ${limits.maxTokenSharePercent}%)`);
+    }
+  }
+  
+  return { allowed: true, exposure };
+}
+
+module.exports = {
+  sizePosition,
+  checkExposureLimits
+};
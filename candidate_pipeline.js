@@ -0,0 +1,160 @@
+// Candidate queue, worker pool and cycle scheduler for token discovery.
+//
+// Tokens that pass the filters are queued with a score instead of being processed on the spot.
+// Each cycle takes the best-scoring candidates and runs their safety checks in parallel; the rest
+// wait for a later cycle. A queued token seen again is refreshed with the new snapshot and
+// re-scored. The score is a weighted average of three components, each from 0 to 1:
+//   freshness         - 1 for a trade just now, falling to 0 at `windowMinutes` since the last trade
+//   liquidity         - liquidity / target, capped at 1
+//   volumeToMarketCap - (24h volume / market cap) / target, capped at 1
+// scaled to 0-100. A weight of 0 leaves a component out.
+const DEFAULT_SCORING = {
+  freshness: { weight: 1, windowMinutes: 60 },
+  liquidity: { weight: 1, target: 50000 },
+  volumeToMarketCap: { weight: 1, target: 1 }
+};
+
+function capped(value) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : 0;
+}
+
+// Returns { score, components } for a token list entry
+function scoreCandidate(token, scoring = {}, now = Date.now()) {
+  const settings = {
+    freshness: { ...DEFAULT_SCORING.freshness, ...scoring.freshness },
+    liquidity: { ...DEFAULT_SCORING.liquidity, ...scoring.liquidity },
+    volumeToMarketCap: { ...DEFAULT_SCORING.volumeToMarketCap, ...scoring.volumeToMarketCap }
+  };
+  const ageMinutes = (now - (token.lastTradeUnixTime || 0) * 1000) / (60 * 1000);
+  const components = {
+    freshness: capped(1 - ageMinutes / settings.freshness.windowMinutes),
+    liquidity: capped((token.liquidity || 0) / settings.liquidity.target),
+    volumeToMarketCap: capped(token.mc > 0 ? (token.v24hUSD || 0) / token.mc / settings.volumeToMarketCap.target : 0)
+  };
+  
+  const totalWeight = Object.keys(components).reduce((total, name) => total + settings[name].weight, 0);
+  const weighted = Object.entries(components).reduce((total, [name, value]) => total + value * settings[name].weight, 0);
+  return { score: totalWeight > 0 ? weighted / totalWeight * 100 : 0, components };
+}
+
+// Queued candidates by mint: { token, verdict, score, components, queuedAt, seenAt }
+function createCandidateQueue() {
+  const candidates = new Map();
+  
+  function ranked() {
+    return [...candidates.values()].sort((a, b) => b.score - a.score || a.queuedAt - b.queuedAt);
+  }
+  
+  // Adds a candidate, or refreshes a queued one with a newer snapshot (it keeps its place in time)
+  function upsert(token, verdict, { score, components }, now) {
+    const queued = candidates.get(token.address);
+    candidates.set(token.address, {
+      token,
+      verdict,
+      score,
+      components,
+      queuedAt: queued ? queued.queuedAt : now,
+      seenAt: now
+    });
+  }
+  
+  // Removes and returns the `count` best candidates
+  function take(count) {
+    const batch = ranked().slice(0, count);
+    batch.forEach(candidate => candidates.delete(candidate.token.address));
+    return batch;
+  }
+  
+  // Removes and returns candidates that waited longer than maxWaitMs, then the lowest-scoring
+  // ones beyond maxSize: { stale, overflow }
+  function evict({ now, maxWaitMs, maxSize }) {
+    const stale = [...candidates.values()].filter(candidate => now - candidate.queuedAt > maxWaitMs);
+    stale.forEach(candidate => candidates.delete(candidate.token.address));
+    const overflow = ranked().slice(maxSize);
+    overflow.forEach(candidate => candidates.delete(candidate.token.address));
+    return { stale, overflow };
+  }
+  
+  return {
+    has: mint => candidates.has(mint),
+    remove: mint => candidates.delete(mint),
+    upsert,
+    take,
+    evict,
+    get size() {
+      return candidates.size;
+    }
+  };
+}
+
+// Runs worker(item) over items with at most `concurrency` running at once, starting them in
+// order. Resolves with the results in item order once every worker has finished.
+async function runWorkerPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function runLane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+  
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, runLane));
+  return results;
+}
+
+// Runs tasks one at a time in the order they were submitted, whoever submits them
+function createSerialLane() {
+  let tail = Promise.resolve();
+  return {
+    run(task) {
+      const result = tail.then(task);
+      tail = result.catch(() => {});
+      return result;
+    }
+  };
+}
+
+// Runs task() repeatedly, waiting interval() ms between the end of one run and the start of the
+// next, so a slow run delays the next one instead of overlapping it. Calling start() again picks
+// up a new interval; while a run is in progress it applies once that run has finished.
+function createCycleScheduler(task, interval) {
+  let timer = null;
+  let running = false;
+  
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(tick, interval());
+  }
+  
+  async function tick() {
+    timer = null;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      // An escaped error must not end the cycles - the next run is still scheduled
+      console.error('Error in scheduled cycle:', error);
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+  
+  return {
+    start() {
+      if (!running) {
+        schedule();
+      }
+    }
+  };
+}
+
+module.exports = {
+  scoreCandidate,
+  createCandidateQueue,
+  runWorkerPool,
+  createSerialLane,
+  createCycleScheduler
+};
@@ -0,0 +1,140 @@
+const bs58 = require('bs58');
+const { PublicKey } = require('@solana/web3.js');
+const { Liquidity, MAINNET_PROGRAM_ID, TOKEN_PROGRAM_ID } = require('@raydium-io/raydium-sdk');
+
+// Holder distribution analysis.
+//
+// A holder snapshot is { supply, largestAccounts: [{ address, owner, amount }], holders, holderCountError }
+// with raw amounts as strings. `largestAccounts` are the mint's biggest token accounts
+// (largest first), from getTokenLargestAccounts. `holders` counts the distinct owners with a
+// non-zero balance; counting them means a getProgramAccounts scan of the token program, which
+// most RPCs refuse or throttle, so it only runs when asked for. Otherwise, or when the RPC
+// refuses the scan, `holders` is null (with the reason in `holderCountError`) and only the
+// concentration limits apply.
+// Accounts held by pool/LP vault authorities or burn addresses are not holders: they are
+// left out of the counts and of the circulating supply the percentages are taken from.
+const BURN_ADDRESSES = [
+  '1nc1nerator11111111111111111111111111111111',
+  '11111111111111111111111111111111'
+];
+
+const EXCLUDED_OWNERS = {
+  [Liquidity.getAssociatedAuthority({ programId: MAINNET_PROGRAM_ID.AmmV4 }).publicKey.toBase58()]: 'Raydium AMM vault',
+  GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL: 'Raydium CPMM vault',
+  ...Object.fromEntries(BURN_ADDRESSES.map(address => [address, 'burn address']))
+};
+
+// Token account layout: mint (32 bytes), owner (32), amount (u64)
+const TOKEN_ACCOUNT_SIZE = 165;
+const OWNER_OFFSET = 32;
+const AMOUNT_OFFSET = 64;
+
+// Distinct owners with a non-zero balance, from a scan of every token account of the mint.
+// Owner and amount only. Token-2022 accounts vary in size, so only classic ones filter on it.
+async function countHolders(connection, tokenMint, tokenProgramId) {
+  const programId = new PublicKey(tokenProgramId);
+  const filters = [{ memcmp: { offset: 0, bytes: tokenMint } }];
+  if (programId.equals(TOKEN_PROGRAM_ID)) {
+    filters.push({ dataSize: TOKEN_ACCOUNT_SIZE });
+  }
+  const accounts = await connection.getProgramAccounts(programId, {
+    commitment: 'confirmed',
+    dataSlice: { offset: OWNER_OFFSET, length: AMOUNT_OFFSET + 8 - OWNER_OFFSET },
+    filters
+  });
+  
+  const owners = new Set();
+  accounts.forEach(({ account }) => {
+    if (account.data.readBigUInt64LE(AMOUNT_OFFSET - OWNER_OFFSET) > 0n) {
+      owners.add(bs58.encode(account.data.subarray(0, 32)));
+    }
+  });
+  return owners.size;
+}
+
+// options: { countHolders } - also scan for the holder count
+async function fetchHolderSnapshot(connection, tokenMint, tokenProgramId, supply, options = {}) {
+  const mint = new PublicKey(tokenMint);
+  const largest = await connection.getTokenLargestAccounts(mint, 'confirmed');
+  const accountInfos = await connection.getMultipleParsedAccounts(largest.value.map(account => account.address));
+  const snapshot = {
+    supply: String(supply),
+    largestAccounts: largest.value.map((account, index) => ({
+      address: account.address.toBase58(),
+      owner: accountInfos.value[index]?.data?.parsed?.info?.owner || null,
+      amount: account.amount
+    })),
+    holders: null,
+    holderCountError: null
+  };
+  
+  if (!options.countHolders) {
+    return { ...snapshot, holderCountError: 'holder count not enabled' };
+  }
+  try {
+    return { ...snapshot, holders: await countHolders(connection, tokenMint, tokenProgramId) };
+  } catch (error) {
+    return { ...snapshot, holderCountError: `RPC refused the holder scan (${error.message})` };
+  }
+}
+
+function toPercent(amount, total) {
+  return Number(amount * 10000n / total) / 100;
+}
+
+// limits: { maxTop1Percent, maxTop10Percent, minHolders, excludedOwners }. minHolders only applies
+// when the snapshot has a holder count.
+// Returns { passed, reason, details, holders, top1Percent, top10Percent, excluded }
+function analyzeHolderDistribution(snapshot, limits = {}) {
+  const excludedOwners = { ...EXCLUDED_OWNERS };
+  (limits.excludedOwners || []).forEach(owner => {
+    excludedOwners[owner] = excludedOwners[owner] || 'excluded owner';
+  });
+  
+  const holderAccounts = [];
+  const excluded = [];
+  snapshot.largestAccounts.forEach(account => {
+    const label = excludedOwners[account.owner] || excludedOwners[account.address];
+    if (label) {
+      excluded.push({ ...account, label });
+    } else if (BigInt(account.amount) > 0n) {
+      holderAccounts.push(account);
+    }
+  });
+  
+  const excludedAmount = excluded.reduce((sum, account) => sum + BigInt(account.amount), 0n);
+  const circulating = BigInt(snapshot.supply) - excludedAmount;
+  if (circulating <= 0n) {
+    return { passed: false, reason: 'Entire supply is in pools or burn addresses', excluded };
+  }
+  
+  const top10Amount = holderAccounts.slice(0, 10).reduce((sum, account) => sum + BigInt(account.amount), 0n);
+  const top1Percent = holderAccounts.length > 0 ? toPercent(BigInt(holderAccounts[0].amount), circulating) : 0;
+  const top10Percent = toPercent(top10Amount, circulating);
+  const excludedOwnerCount = new Set(excluded.map(account => account.owner).filter(Boolean)).size;
+  const holders = typeof snapshot.holders === 'number' ? Math.max(snapshot.holders - excludedOwnerCount, 0) : null;
+  
+  const excludedLabels = [...new Set(excluded.map(account => account.label))];
+  const details = `${holders !== null ? `${holders.toLocaleString()} holders, ` : ''}top 1 ${top1Percent.toFixed(2)}%, top 10 ${top10Percent.toFixed(2)}%` +
+    (excludedLabels.length > 0 ? ` (excluding ${excludedLabels.join(', ')})` : '');
+  const result = { details, holders, top1Percent, top10Percent, excluded };
+  
+  if (limits.maxTop1Percent !== undefined && top1Percent > limits.maxTop1Percent) {
+    return { passed: false, reason: `Top holder owns ${top1Percent.toFixed(2)}% (max ${limits.maxTop1Percent}%)`, ...result };
+  }
+  if (limits.maxTop10Percent !== undefined && top10Percent > limits.maxTop10Percent) {
+    return { passed: false, reason: `Top 10 holders own ${top10Percent.toFixed(2)}% (max ${limits.maxTop10Percent}%)`, ...result };
+  }
+  if (limits.minHolders !== undefined && holders !== null && holders < limits.minHolders) {
+    return { passed: false, reason: `Only ${holders} holders (min ${limits.minHolders})`, ...result };
+  }
+  
+  return { passed: true, ...result };
+}
+
+module.exports = {
+  BURN_ADDRESSES,
+  EXCLUDED_OWNERS,
+  fetchHolderSnapshot,
+  analyzeHolderDistribution
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+// Encrypted wallet keystore.
+//
+// The wallet's secret key is stored in KEYSTORE_FILE encrypted with AES-256-GCM, under a key
+// derived from a passphrase with scrypt. The public key is kept in the clear (and authenticated
+// with the ciphertext) so the wallet can be shown without unlocking it:
+//   { version, publicKey, crypto: { kdf, kdfParams: { salt, N, r, p }, cipher, iv, authTag, ciphertext }, createdAt }
+// The passphrase comes from KEYSTORE_PASSPHRASE, from a file descriptor named by
+// KEYSTORE_PASSPHRASE_FD (e.g. `KEYSTORE_PASSPHRASE_FD=3 node sniper_birdeye.js 3< passphrase.txt`),
+// or from a hidden prompt. A plaintext PRIVATE_KEY_BASE58 is only used with ALLOW_PLAINTEXT_KEY=true.
+const KEYSTORE_FILE = process.env.KEYSTORE_FILE || 'keystore.json';
+const KEYSTORE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost: 128 * N * r bytes of memory (32 MB) and a fraction of a second per unlock
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+function encryptKeypair(keypair, passphrase) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const publicKey = keypair.publicKey.toString();
+  
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  cipher.setAAD(Buffer.from(publicKey));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+  
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey,
+    crypto: {
+      kdf: 'scrypt',
+      kdfParams: { salt: salt.toString('hex'), ...SCRYPT_PARAMS },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex')
+    },
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Returns { success, keypair, error }
+function decryptKeypair(keystore, passphrase) {
+  const { kdfParams, iv, authTag, ciphertext } = keystore.crypto;
+  let secretKey;
+  try {
+    const key = deriveKey(passphrase, Buffer.from(kdfParams.salt, 'hex'), kdfParams);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+    decipher.setAAD(Buffer.from(keystore.publicKey));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch (error) {
+    return { success: false, error: 'Wrong passphrase or corrupted keystore' };
+  }
+  
+  const keypair = Keypair.fromSecretKey(secretKey);
+  if (keypair.publicKey.toString() !== keystore.publicKey) {
+    return { success: false, error: `Keystore holds the key for ${keypair.publicKey.toString()}, not ${keystore.publicKey}` };
+  }
+  return { success: true, keypair };
+}
+
+// Returns { success, keystore, error }
+function readKeystore(file = KEYSTORE_FILE) {
+  if (!fs.existsSync(file)) {
+    return { success: false, error: `${file} not found` };
+  }
+  try {
+    const keystore = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (keystore.version !== KEYSTORE_VERSION) {
+      return { success: false, error: `${file}: unsupported keystore version ${keystore.version}` };
+    }
+    if (keystore.crypto?.kdf !== 'scrypt' || keystore.crypto?.cipher !== 'aes-256-gcm') {
+      return { success: false, error: `${file}: unsupported kdf or cipher` };
+    }
+    return { success: true, keystore };
+  } catch (error) {
+    return { success: false, error: `${file}: ${error.message}` };
+  }
+}
+
+// Readable by the owner only, and written to a temporary file first so a failed write never
+// leaves a half-written keystore in place of a good one
+function writeKeystore(keystore, file = KEYSTORE_FILE) {
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, file);
+}
+
+// Returns { success, keypair, error }
+function parseSecretKey(base58) {
+  try {
+    return { success: true, keypair: Keypair.fromSecretKey(bs58.decode(base58.trim())) };
+  } catch (error) {
+    return { success: false, error: 'Not a valid base58 secret key' };
+  }
+}
+
+// Reads a line without echoing it. The prompt needs a terminal: use KEYSTORE_PASSPHRASE or
+// KEYSTORE_PASSPHRASE_FD when running without one.
+function promptHidden(prompt) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error('No terminal to prompt on - set KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FD'));
+      return;
+    }
+    const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+    const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+    process.stdout.write(prompt);
+    rl.question('', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// The passphrase for an existing keystore: KEYSTORE_PASSPHRASE, then KEYSTORE_PASSPHRASE_FD, then a prompt
+async function getPassphrase(prompt = 'Keystore passphrase: ', env = process.env) {
+  if (env.KEYSTORE_PASSPHRASE) {
+    return env.KEYSTORE_PASSPHRASE;
+  }
+  if (env.KEYSTORE_PASSPHRASE_FD) {
+    const fd = parseInt(env.KEYSTORE_PASSPHRASE_FD, 10);
+    if (!Number.isInteger(fd) || fd < 0) {
+      throw new Error(`KEYSTORE_PASSPHRASE_FD must be a file descriptor number, got ${env.KEYSTORE_PASSPHRASE_FD}`);
+    }
+    // Everything up to the first line break, so `echo` and files ending in a newline both work
+    return fs.readFileSync(fd, 'utf8').split(/\r?\n/)[0];
+  }
+  return promptHidden(prompt);
+}
+
+// A passphrase for a new or re-encrypted keystore: KEYSTORE_NEW_PASSPHRASE, or prompted twice
+async function getNewPassphrase(env = process.env) {
+  const passphrase = env.KEYSTORE_NEW_PASSPHRASE || await promptHidden('New keystore passphrase: ');
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  if (!env.KEYSTORE_NEW_PASSPHRASE && await promptHidden('Repeat passphrase: ') !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+// Where the bot's key comes from, checked at startup before anything is asked for.
+// Returns { success, source: { type: 'keystore' | 'plaintext', file, publicKey, keystore | keypair }, error }
+function findWalletSource(env = process.env) {
+  if (env.ALLOW_PLAINTEXT_KEY === 'true' && env.PRIVATE_KEY_BASE58) {
+    const parsed = parseSecretKey(env.PRIVATE_KEY_BASE58);
+    if (!parsed.success) {
+      return { success: false, error: `PRIVATE_KEY_BASE58: ${parsed.error}` };
+    }
+    return { success: true, source: { type: 'plaintext', file: null, publicKey: parsed.keypair.publicKey.toString(), keypair: parsed.keypair } };
+  }
+  
+  const file = env.KEYSTORE_FILE || KEYSTORE_FILE;
+  const result = readKeystore(file);
+  if (!result.success) {
+    const hint = env.PRIVATE_KEY_BASE58
+      ? 'PRIVATE_KEY_BASE58 is only used with ALLOW_PLAINTEXT_KEY=true - move it into a keystore with: node manage_keystore.js import --from-env'
+      : 'Create one with: node setup_bot.js (or node manage_keystore.js import)';
+    return { success: false, error: `No usable wallet keystore: ${result.error}. ${hint}` };
+  }
+  return { success: true, source: { type: 'keystore', file, publicKey: result.keystore.publicKey, keystore: result.keystore } };
+}
+
+// Unlocks a source from findWalletSource, asking for the passphrase when it is a keystore.
+// Returns { success, keypair, error }
+async function unlockWallet(source, env = process.env) {
+  if (source.type === 'plaintext') {
+    return { success: true, keypair: source.keypair };
+  }
+  try {
+    const passphrase = await getPassphrase(`Passphrase for ${source.file} (${source.publicKey}): `, env);
+    return decryptKeypair(source.keystore, passphrase);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  KEYSTORE_FILE,
+  MIN_PASSPHRASE_LENGTH,
+  encryptKeypair,
+  decryptKeypair,
+  readKeystore,
+  writeKeystore,
+  parseSecretKey,
+  promptHidden,
+  getPassphrase,
+  getNewPassphrase,
+  findWalletSource,
+  unlockWallet
+};
@@ -0,0 +1,133 @@
+const { PublicKey } = require('@solana/web3.js');
+const { LIQUIDITY_STATE_LAYOUT_V4 } = require('@raydium-io/raydium-sdk');
+const { QUOTE_MINTS } = require('./raydium_pools');
+const { BURN_ADDRESSES } = require('./holder_analysis');
+
+// Liquidity lock verification for a token's main Raydium AMM v4 pool.
+//
+// An LP snapshot is { pool, lpMint, lpReserve, lpSupply, largestAccounts: [{ address, owner, ownerProgram, amount }] }
+// with raw amounts as strings. LP burned through the token program shrinks the mint supply but
+// not the pool's lpReserve, so the difference counts as burned. LP held by a burn address, or by
+// an account that belongs to a locker program, counts as burned or locked too.
+const LOCKER_PROGRAMS = {
+  strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m: 'Streamflow',
+  LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE: 'Raydium LP lock'
+};
+
+// The main pool is the one holding the most of the token among its pools already known (from
+// the pool listener or earlier quotes). With none known, the SOL, USDC and USDT pairs are scanned
+// for in that order and the first pool found is used, so a token costs as few scans as possible.
+async function findMainPool(connection, raydiumSwap, tokenMint) {
+  const quoteMints = Object.keys(QUOTE_MINTS);
+  let poolIds = quoteMints.map(quoteMint => raydiumSwap.getKnownPool(tokenMint, quoteMint)).filter(Boolean);
+  if (poolIds.length === 0) {
+    for (const quoteMint of quoteMints) {
+      const poolId = await raydiumSwap.findPool(tokenMint, quoteMint);
+      if (poolId) {
+        poolIds = [poolId];
+        break;
+      }
+    }
+  }
+  if (poolIds.length === 0) {
+    return null;
+  }
+  
+  const poolAccounts = await connection.getMultipleAccountsInfo(poolIds.map(poolId => new PublicKey(poolId)));
+  const pools = poolAccounts
+    .map((account, index) => account && { id: poolIds[index], state: LIQUIDITY_STATE_LAYOUT_V4.decode(account.data) })
+    .filter(Boolean);
+  if (pools.length <= 1) {
+    return pools[0] || null;
+  }
+  
+  const tokenVaults = pools.map(({ state }) => state.baseMint.toBase58() === tokenMint ? state.baseVault : state.quoteVault);
+  const { value: vaults } = await connection.getMultipleParsedAccounts(tokenVaults);
+  const balances = vaults.map(vault => BigInt(vault?.data?.parsed?.info?.tokenAmount?.amount || 0));
+  const deepest = balances.reduce((best, balance, index) => balance > balances[best] ? index : best, 0);
+  return pools[deepest];
+}
+
+async function fetchLpSnapshot(connection, raydiumSwap, tokenMint) {
+  const pool = await findMainPool(connection, raydiumSwap, tokenMint);
+  if (!pool) {
+    return null;
+  }
+  
+  const lpMint = pool.state.lpMint;
+  const lpMintInfo = await connection.getParsedAccountInfo(lpMint);
+  const lpSupply = lpMintInfo.value?.data?.parsed?.info?.supply;
+  if (lpSupply === undefined) {
+    throw new Error(`LP mint ${lpMint.toBase58()} not found`);
+  }
+  
+  // Token account owners, then the programs those owners belong to (lockers hold LP in PDAs)
+  const largest = await connection.getTokenLargestAccounts(lpMint, 'confirmed');
+  const { value: tokenAccounts } = await connection.getMultipleParsedAccounts(largest.value.map(account => account.address));
+  const owners = tokenAccounts.map(account => account?.data?.parsed?.info?.owner || null);
+  const ownerAccounts = await connection.getMultipleAccountsInfo(owners.map(owner => new PublicKey(owner || PublicKey.default)));
+  
+  return {
+    pool: pool.id,
+    lpMint: lpMint.toBase58(),
+    lpReserve: pool.state.lpReserve.toString(),
+    lpSupply: String(lpSupply),
+    largestAccounts: largest.value.map((account, index) => ({
+      address: account.address.toBase58(),
+      owner: owners[index],
+      ownerProgram: owners[index] && ownerAccounts[index] ? ownerAccounts[index].owner.toBase58() : null,
+      amount: account.amount
+    }))
+  };
+}
+
+function toPercent(amount, total) {
+  return Number(amount * 10000n / total) / 100;
+}
+
+// limits: { maxUnlockedPercent, lockerPrograms }
+// Returns { passed, reason, details, pool, lpMint, lockedPercent, burnedPercent, unlockedPercent }
+function analyzeLiquidityLock(snapshot, limits = {}) {
+  const lockerPrograms = { ...LOCKER_PROGRAMS };
+  (limits.lockerPrograms || []).forEach(program => {
+    lockerPrograms[program] = lockerPrograms[program] || 'locker';
+  });
+  
+  const lpReserve = BigInt(snapshot.lpReserve);
+  const lpSupply = BigInt(snapshot.lpSupply);
+  const total = lpReserve > lpSupply ? lpReserve : lpSupply;
+  if (total === 0n) {
+    return { passed: false, reason: `Pool ${snapshot.pool} has no LP supply`, pool: snapshot.pool, lpMint: snapshot.lpMint };
+  }
+  
+  let burned = total - lpSupply;
+  let locked = 0n;
+  const lockers = new Set();
+  snapshot.largestAccounts.forEach(account => {
+    if (BURN_ADDRESSES.includes(account.owner)) {
+      burned += BigInt(account.amount);
+    } else if (lockerPrograms[account.ownerProgram]) {
+      locked += BigInt(account.amount);
+      lockers.add(lockerPrograms[account.ownerProgram]);
+    }
+  });
+  
+  const burnedPercent = toPercent(burned, total);
+  const lockedPercent = toPercent(burned + locked, total);
+  const unlockedPercent = Math.max(100 - lockedPercent, 0);
+  const details = `Pool ${snapshot.pool}: ${lockedPercent.toFixed(2)}% of LP burned or locked (${burnedPercent.toFixed(2)}% burned` +
+    (lockers.size > 0 ? `, ${(lockedPercent - burnedPercent).toFixed(2)}% in ${[...lockers].join(', ')})` : ')');
+  const result = { details, pool: snapshot.pool, lpMint: snapshot.lpMint, lockedPercent, burnedPercent, unlockedPercent };
+  
+  if (limits.maxUnlockedPercent !== undefined && unlockedPercent > limits.maxUnlockedPercent) {
+    return { passed: false, reason: `${unlockedPercent.toFixed(2)}% of LP in pool ${snapshot.pool} is unlocked (max ${limits.maxUnlockedPercent}%)`, ...result };
+  }
+  
+  return { passed: true, ...result };
+}
+
+module.exports = {
+  LOCKER_PROGRAMS,
+  fetchLpSnapshot,
+  analyzeLiquidityLock
+};
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+require('dotenv').config({ quiet: true });
+const bs58 = require('bs58');
+const fs = require('fs');
+const {
+  KEYSTORE_FILE,
+  encryptKeypair,
+  decryptKeypair,
+  readKeystore,
+  writeKeystore,
+  parseSecretKey,
+  promptHidden,
+  getPassphrase,
+  getNewPassphrase
+} = require('./keystore');
+
+const USAGE = `Usage: node manage_keystore.js <command> [options]
+
+Commands:
+  import               Encrypt a base58 private key into the keystore (prompted for, hidden)
+  export               Unlock the keystore and print the base58 private key
+  change-passphrase    Re-encrypt the keystore under a new passphrase
+
+Options:
+  --file <path>        Keystore to use (default: ${KEYSTORE_FILE})
+  --from-env           import: take the key from PRIVATE_KEY_BASE58 in .env instead of prompting
+  --force              import: replace an existing keystore
+  --help               Show this help
+
+The current passphrase is read from KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FD when set, otherwise
+prompted for. A new passphrase is read from KEYSTORE_NEW_PASSPHRASE, otherwise prompted for twice.`;
+
+function parseArgs(argv) {
+  const options = { command: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from-env' || arg === '--force' || arg === '--help') {
+      options[arg.slice(2)] = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      if (options.command) {
+        throw new Error(`Unexpected argument: ${arg}`);
+      }
+      options.command = arg;
+      continue;
+    }
+    const [key, inlineValue] = arg.slice(2).split('=', 2);
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${key}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+async function unlock(file) {
+  const result = readKeystore(file);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  const unlocked = decryptKeypair(result.keystore, await getPassphrase(`Passphrase for ${file}: `));
+  if (!unlocked.success) {
+    throw new Error(unlocked.error);
+  }
+  return unlocked.keypair;
+}
+
+async function importKey(file, options) {
+  if (fs.existsSync(file) && !options.force) {
+    throw new Error(`${file} already exists - use --force to replace it (export the old key first if you still need it)`);
+  }
+  const secretKey = options['from-env'] ? process.env.PRIVATE_KEY_BASE58 : await promptHidden('Wallet private key (base58): ');
+  if (!secretKey) {
+    throw new Error('No private key given' + (options['from-env'] ? ' (PRIVATE_KEY_BASE58 is not set)' : ''));
+  }
+  const parsed = parseSecretKey(secretKey);
+  if (!parsed.success) {
+    throw new Error(parsed.error);
+  }
+  
+  writeKeystore(encryptKeypair(parsed.keypair, await getNewPassphrase()), file);
+  console.log(`🔐 Wallet ${parsed.keypair.publicKey.toString()} saved to ${file}`);
+  if (options['from-env']) {
+    console.log('⚠️ Remove PRIVATE_KEY_BASE58 from .env now that the key is in the keystore');
+  }
+}
+
+async function exportKey(file) {
+  const keypair = await unlock(file);
+  console.error(`⚠️ Private key for ${keypair.publicKey.toString()} follows - anyone with it controls the wallet`);
+  console.log(bs58.encode(keypair.secretKey));
+}
+
+async function changePassphrase(file) {
+  const keypair = await unlock(file);
+  writeKeystore(encryptKeypair(keypair, await getNewPassphrase()), file);
+  console.log(`🔐 Passphrase changed for ${file}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.command) {
+    console.log(USAGE);
+    return;
+  }
+  const file = options.file || KEYSTORE_FILE;
+  
+  switch (options.command) {
+    case 'import':
+      return importKey(file, options);
+    case 'export':
+      return exportKey(file);
+    case 'change-passphrase':
+      return changePassphrase(file);
+    default:
+      throw new Error(`Unknown command: ${options.command}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,340 @@
+const fetch = require('node-fetch');
+
+// Market data providers. Every provider implements:
+//   listTokens()           - actively traded tokens
+//   listNewListings()      - recently listed tokens
+//   getPrice(mint)         - USD price
+//   getTokenOverview(mint) - { address, symbol, name, price, mc, liquidity, volume24h, website }
+// and may list `caveats` per method where its data means something different from Birdeye's.
+// Token lists use Birdeye's tokenlist shape (address, symbol, name, price, liquidity, mc,
+// v24hUSD, v24hChangePercent, lastTradeUnixTime), which is what the snipe filters read.
+//
+// Each call returns { success: true, data, raw } or { success: false, status, error }.
+// `raw` is the untouched API response; MARKET_PARSERS turn it back into `data`, which
+// is how replays reuse recorded responses.
+const DEFAULT_PROVIDER_ORDER = ['birdeye', 'dexscreener'];
+const DEFAULT_COOLDOWN_MS = 60000;
+const DEFAULT_BASE_URLS = {
+  birdeye: 'https://public-api.birdeye.so',
+  dexscreener: 'https://api.dexscreener.com'
+};
+
+// DexScreener accepts at most 30 addresses per tokens request
+const DEXSCREENER_MAX_ADDRESSES = 30;
+
+// Rate limits and exhausted credits won't clear up on the next request
+const COOLDOWN_STATUSES = [401, 403, 429];
+
+async function requestJson(url, headers = {}) {
+  const response = await fetch(url, { headers });
+  if (!response.ok) {
+    return { success: false, status: response.status, error: `HTTP ${response.status}` };
+  }
+  return { success: true, status: response.status, raw: await response.json() };
+}
+
+function parsed(raw, data, emptyError) {
+  if (data === null || data === undefined) {
+    return { success: false, error: emptyError, raw };
+  }
+  return { success: true, data, raw };
+}
+
+const BIRDEYE_PARSERS = {
+  tokens(raw) {
+    return Array.isArray(raw?.data?.tokens) ? raw.data.tokens : null;
+  },
+  newListings(raw) {
+    const items = Array.isArray(raw?.data) ? raw.data : raw?.data?.items;
+    return Array.isArray(items) ? items : null;
+  },
+  price(raw) {
+    return raw?.data?.value || null;
+  },
+  overview(raw) {
+    const token = raw?.data;
+    if (!token) {
+      return null;
+    }
+    return {
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name,
+      price: token.price,
+      mc: token.mc ?? token.marketCap,
+      liquidity: token.liquidity,
+      volume24h: token.v24hUSD,
+      website: token.extensions?.website || null
+    };
+  }
+};
+
+function createBirdeyeProvider({ apiKey, baseUrl = DEFAULT_BASE_URLS.birdeye } = {}) {
+  const headers = { 'X-API-KEY': apiKey };
+  
+  async function get(path, parse, emptyError) {
+    try {
+      const response = await requestJson(`${baseUrl}${path}`, headers);
+      return response.success ? parsed(response.raw, parse(response.raw), emptyError) : response;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  
+  return {
+    name: 'birdeye',
+    listTokens: () => get('/defi/tokenlist', BIRDEYE_PARSERS.tokens, 'No token data in response'),
+    listNewListings: () => get('/defi/v2/tokens/new_listing', BIRDEYE_PARSERS.newListings, 'No listing data in response'),
+    getPrice: mint => get(`/defi/price?address=${mint}`, BIRDEYE_PARSERS.price, 'No price in response'),
+    getTokenOverview: mint => get(`/defi/token_overview?address=${mint}`, BIRDEYE_PARSERS.overview, 'Token not found')
+  };
+}
+
+// DexScreener only reports trade counts per window, so the last trade time is estimated
+// as the start of the most recent window (5m, 1h, 6h, 24h) that saw any trades
+function estimateLastTradeTime(pair, fetchedAt) {
+  const windows = [['m5', 0], ['h1', 5], ['h6', 60], ['h24', 360]];
+  const nowSeconds = Math.floor(fetchedAt / 1000);
+  for (const [window, minutesAgo] of windows) {
+    const txns = pair.txns?.[window];
+    if (txns && (txns.buys || 0) + (txns.sells || 0) > 0) {
+      return nowSeconds - minutesAgo * 60;
+    }
+  }
+  return pair.pairCreatedAt ? Math.floor(pair.pairCreatedAt / 1000) : 0;
+}
+
+// A token trades in several pairs - the deepest one represents it
+function pickDeepestPairs(pairs) {
+  const best = new Map();
+  (pairs || []).forEach(pair => {
+    const address = pair.baseToken?.address;
+    if (!address) {
+      return;
+    }
+    const current = best.get(address);
+    if (!current || (pair.liquidity?.usd || 0) > (current.liquidity?.usd || 0)) {
+      best.set(address, pair);
+    }
+  });
+  return best;
+}
+
+function pairToToken(pair, fetchedAt) {
+  return {
+    address: pair.baseToken.address,
+    symbol: pair.baseToken.symbol,
+    name: pair.baseToken.name,
+    price: parseFloat(pair.priceUsd) || 0,
+    liquidity: pair.liquidity?.usd || 0,
+    mc: pair.marketCap || pair.fdv || 0,
+    v24hUSD: pair.volume?.h24 || 0,
+    v24hChangePercent: pair.priceChange?.h24 || 0,
+    lastTradeUnixTime: estimateLastTradeTime(pair, fetchedAt)
+  };
+}
+
+// List responses are two requests: the listing endpoint, then pair data for those tokens
+function parseDexScreenerList(raw) {
+  if (!raw || !Array.isArray(raw.pairs)) {
+    return null;
+  }
+  return [...pickDeepestPairs(raw.pairs).values()].map(pair => pairToToken(pair, raw.fetchedAt));
+}
+
+const DEXSCREENER_PARSERS = {
+  tokens: parseDexScreenerList,
+  newListings: parseDexScreenerList,
+  price(raw) {
+    const pair = pickDeepestPairs(raw?.pairs).get(raw?.mint);
+    return pair ? parseFloat(pair.priceUsd) || null : null;
+  },
+  overview(raw) {
+    const pair = pickDeepestPairs(raw?.pairs).get(raw?.mint);
+    if (!pair) {
+      return null;
+    }
+    return {
+      address: pair.baseToken.address,
+      symbol: pair.baseToken.symbol,
+      name: pair.baseToken.name,
+      price: parseFloat(pair.priceUsd) || null,
+      mc: pair.marketCap || pair.fdv || null,
+      liquidity: pair.liquidity?.usd || null,
+      volume24h: pair.volume?.h24 || null,
+      website: pair.info?.websites?.[0]?.url || null
+    };
+  }
+};
+
+function createDexScreenerProvider({ baseUrl = DEFAULT_BASE_URLS.dexscreener } = {}) {
+  async function getPairs(addresses) {
+    const response = await requestJson(`${baseUrl}/tokens/v1/solana/${addresses.join(',')}`);
+    if (response.success && !Array.isArray(response.raw)) {
+      return { success: false, error: 'Unexpected pairs response' };
+    }
+    return response;
+  }
+  
+  async function list(path, parse) {
+    try {
+      const listing = await requestJson(`${baseUrl}${path}`);
+      if (!listing.success) {
+        return listing;
+      }
+      
+      const addresses = [...new Set((Array.isArray(listing.raw) ? listing.raw : [])
+        .filter(entry => entry.chainId === 'solana' && entry.tokenAddress)
+        .map(entry => entry.tokenAddress))]
+        .slice(0, DEXSCREENER_MAX_ADDRESSES);
+      
+      const fetchedAt = Date.now();
+      if (addresses.length === 0) {
+        return { success: true, data: [], raw: { fetchedAt, listing: listing.raw, pairs: [] } };
+      }
+      
+      const pairs = await getPairs(addresses);
+      if (!pairs.success) {
+        return pairs;
+      }
+      
+      const raw = { fetchedAt, listing: listing.raw, pairs: pairs.raw };
+      return parsed(raw, parse(raw), 'No pair data in response');
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  
+  async function lookup(mint, parse, emptyError) {
+    try {
+      const pairs = await getPairs([mint]);
+      if (!pairs.success) {
+        return pairs;
+      }
+      const raw = { mint, pairs: pairs.raw };
+      return parsed(raw, parse(raw), emptyError);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  
+  return {
+    name: 'dexscreener',
+    // DexScreener's public API has no list ranked by trading activity. Its top boosts are
+    // tokens whose teams paid for promotion; the snipe filters still apply volume and liquidity.
+    caveats: {
+      listTokens: 'token list is DexScreener\'s top boosted (paid promotion) tokens, not ranked by trading activity'
+    },
+    listTokens: () => list('/token-boosts/top/v1', DEXSCREENER_PARSERS.tokens),
+    listNewListings: () => list('/token-profiles/latest/v1', DEXSCREENER_PARSERS.newListings),
+    getPrice: mint => lookup(mint, DEXSCREENER_PARSERS.price, 'No Solana pair with a price'),
+    getTokenOverview: mint => lookup(mint, DEXSCREENER_PARSERS.overview, 'Token not found')
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  birdeye: createBirdeyeProvider,
+  dexscreener: createDexScreenerProvider
+};
+
+const MARKET_PARSERS = {
+  birdeye: BIRDEYE_PARSERS,
+  dexscreener: DEXSCREENER_PARSERS
+};
+
+// kind: tokens, newListings, price or overview
+function parseMarketResponse(provider, kind, raw) {
+  const parsers = MARKET_PARSERS[provider];
+  if (!parsers || !parsers[kind]) {
+    return null;
+  }
+  return parsers[kind](raw);
+}
+
+// Tries providers in order and returns the first success, tagged with the provider name.
+// A provider that is rate limited or out of credits is skipped for `cooldownMs`. When a
+// method starts being answered by a provider with a caveat for it, the caveat is logged.
+function createMarketDataClient({ providers, cooldownMs = DEFAULT_COOLDOWN_MS }) {
+  const cooldownUntil = {};
+  const answeredBy = {};
+  
+  async function call(method, args) {
+    const errors = [];
+    for (const provider of providers) {
+      if ((cooldownUntil[provider.name] || 0) > Date.now()) {
+        errors.push(`${provider.name}: cooling down`);
+        continue;
+      }
+      
+      const result = await provider[method](...args);
+      if (result.success) {
+        const caveat = provider.caveats?.[method];
+        if (caveat && answeredBy[method] !== provider.name) {
+          console.log(`   ℹ️ ${method} answered by ${provider.name}: ${caveat}`);
+        }
+        answeredBy[method] = provider.name;
+        return { ...result, provider: provider.name };
+      }
+      
+      errors.push(`${provider.name}: ${result.error}`);
+      if (COOLDOWN_STATUSES.includes(result.status)) {
+        cooldownUntil[provider.name] = Date.now() + cooldownMs;
+        console.log(`   ⚠️ ${provider.name} unavailable (HTTP ${result.status}), skipping it for ${cooldownMs / 1000}s`);
+      }
+    }
+    return { success: false, error: errors.join('; ') };
+  }
+  
+  return {
+    providers: providers.map(provider => provider.name),
+    listTokens: () => call('listTokens', []),
+    listNewListings: () => call('listNewListings', []),
+    getPrice: mint => call('getPrice', [mint]),
+    getTokenOverview: mint => call('getTokenOverview', [mint])
+  };
+}
+
+// Reads MARKET_DATA_PROVIDERS (comma separated, in failover order), MARKET_DATA_COOLDOWN_MS,
+// BIRDEYE_API_KEY, BIRDEYE_BASE_URL and DEXSCREENER_BASE_URL
+function createMarketDataFromEnv(env = process.env) {
+  const order = (env.MARKET_DATA_PROVIDERS || DEFAULT_PROVIDER_ORDER.join(','))
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  
+  const errors = [];
+  if (order.length === 0) {
+    errors.push('MARKET_DATA_PROVIDERS lists no providers');
+  }
+  order.filter(name => !PROVIDER_FACTORIES[name]).forEach(name => {
+    errors.push(`Unknown market data provider "${name}" (available: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+  });
+  if (order.includes('birdeye') && !env.BIRDEYE_API_KEY) {
+    errors.push('Missing BIRDEYE_API_KEY (required by the birdeye provider)');
+  }
+  
+  const cooldownMs = env.MARKET_DATA_COOLDOWN_MS !== undefined ? Number(env.MARKET_DATA_COOLDOWN_MS) : DEFAULT_COOLDOWN_MS;
+  if (!Number.isFinite(cooldownMs) || cooldownMs < 0) {
+    errors.push('MARKET_DATA_COOLDOWN_MS must be a non-negative number of milliseconds');
+  }
+  
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+  
+  const providers = order.map(name => PROVIDER_FACTORIES[name]({
+    apiKey: env.BIRDEYE_API_KEY,
+    baseUrl: env[`${name.toUpperCase()}_BASE_URL`] || DEFAULT_BASE_URLS[name]
+  }));
+  
+  return { success: true, client: createMarketDataClient({ providers, cooldownMs }) };
+}
+
+module.exports = {
+  DEFAULT_PROVIDER_ORDER,
+  createBirdeyeProvider,
+  createDexScreenerProvider,
+  createMarketDataClient,
+  createMarketDataFromEnv,
+  parseMarketResponse
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const { parseMarketResponse } = require('./market_data');
+const { findQuoteAssetByMint } = require('./quote_assets');
+
+// Market data recording and replay.
+//
+// A recording is a JSONL file with one line per monitoring cycle:
+//   { cycle, timestamp, market: { tokens, newListings }, quotes: [{ request, ok, status, response }], prices, mints, metadata, holders, liquidityLocks, sellSimulations }
+// `market` holds the raw token list responses with the provider that answered ({ provider, raw }),
+// `quotes` every Jupiter quote request/response made during the cycle, `prices` the price
+// lookups, `mints` the parsed mint accounts the safety checks read, `metadata`, `holders` and
+// `liquidityLocks` their metadata, holder and LP snapshots (see token_metadata.js,
+// holder_analysis.js and liquidity_lock.js), and `sellSimulations` the honeypot check's
+// simulated sells (see sell_simulation.js). Replay serves the same data back in order, parsing
+// the token lists with the recorded provider's parser.
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || 'recordings';
+
+function createMarketRecorder(dir = RECORDINGS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+  let cycle = null;
+  let cycleCount = 0;
+  
+  function flush() {
+    if (!cycle) {
+      return;
+    }
+    try {
+      fs.appendFileSync(file, JSON.stringify(cycle) + '\n');
+    } catch (error) {
+      console.error('Error writing market recording:', error);
+    }
+    cycle = null;
+  }
+  
+  // Anything recorded between cycles (e.g. exit quotes) is attached to the latest cycle
+  function current() {
+    if (!cycle) {
+      cycle = { cycle: cycleCount++, timestamp: Date.now(), market: {}, quotes: [], prices: {}, mints: {}, metadata: {}, holders: {}, liquidityLocks: {}, sellSimulations: {} };
+    }
+    return cycle;
+  }
+  
+  return {
+    file,
+    startCycle() {
+      flush();
+      current();
+    },
+    recordMarket(kind, provider, raw) {
+      current().market[kind] = { provider, raw };
+    },
+    recordQuote(request, ok, status, response) {
+      current().quotes.push({ request, ok, status, response });
+    },
+    recordPrice(mint, price) {
+      current().prices[mint] = price;
+    },
+    recordMint(mint, accountInfo) {
+      current().mints[mint] = accountInfo;
+    },
+    recordMetadata(mint, snapshot) {
+      current().metadata[mint] = snapshot;
+    },
+    recordHolders(mint, snapshot) {
+      current().holders[mint] = snapshot;
+    },
+    recordLiquidityLock(mint, snapshot) {
+      current().liquidityLocks[mint] = snapshot;
+    },
+    recordSellSimulation(mint, simulation) {
+      current().sellSimulations[mint] = simulation;
+    },
+    flush
+  };
+}
+
+function loadRecording(file) {
+  let lines;
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  } catch (error) {
+    return { success: false, error: `Could not read ${file}: ${error.message}` };
+  }
+  
+  const cycles = [];
+  for (let i = 0; i < lines.length; i++) {
+    try {
+      cycles.push(JSON.parse(lines[i]));
+    } catch (error) {
+      return { success: false, error: `Malformed recording on line ${i + 1}: ${error.message}` };
+    }
+  }
+  
+  if (cycles.length === 0) {
+    return { success: false, error: `${file} contains no cycles` };
+  }
+  
+  return { success: true, cycles };
+}
+
+// Recordings made before providers existed hold raw Birdeye responses under `birdeye`
+function recordedMarket(cycle, kind) {
+  return cycle.market?.[kind] || null;
+}
+
+function recordedTokens(cycle, kind) {
+  const recorded = recordedMarket(cycle, kind);
+  return recorded ? parseMarketResponse(recorded.provider, kind, recorded.raw) : null;
+}
+
+function listedTokens(cycle) {
+  return [...(recordedTokens(cycle, 'newListings') || []), ...(recordedTokens(cycle, 'tokens') || [])];
+}
+
+// Serves a recording back one cycle at a time. Prices carry forward, so a position is
+// marked with the most recent price recorded at or before the current cycle.
+function createReplaySource(cycles) {
+  let index = -1;
+  const knownPrices = {};
+  const knownDecimals = {};
+  let synthesizedQuotes = 0;
+  
+  function cycle() {
+    return cycles[index];
+  }
+  
+  function learn(current) {
+    listedTokens(current).forEach(token => {
+      if (token.price) {
+        knownPrices[token.address] = token.price;
+      }
+      if (token.decimals !== undefined) {
+        knownDecimals[token.address] = token.decimals;
+      }
+    });
+    Object.entries(current.prices || {}).forEach(([mint, price]) => {
+      if (price) {
+        knownPrices[mint] = price;
+      }
+    });
+    Object.entries(current.mints || {}).forEach(([mint, accountInfo]) => {
+      const decimals = accountInfo?.value?.data?.parsed?.info?.decimals;
+      if (decimals !== undefined) {
+        knownDecimals[mint] = decimals;
+      }
+    });
+  }
+  
+  // Stablecoin quote assets are $1; SOL is priced like any other recorded token
+  function priceOf(mint) {
+    return findQuoteAssetByMint(mint)?.stable ? 1 : knownPrices[mint] || null;
+  }
+  
+  function decimalsOf(mint) {
+    return findQuoteAssetByMint(mint)?.decimals ?? knownDecimals[mint];
+  }
+  
+  // Safety check data recorded at or before the current cycle
+  function latestRecorded(section, mint) {
+    for (let i = index; i >= 0; i--) {
+      if (cycles[i][section] && cycles[i][section][mint]) {
+        return cycles[i][section][mint];
+      }
+    }
+    return null;
+  }
+  
+  return {
+    get cycleCount() {
+      return cycles.length;
+    },
+    get synthesizedQuotes() {
+      return synthesizedQuotes;
+    },
+    advance() {
+      index++;
+      if (index >= cycles.length) {
+        return false;
+      }
+      learn(cycle());
+      return true;
+    },
+    now() {
+      return cycle().timestamp;
+    },
+    span() {
+      return { from: cycles[0].timestamp, to: cycles[cycles.length - 1].timestamp };
+    },
+    // Parsed token list for this cycle, or null when it wasn't recorded
+    tokens(kind) {
+      return recordedTokens(cycle(), kind);
+    },
+    provider(kind) {
+      return recordedMarket(cycle(), kind)?.provider || null;
+    },
+    price(mint) {
+      return knownPrices[mint] || null;
+    },
+    mintAccount(mint) {
+      return latestRecorded('mints', mint);
+    },
+    metadata(mint) {
+      return latestRecorded('metadata', mint);
+    },
+    holders(mint) {
+      return latestRecorded('holders', mint);
+    },
+    liquidityLock(mint) {
+      return latestRecorded('liquidityLocks', mint);
+    },
+    sellSimulation(mint) {
+      return latestRecorded('sellSimulations', mint);
+    },
+    // Exact recorded quote (including failed ones) for this request in the current cycle,
+    // otherwise a fill synthesized from the latest recorded prices with no price impact.
+    // Returns { ok, status, response } or null when neither is possible.
+    quote(request) {
+      const recorded = (cycle().quotes || []).find(entry =>
+        entry.request.inputMint === request.inputMint &&
+        entry.request.outputMint === request.outputMint &&
+        String(entry.request.amount) === String(request.amount)
+      );
+      if (recorded) {
+        return recorded;
+      }
+      
+      const inPrice = priceOf(request.inputMint);
+      const outPrice = priceOf(request.outputMint);
+      const inDecimals = decimalsOf(request.inputMint);
+      const outDecimals = decimalsOf(request.outputMint);
+      if (!inPrice || !outPrice || inDecimals === undefined || outDecimals === undefined) {
+        return null;
+      }
+      
+      synthesizedQuotes++;
+      const valueUsd = Number(request.amount) / Math.pow(10, inDecimals) * inPrice;
+      const outAmount = Math.floor(valueUsd / outPrice * Math.pow(10, outDecimals));
+      return {
+        ok: true,
+        status: 200,
+        response: {
+          inputMint: request.inputMint,
+          outputMint: request.outputMint,
+          inAmount: String(request.amount),
+          outAmount: String(outAmount),
+          priceImpactPct: '0',
+          slippageBps: Number(request.slippageBps),
+          routePlan: [],
+          simulated: true
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  createMarketRecorder,
+  loadRecording,
+  createReplaySource
+};
@@ -0,0 +1,161 @@
+const { ComputeBudgetProgram, PublicKey } = require('@solana/web3.js');
+
+// Priority fees and compute-unit limits for swap transactions.
+//
+// The fee is estimated from getRecentPrioritizationFees for the writable accounts a swap locks
+// (the pools on its route): the configured percentile of the per-slot fees the RPC returns,
+// clamped to [minMicroLamports, maxMicroLamports]. The priority fee is charged on the requested
+// compute-unit limit, not on the units used, so every swap sets the limit explicitly as well:
+//   priority fee (lamports) = microLamports * computeUnitLimit / 1,000,000
+// Once a swap has been simulated, its limit is cut to the units the simulation consumed plus a
+// margin (fitComputeUnitLimit), so the fee is only paid on what the swap needs.
+const COMPUTE_BUDGET_PROGRAM_ID = ComputeBudgetProgram.programId.toString();
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+const MICRO_LAMPORTS_PER_LAMPORT = 1_000_000;
+
+// Nearest-rank percentile of an unsorted list
+function percentile(values, percent) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil(percent / 100 * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+// settings: { percentile, minMicroLamports, maxMicroLamports }
+// Returns { microLamports, estimate, samples, error }. `estimate` is the unclamped percentile, or
+// null when the RPC failed or returned no slots, in which case the floor is used.
+async function estimatePriorityFee(connection, accounts, settings) {
+  const clamp = fee => Math.min(Math.max(fee, settings.minMicroLamports), settings.maxMicroLamports);
+  try {
+    const fees = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: accounts.map(account => new PublicKey(account))
+    });
+    if (fees.length === 0) {
+      return { microLamports: clamp(0), estimate: null, samples: 0, error: null };
+    }
+    const estimate = percentile(fees.map(fee => fee.prioritizationFee), settings.percentile);
+    return { microLamports: clamp(estimate), estimate, samples: fees.length, error: null };
+  } catch (error) {
+    return { microLamports: clamp(0), estimate: null, samples: 0, error: error.message };
+  }
+}
+
+function priorityFeeLamports(microLamports, computeUnitLimit) {
+  return Math.ceil(microLamports * computeUnitLimit / MICRO_LAMPORTS_PER_LAMPORT);
+}
+
+// Headroom over the simulated units for state that changes before the swap lands. Never above maxLimit.
+function fitComputeUnitLimit(unitsConsumed, marginPercent, maxLimit) {
+  return Math.min(Math.ceil(unitsConsumed * (1 + marginPercent / 100)), maxLimit);
+}
+
+// budget: { computeUnitLimit, microLamports } - goes first in a transaction we compose ourselves
+function makeComputeBudgetInstructions(budget) {
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units: budget.computeUnitLimit }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: budget.microLamports })
+  ];
+}
+
+// Program id and data of each instruction, for legacy and versioned transactions alike
+function listInstructions(transaction) {
+  if (transaction.message && transaction.message.compiledInstructions) {
+    const keys = transaction.message.staticAccountKeys;
+    return transaction.message.compiledInstructions.map(instruction => ({
+      programId: keys[instruction.programIdIndex].toString(),
+      instruction
+    }));
+  }
+  return transaction.instructions.map(instruction => ({ programId: instruction.programId.toString(), instruction }));
+}
+
+function encodeComputeBudgetData(type, value) {
+  const data = Buffer.alloc(type === SET_COMPUTE_UNIT_LIMIT ? 5 : 9);
+  data.writeUInt8(type, 0);
+  if (type === SET_COMPUTE_UNIT_LIMIT) {
+    data.writeUInt32LE(value, 1);
+  } else {
+    data.writeBigUInt64LE(BigInt(value), 1);
+  }
+  return data;
+}
+
+// Puts compute budget instructions at the start of a legacy transaction or a v0 message. A v0
+// message that doesn't list the ComputeBudget program yet gets it as its last static key, a
+// read-only non-signer. Indexes from there on point into the lookup tables, so they move up by one.
+function prependComputeBudgetInstructions(transaction, instructions) {
+  if (!transaction.message) {
+    transaction.instructions.unshift(...instructions);
+    return;
+  }
+  
+  const { message } = transaction;
+  const keys = message.staticAccountKeys;
+  let programIdIndex = keys.findIndex(key => key.toString() === COMPUTE_BUDGET_PROGRAM_ID);
+  if (programIdIndex === -1) {
+    programIdIndex = keys.length;
+    const shift = index => index >= programIdIndex ? index + 1 : index;
+    message.compiledInstructions.forEach(instruction => {
+      instruction.programIdIndex = shift(instruction.programIdIndex);
+      instruction.accountKeyIndexes = instruction.accountKeyIndexes.map(shift);
+    });
+    keys.push(ComputeBudgetProgram.programId);
+    message.header.numReadonlyUnsignedAccounts += 1;
+  }
+  message.compiledInstructions.unshift(...instructions.map(instruction => ({
+    programIdIndex,
+    accountKeyIndexes: [],
+    data: instruction.data
+  })));
+}
+
+// Points the compute budget instructions already in a transaction (Jupiter adds its own) at our
+// budget, and inserts whichever of the two is missing, so the swap never runs on the venue's
+// limit or price. Must run before the transaction is signed.
+function applyComputeBudget(transaction, budget) {
+  const applied = new Set();
+  listInstructions(transaction)
+    .filter(({ programId }) => programId === COMPUTE_BUDGET_PROGRAM_ID)
+    .forEach(({ instruction }) => {
+      const type = instruction.data[0];
+      if (type === SET_COMPUTE_UNIT_LIMIT) {
+        instruction.data = encodeComputeBudgetData(SET_COMPUTE_UNIT_LIMIT, budget.computeUnitLimit);
+        applied.add(type);
+      } else if (type === SET_COMPUTE_UNIT_PRICE) {
+        instruction.data = encodeComputeBudgetData(SET_COMPUTE_UNIT_PRICE, budget.microLamports);
+        applied.add(type);
+      }
+    });
+  
+  const missing = makeComputeBudgetInstructions(budget).filter(instruction => !applied.has(instruction.data[0]));
+  if (missing.length > 0) {
+    prependComputeBudgetInstructions(transaction, missing);
+  }
+  return transaction;
+}
+
+// What a transaction will pay: { computeUnitLimit, microLamports, lamports }.
+// computeUnitLimit is null when the transaction leaves it at the runtime default.
+function readComputeBudget(transaction) {
+  const budget = { computeUnitLimit: null, microLamports: 0 };
+  listInstructions(transaction)
+    .filter(({ programId }) => programId === COMPUTE_BUDGET_PROGRAM_ID)
+    .forEach(({ instruction }) => {
+      const data = Buffer.from(instruction.data);
+      if (data[0] === SET_COMPUTE_UNIT_LIMIT) {
+        budget.computeUnitLimit = data.readUInt32LE(1);
+      } else if (data[0] === SET_COMPUTE_UNIT_PRICE) {
+        budget.microLamports = Number(data.readBigUInt64LE(1));
+      }
+    });
+  return { ...budget, lamports: budget.computeUnitLimit ? priorityFeeLamports(budget.microLamports, budget.computeUnitLimit) : null };
+}
+
+module.exports = {
+  estimatePriorityFee,
+  priorityFeeLamports,
+  fitComputeUnitLimit,
+  makeComputeBudgetInstructions,
+  applyComputeBudget,
+  readComputeBudget
+};
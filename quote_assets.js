@@ -0,0 +1,116 @@
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+// The asset snipes are paid with and exits sell back into.
+//
+// `sniping.quoteAsset` picks one of QUOTE_ASSETS, and `sniping.amount` / `sniping.paperBalance`
+// are in that asset's units. SOL is spent and received as native SOL: swaps wrap it on the way in
+// and unwrap it on the way out, and FEE_RESERVE_SOL is never spent so fees and rent stay covered.
+// Stablecoins count as $1; SOL is priced from market data when a position's USD cost is recorded.
+const QUOTE_ASSETS = {
+  SOL: {
+    symbol: 'SOL',
+    mint: 'So11111111111111111111111111111111111111112',
+    decimals: 9,
+    native: true,
+    stable: false,
+    honeypotTestAmount: 0.01
+  },
+  USDC: {
+    symbol: 'USDC',
+    mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    decimals: 6,
+    native: false,
+    stable: true,
+    honeypotTestAmount: 1
+  },
+  USDT: {
+    symbol: 'USDT',
+    mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+    decimals: 6,
+    native: false,
+    stable: true,
+    honeypotTestAmount: 1
+  }
+};
+
+const DEFAULT_QUOTE_ASSET = 'USDT';
+const FEE_RESERVE_SOL = 0.02;
+
+function getQuoteAsset(symbol) {
+  return QUOTE_ASSETS[symbol || DEFAULT_QUOTE_ASSET];
+}
+
+function findQuoteAssetByMint(mint) {
+  return Object.values(QUOTE_ASSETS).find(asset => asset.mint === mint) || null;
+}
+
+// Rounded down, as a string for the quote API
+function toRawAmount(amount, asset) {
+  return Math.floor(amount * Math.pow(10, asset.decimals)).toString();
+}
+
+function fromRawAmount(raw, asset) {
+  return parseFloat(raw) / Math.pow(10, asset.decimals);
+}
+
+// e.g. "$1.00 USDT", or "0.0500 SOL ($7.50)" when the USD value is given
+function formatAssetAmount(amount, asset, usd = null) {
+  if (asset.stable) {
+    return `$${amount.toFixed(2)} ${asset.symbol}`;
+  }
+  return `${amount.toFixed(4)} ${asset.symbol}` + (usd !== null ? ` ($${usd.toFixed(2)})` : '');
+}
+
+// Spendable balance in the asset's units: native SOL less the fee reserve, or the
+// total across the wallet's token accounts for the mint. Returns { balance, error }.
+async function getWalletBalance(connection, owner, asset) {
+  try {
+    if (asset.native) {
+      const lamports = await connection.getBalance(owner);
+      return { balance: Math.max(lamports / LAMPORTS_PER_SOL - FEE_RESERVE_SOL, 0), error: null };
+    }
+    
+    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(owner, { mint: new PublicKey(asset.mint) });
+    if (tokenAccounts.value.length === 0) {
+      return { balance: 0, error: `No ${asset.symbol} account found` };
+    }
+    const raw = tokenAccounts.value.reduce(
+      (total, account) => total + BigInt(account.account.data.parsed.info.tokenAmount.amount),
+      0n
+    );
+    return { balance: fromRawAmount(raw.toString(), asset), error: null };
+  } catch (error) {
+    return { balance: 0, error: error.message };
+  }
+}
+
+// Positions (and their sales) from before the quote asset was configurable were all bought with
+// USDT and stored their amounts as amountUsdt / realizedUsdt / proceedsUsdt
+function migratePosition(position) {
+  if (position.costUsd !== undefined) {
+    return position;
+  }
+  const { amountUsdt, realizedUsdt, ...rest } = position;
+  return {
+    ...rest,
+    quoteAsset: 'USDT',
+    amountIn: amountUsdt,
+    costUsd: amountUsdt,
+    realized: realizedUsdt || 0,
+    realizedUsd: realizedUsdt || 0,
+    sales: (position.sales || []).map(({ proceedsUsdt, ...sale }) => ({ ...sale, proceeds: proceedsUsdt, proceedsUsd: proceedsUsdt }))
+  };
+}
+
+module.exports = {
+  QUOTE_ASSETS,
+  DEFAULT_QUOTE_ASSET,
+  FEE_RESERVE_SOL,
+  getQuoteAsset,
+  findQuoteAssetByMint,
+  toRawAmount,
+  fromRawAmount,
+  formatAssetAmount,
+  getWalletBalance,
+  migratePosition
+};
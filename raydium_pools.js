@@ -0,0 +1,210 @@
+const bs58 = require('bs58');
+const { MAINNET_PROGRAM_ID, struct, u8, u64 } = require('@raydium-io/raydium-sdk');
+
+// On-chain new-pool detection for the Raydium AMM v4 program.
+//
+// The listener subscribes to the program's logs over the RPC WebSocket, picks out
+// transactions that log `initialize2` (pool creation) and decodes each one into
+// { signature, slot, pool, lpMint, baseMint, quoteMint, quoteSymbol, baseDecimals,
+//   quoteDecimals, baseAmount, quoteAmount, openTime }
+// The quote side is always one of QUOTE_MINTS and the base side is the new token;
+// pools between two unknown tokens (or two quote assets) are ignored.
+const RAYDIUM_AMM_PROGRAM_ID = MAINNET_PROGRAM_ID.AmmV4.toBase58();
+
+const QUOTE_MINTS = {
+  So11111111111111111111111111111111111111112: 'SOL',
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 'USDC',
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: 'USDT'
+};
+
+const INITIALIZE2_INSTRUCTION = 1;
+const INITIALIZE2_LAYOUT = struct([
+  u8('instruction'),
+  u8('nonce'),
+  u64('openTime'),
+  u64('initPcAmount'),
+  u64('initCoinAmount')
+]);
+
+// Positions in the initialize2 account list ("coin" is Raydium's base side, "pc" its quote side)
+const INITIALIZE2_ACCOUNTS = {
+  pool: 4,
+  lpMint: 7,
+  coinMint: 8,
+  pcMint: 9,
+  coinVault: 10,
+  pcVault: 11
+};
+
+const TRANSACTION_FETCH_ATTEMPTS = 3;
+const TRANSACTION_FETCH_DELAY = 1000; // The transaction can lag its logs on some RPCs
+const MAX_TRACKED_SIGNATURES = 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function decodeInitialize2(data) {
+  const buffer = Buffer.from(bs58.decode(data));
+  if (buffer.length < INITIALIZE2_LAYOUT.span || buffer[0] !== INITIALIZE2_INSTRUCTION) {
+    return null;
+  }
+  return INITIALIZE2_LAYOUT.decode(buffer);
+}
+
+// Top-level and CPI instructions alike - launchpads create pools from their own programs
+function findInitialize2(transaction) {
+  const inner = (transaction.meta?.innerInstructions || []).flatMap(group => group.instructions);
+  const instructions = [...transaction.transaction.message.instructions, ...inner];
+  
+  for (const instruction of instructions) {
+    if (instruction.programId.toBase58() !== RAYDIUM_AMM_PROGRAM_ID || !instruction.data) {
+      continue;
+    }
+    const decoded = decodeInitialize2(instruction.data);
+    if (decoded && instruction.accounts.length > INITIALIZE2_ACCOUNTS.pcVault) {
+      return { accounts: instruction.accounts.map(account => account.toBase58()), decoded };
+    }
+  }
+  return null;
+}
+
+function vaultDecimals(transaction, vault) {
+  const index = transaction.transaction.message.accountKeys.findIndex(key => key.pubkey.toBase58() === vault);
+  const balance = (transaction.meta?.postTokenBalances || []).find(entry => entry.accountIndex === index);
+  return balance ? balance.uiTokenAmount.decimals : undefined;
+}
+
+function toUiAmount(raw, decimals) {
+  return decimals === undefined ? undefined : Number(raw.toString()) / Math.pow(10, decimals);
+}
+
+// Returns the decoded pool, or null when the transaction holds no usable initialize2
+function parsePoolTransaction(signature, transaction) {
+  if (!transaction || transaction.meta?.err) {
+    return null;
+  }
+  
+  const found = findInitialize2(transaction);
+  if (!found) {
+    return null;
+  }
+  
+  const { accounts, decoded } = found;
+  const coinMint = accounts[INITIALIZE2_ACCOUNTS.coinMint];
+  const pcMint = accounts[INITIALIZE2_ACCOUNTS.pcMint];
+  const coinIsQuote = Boolean(QUOTE_MINTS[coinMint]);
+  const pcIsQuote = Boolean(QUOTE_MINTS[pcMint]);
+  if (coinIsQuote === pcIsQuote) {
+    return null;
+  }
+  
+  const coin = {
+    mint: coinMint,
+    decimals: vaultDecimals(transaction, accounts[INITIALIZE2_ACCOUNTS.coinVault]),
+    raw: decoded.initCoinAmount
+  };
+  const pc = {
+    mint: pcMint,
+    decimals: vaultDecimals(transaction, accounts[INITIALIZE2_ACCOUNTS.pcVault]),
+    raw: decoded.initPcAmount
+  };
+  const [base, quote] = pcIsQuote ? [coin, pc] : [pc, coin];
+  
+  return {
+    signature,
+    slot: transaction.slot,
+    pool: accounts[INITIALIZE2_ACCOUNTS.pool],
+    lpMint: accounts[INITIALIZE2_ACCOUNTS.lpMint],
+    baseMint: base.mint,
+    quoteMint: quote.mint,
+    quoteSymbol: QUOTE_MINTS[quote.mint],
+    baseDecimals: base.decimals,
+    quoteDecimals: quote.decimals,
+    baseAmount: toUiAmount(base.raw, base.decimals),
+    quoteAmount: toUiAmount(quote.raw, quote.decimals),
+    openTime: Number(decoded.openTime.toString())
+  };
+}
+
+// onPool(pool) is called once per new pool. start()/stop() manage the subscription and
+// can be called repeatedly (e.g. when the strategy file toggles the listener).
+function createRaydiumPoolListener({ connection, onPool }) {
+  let subscriptionId = null;
+  const seenSignatures = new Set();
+  
+  async function fetchTransaction(signature) {
+    for (let attempt = 1; attempt <= TRANSACTION_FETCH_ATTEMPTS; attempt++) {
+      const transaction = await connection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      if (transaction) {
+        return transaction;
+      }
+      await sleep(TRANSACTION_FETCH_DELAY * attempt);
+    }
+    return null;
+  }
+  
+  async function handleLogs({ signature, err, logs }) {
+    if (err || !logs.some(line => line.includes('initialize2'))) {
+      return;
+    }
+    
+    // The same signature can be delivered twice around a WebSocket reconnect
+    if (seenSignatures.has(signature)) {
+      return;
+    }
+    if (seenSignatures.size >= MAX_TRACKED_SIGNATURES) {
+      seenSignatures.clear();
+    }
+    seenSignatures.add(signature);
+    
+    try {
+      const transaction = await fetchTransaction(signature);
+      if (!transaction) {
+        console.error(`Raydium pool transaction ${signature} not found`);
+        return;
+      }
+      
+      const pool = parsePoolTransaction(signature, transaction);
+      if (pool) {
+        await onPool(pool);
+      }
+    } catch (error) {
+      console.error(`Error handling Raydium pool ${signature}:`, error);
+    }
+  }
+  
+  return {
+    get running() {
+      return subscriptionId !== null;
+    },
+    start() {
+      if (subscriptionId !== null) {
+        return;
+      }
+      subscriptionId = connection.onLogs(MAINNET_PROGRAM_ID.AmmV4, handleLogs, 'confirmed');
+    },
+    async stop() {
+      if (subscriptionId === null) {
+        return;
+      }
+      const id = subscriptionId;
+      subscriptionId = null;
+      try {
+        await connection.removeOnLogsListener(id);
+      } catch (error) {
+        console.error('Error removing Raydium log subscription:', error);
+      }
+    }
+  };
+}
+
+module.exports = {
+  RAYDIUM_AMM_PROGRAM_ID,
+  QUOTE_MINTS,
+  parsePoolTransaction,
+  createRaydiumPoolListener
+};
@@ -0,0 +1,315 @@
+const { PublicKey, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const {
+  Liquidity,
+  Market,
+  Spl,
+  LIQUIDITY_STATE_LAYOUT_V4,
+  MARKET_STATE_LAYOUT_V3,
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID
+} = require('@raydium-io/raydium-sdk');
+const { RAYDIUM_AMM_PROGRAM_ID } = require('./raydium_pools');
+const { makeComputeBudgetInstructions } = require('./priority_fees');
+
+// Direct swaps against a Raydium AMM v4 pool, for tokens Jupiter can't route yet.
+//
+// Quotes are computed from the pool's vault reserves with the constant product formula and
+// come back in the same shape as a Jupiter quote (plus `venue: 'raydium'`), so the rest of the
+// bot can treat both venues alike. buildSwap() returns an unsigned, base64-encoded
+// VersionedTransaction and its blockhash's lastValidBlockHeight, like the Jupiter swap API does.
+// Native SOL is wrapped into a temporary wSOL account that the swap opens and closes again, so
+// a wSOL balance the wallet already holds is never unwrapped. Token accounts are derived for the
+// token program that owns each mint, which may be Token-2022.
+const AMM_PROGRAM = new PublicKey(RAYDIUM_AMM_PROGRAM_ID);
+const BPS_DENOMINATOR = 10000n;
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const MISSING_POOL_TTL = 120000; // A pair with no pool isn't scanned for again until this has passed
+
+function getAssociatedTokenAddress(owner, mint, programId = TOKEN_PROGRAM_ID) {
+  return PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), programId.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  )[0];
+}
+
+function createRaydiumSwapClient({ connection }) {
+  // `${mintA}:${mintB}` (sorted) -> pool id, and pool id -> { poolKeys, state }
+  const knownPools = new Map();
+  const poolCache = new Map();
+  // `${mintA}:${mintB}` (sorted) -> when the last scan that found no pool expires
+  const missingPools = new Map();
+  // mint -> the token program that owns it
+  const mintPrograms = new Map();
+  
+  function pairKey(mintA, mintB) {
+    return [mintA, mintB].sort().join(':');
+  }
+  
+  // Pools seen on-chain (e.g. by the pool listener) skip the program account scan
+  function rememberPool(mintA, mintB, poolId) {
+    knownPools.set(pairKey(mintA, mintB), poolId);
+    missingPools.delete(pairKey(mintA, mintB));
+  }
+  
+  // The pool already known for a pair, without scanning; null when there is none
+  function getKnownPool(mintA, mintB) {
+    return knownPools.get(pairKey(mintA, mintB)) || null;
+  }
+  
+  // Each miss costs up to two getProgramAccounts scans, which RPCs throttle, so misses are
+  // remembered for MISSING_POOL_TTL
+  async function findPool(mintA, mintB) {
+    const key = pairKey(mintA, mintB);
+    if (knownPools.has(key)) {
+      return knownPools.get(key);
+    }
+    if (missingPools.get(key) > Date.now()) {
+      return null;
+    }
+    
+    const baseOffset = LIQUIDITY_STATE_LAYOUT_V4.offsetOf('baseMint');
+    const quoteOffset = LIQUIDITY_STATE_LAYOUT_V4.offsetOf('quoteMint');
+    for (const [baseMint, quoteMint] of [[mintA, mintB], [mintB, mintA]]) {
+      const accounts = await connection.getProgramAccounts(AMM_PROGRAM, {
+        commitment: 'confirmed',
+        dataSlice: { offset: 0, length: 0 },
+        filters: [
+          { dataSize: LIQUIDITY_STATE_LAYOUT_V4.span },
+          { memcmp: { offset: baseOffset, bytes: baseMint } },
+          { memcmp: { offset: quoteOffset, bytes: quoteMint } }
+        ]
+      });
+      if (accounts.length > 0) {
+        const poolId = accounts[0].pubkey.toBase58();
+        knownPools.set(key, poolId);
+        return poolId;
+      }
+    }
+    missingPools.set(key, Date.now() + MISSING_POOL_TTL);
+    return null;
+  }
+  
+  async function loadPool(poolId) {
+    if (poolCache.has(poolId)) {
+      return poolCache.get(poolId);
+    }
+    
+    const id = new PublicKey(poolId);
+    const poolAccount = await connection.getAccountInfo(id);
+    if (!poolAccount) {
+      throw new Error(`Raydium pool ${poolId} not found`);
+    }
+    const state = LIQUIDITY_STATE_LAYOUT_V4.decode(poolAccount.data);
+    
+    const marketAccount = await connection.getAccountInfo(state.marketId);
+    if (!marketAccount) {
+      throw new Error(`Market ${state.marketId.toBase58()} for pool ${poolId} not found`);
+    }
+    const market = MARKET_STATE_LAYOUT_V3.decode(marketAccount.data);
+    
+    const poolKeys = {
+      id,
+      baseMint: state.baseMint,
+      quoteMint: state.quoteMint,
+      lpMint: state.lpMint,
+      baseDecimals: state.baseDecimal.toNumber(),
+      quoteDecimals: state.quoteDecimal.toNumber(),
+      lpDecimals: state.baseDecimal.toNumber(),
+      version: 4,
+      programId: AMM_PROGRAM,
+      authority: Liquidity.getAssociatedAuthority({ programId: AMM_PROGRAM }).publicKey,
+      openOrders: state.openOrders,
+      targetOrders: state.targetOrders,
+      baseVault: state.baseVault,
+      quoteVault: state.quoteVault,
+      withdrawQueue: state.withdrawQueue,
+      lpVault: state.lpVault,
+      marketVersion: 3,
+      marketProgramId: state.marketProgramId,
+      marketId: state.marketId,
+      marketAuthority: Market.getAssociatedAuthority({ programId: state.marketProgramId, marketId: state.marketId }).publicKey,
+      marketBaseVault: market.baseVault,
+      marketQuoteVault: market.quoteVault,
+      marketBids: market.bids,
+      marketAsks: market.asks,
+      marketEventQueue: market.eventQueue,
+      lookupTableAccount: PublicKey.default
+    };
+    
+    const pool = { poolKeys, state };
+    poolCache.set(poolId, pool);
+    return pool;
+  }
+  
+  async function getTokenProgram(mint) {
+    const key = mint.toBase58();
+    if (!mintPrograms.has(key)) {
+      const mintAccount = await connection.getAccountInfo(mint);
+      if (!mintAccount) {
+        throw new Error(`Mint ${key} not found`);
+      }
+      mintPrograms.set(key, mintAccount.owner);
+    }
+    return mintPrograms.get(key);
+  }
+  
+  // Vault balances less the PnL the pool still owes itself
+  async function getReserves({ poolKeys, state }) {
+    const { value: [baseVault, quoteVault] } = await connection.getMultipleParsedAccounts([poolKeys.baseVault, poolKeys.quoteVault]);
+    if (!baseVault || !quoteVault) {
+      throw new Error(`Vaults for pool ${poolKeys.id.toBase58()} not found`);
+    }
+    const base = BigInt(baseVault.data.parsed.info.tokenAmount.amount) - BigInt(state.baseNeedTakePnl.toString());
+    const quote = BigInt(quoteVault.data.parsed.info.tokenAmount.amount) - BigInt(state.quoteNeedTakePnl.toString());
+    return { base, quote };
+  }
+  
+  // request: { inputMint, outputMint, amount, slippageBps }
+  // Returns { success, quoteResponse } or { success: false, error }
+  async function quote(request) {
+    try {
+      const poolId = await findPool(request.inputMint, request.outputMint);
+      if (!poolId) {
+        return { success: false, error: 'No Raydium pool for this pair' };
+      }
+      
+      const pool = await loadPool(poolId);
+      const { poolKeys, state } = pool;
+      const openTime = state.poolOpenTime.toNumber();
+      if (openTime * 1000 > Date.now()) {
+        return { success: false, error: `Raydium pool opens at ${new Date(openTime * 1000).toLocaleString()}` };
+      }
+      
+      const baseIn = poolKeys.baseMint.toBase58() === request.inputMint;
+      const reserves = await getReserves(pool);
+      const [reserveIn, reserveOut] = baseIn ? [reserves.base, reserves.quote] : [reserves.quote, reserves.base];
+      if (reserveIn <= 0n || reserveOut <= 0n) {
+        return { success: false, error: 'Raydium pool has no liquidity' };
+      }
+      
+      const amountIn = BigInt(request.amount);
+      const feeNumerator = BigInt(state.swapFeeNumerator.toString());
+      const feeDenominator = BigInt(state.swapFeeDenominator.toString());
+      const amountInAfterFee = amountIn * (feeDenominator - feeNumerator) / feeDenominator;
+      const amountOut = amountInAfterFee * reserveOut / (reserveIn + amountInAfterFee);
+      const minAmountOut = amountOut * (BPS_DENOMINATOR - BigInt(request.slippageBps)) / BPS_DENOMINATOR;
+      const priceImpactPct = Number(amountInAfterFee) / Number(reserveIn + amountInAfterFee) * 100;
+      
+      return {
+        success: true,
+        quoteResponse: {
+          inputMint: request.inputMint,
+          outputMint: request.outputMint,
+          inAmount: amountIn.toString(),
+          outAmount: amountOut.toString(),
+          otherAmountThreshold: minAmountOut.toString(),
+          swapMode: 'ExactIn',
+          slippageBps: Number(request.slippageBps),
+          priceImpactPct: priceImpactPct.toString(),
+          routePlan: [{ swapInfo: { ammKey: poolId, label: 'Raydium AMM', inputMint: request.inputMint, outputMint: request.outputMint } }],
+          venue: 'raydium'
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  
+  // Creates the output token account first when the wallet doesn't have one yet. When SOL is one
+  // side of the swap, a temporary wSOL account is opened for it (funded with the input amount on
+  // a buy) and closed after the swap, which returns its balance and rent as native SOL.
+  // Returns { success, transaction } or { success: false, error }
+  // budget: { computeUnitLimit, microLamports }, or null to leave the runtime defaults
+  async function buildSwap(quoteResponse, owner, budget = null) {
+    try {
+      const { poolKeys } = await loadPool(quoteResponse.routePlan[0].swapInfo.ammKey);
+      const inputMint = new PublicKey(quoteResponse.inputMint);
+      const outputMint = new PublicKey(quoteResponse.outputMint);
+      const solIn = quoteResponse.inputMint === WSOL_MINT;
+      const solOut = quoteResponse.outputMint === WSOL_MINT;
+      const programIn = await getTokenProgram(inputMint);
+      const programOut = await getTokenProgram(outputMint);
+      
+      // The AMM passes a single token program to both transfers
+      if (!programIn.equals(programOut)) {
+        return { success: false, error: `Raydium AMM v4 can't swap between mints owned by different token programs (${programIn.toBase58()}, ${programOut.toBase58()})` };
+      }
+      
+      const instructions = budget ? makeComputeBudgetInstructions(budget) : [];
+      let wrappedSol = null;
+      if (solIn || solOut) {
+        const { address, innerTransaction } = await Spl.makeCreateWrappedNativeAccountInstructions({
+          connection,
+          owner,
+          payer: owner,
+          amount: solIn ? quoteResponse.inAmount : 0
+        });
+        wrappedSol = address.newAccount;
+        instructions.push(...innerTransaction.instructions);
+      }
+      
+      const tokenAccountIn = solIn ? wrappedSol : getAssociatedTokenAddress(owner, inputMint, programIn);
+      const tokenAccountOut = solOut ? wrappedSol : getAssociatedTokenAddress(owner, outputMint, programOut);
+      if (!solOut && !await connection.getAccountInfo(tokenAccountOut)) {
+        instructions.push(Spl.makeCreateAssociatedTokenAccountInstruction({
+          programId: programOut,
+          mint: outputMint,
+          associatedAccount: tokenAccountOut,
+          owner,
+          payer: owner,
+          instructionsType: []
+        }));
+      }
+      
+      const { innerTransaction } = Liquidity.makeSwapFixedInInstruction({
+        poolKeys,
+        userKeys: { tokenAccountIn, tokenAccountOut, owner },
+        amountIn: quoteResponse.inAmount,
+        minAmountOut: quoteResponse.otherAmountThreshold
+      }, poolKeys.version);
+      // The SDK always names the classic token program
+      instructions.push(...innerTransaction.instructions.map(instruction => {
+        instruction.keys = instruction.keys.map(key => key.pubkey.equals(TOKEN_PROGRAM_ID) ? { ...key, pubkey: programIn } : key);
+        return instruction;
+      }));
+      
+      if (wrappedSol) {
+        instructions.push(Spl.makeCloseAccountInstruction({
+          programId: TOKEN_PROGRAM_ID,
+          tokenAccount: wrappedSol,
+          owner,
+          payer: owner,
+          instructionsType: []
+        }));
+      }
+      
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      const message = new TransactionMessage({
+        payerKey: owner,
+        recentBlockhash: blockhash,
+        instructions
+      }).compileToV0Message();
+      
+      return {
+        success: true,
+        transaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+        lastValidBlockHeight
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  
+  return {
+    rememberPool,
+    getKnownPool,
+    findPool,
+    quote,
+    buildSwap
+  };
+}
+
+module.exports = {
+  getAssociatedTokenAddress,
+  createRaydiumSwapClient
+};
@@ -0,0 +1,83 @@
+// Weighted risk scoring for the safety checks.
+//
+// Every token starts at MAX_SCORE. A failed hard blocker rejects the token outright, and any
+// other failed check subtracts its weight. Checks that pass or are skipped cost nothing. A token
+// is sniped only when no hard blocker failed and its score is at or above the threshold.
+// A check without a configured weight counts as a hard blocker, so new checks fail closed.
+const MAX_SCORE = 100;
+
+const SAFETY_CHECKS = [
+  'mintAuthority',
+  'freezeAuthority',
+  'supply',
+  'tokenExtensions',
+  'metadata',
+  'honeypot',
+  'priceImpact',
+  'holderDistribution',
+  'liquidityLock'
+];
+
+// scoring: { threshold, hardBlockers, weights }
+function isHardBlocker(check, scoring = {}) {
+  return (scoring.hardBlockers || []).includes(check) || (scoring.weights || {})[check] === undefined;
+}
+
+function getCheckWeight(check, scoring = {}) {
+  return isHardBlocker(check, scoring) ? MAX_SCORE : scoring.weights[check];
+}
+
+// checks: the { check, passed, skipped, reason } entries from checkTokenSafety
+// Returns { passed, score, threshold, failedCheck, reason, breakdown: [{ check, passed, blocker, penalty, reason }] }
+// failedCheck is the hard blocker that failed, 'riskScore' when the score is too low, or null.
+function scoreSafetyChecks(checks, scoring = {}) {
+  const threshold = scoring.threshold ?? MAX_SCORE;
+  const breakdown = checks
+    .filter(check => !check.skipped)
+    .map(check => {
+      const blocker = isHardBlocker(check.check, scoring);
+      const penalty = check.passed ? 0 : getCheckWeight(check.check, scoring);
+      return { check: check.check, passed: check.passed, blocker, penalty, reason: check.passed ? null : check.reason };
+    });
+  
+  const score = Math.max(MAX_SCORE - breakdown.reduce((sum, entry) => sum + entry.penalty, 0), 0);
+  const result = { score, threshold, breakdown };
+  
+  const blocked = breakdown.find(entry => entry.blocker && !entry.passed);
+  if (blocked) {
+    return { passed: false, failedCheck: blocked.check, reason: blocked.reason, ...result };
+  }
+  if (score < threshold) {
+    return { passed: false, failedCheck: 'riskScore', reason: `Risk score ${formatRiskScore(result)} below ${threshold}`, ...result };
+  }
+  return { passed: true, failedCheck: null, reason: null, ...result };
+}
+
+// e.g. "70/100 (holderDistribution -20, supply -10)"
+function formatRiskScore(risk) {
+  const penalties = risk.breakdown.filter(entry => entry.penalty > 0);
+  return `${risk.score}/${MAX_SCORE}` +
+    (penalties.length > 0 ? ` (${penalties.map(entry => `${entry.check} -${entry.penalty}`).join(', ')})` : '');
+}
+
+// What gets stored with a snipe: the score and each check's penalty
+function summarizeRisk(risk) {
+  if (!risk) {
+    return null;
+  }
+  return {
+    score: risk.score,
+    threshold: risk.threshold,
+    breakdown: risk.breakdown.map(({ check, penalty, reason }) => ({ check, penalty, reason }))
+  };
+}
+
+module.exports = {
+  MAX_SCORE,
+  SAFETY_CHECKS,
+  isHardBlocker,
+  getCheckWeight,
+  scoreSafetyChecks,
+  formatRiskScore,
+  summarizeRisk
+};
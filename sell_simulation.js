@@ -0,0 +1,125 @@
+const { PublicKey, SystemProgram, VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getAssociatedTokenAddress } = require('./raydium_swap');
+const { EXCLUDED_OWNERS } = require('./holder_analysis');
+const { QUOTE_ASSETS } = require('./quote_assets');
+
+// Sell-side honeypot simulation.
+//
+// A quote only proves that a route exists. To see whether a sell really executes, the sell is
+// built for a wallet that already holds the token (one of its largest holders) and run through
+// simulateTransaction with signature verification off, so no key is needed. Transfer hooks,
+// blacklists and transfer taxes all run as they would for us. The holder's output token account
+// is read back from the simulation to measure what the sell actually pays against the quote.
+// A sell into SOL is unwrapped into the holder's wallet, so its lamports are read instead (the
+// network fee comes out of them too, which is negligible next to the test amount).
+//
+// A simulation result is { success, error, logs, holder, quotedAmount, receivedAmount, unitsConsumed }
+// with raw amounts as strings, or { skipped: true, reason } when no holder could be used.
+const MIN_FEE_PAYER_LAMPORTS = 0.01 * LAMPORTS_PER_SOL;
+const TOKEN_AMOUNT_OFFSET = 64;
+const MAX_RECORDED_LOGS = 20;
+
+// The first of the largest holders that can sign for a sell of `amount`: a funded wallet (not a
+// pool vault, burn address or program account) holding it in its associated token account
+async function findSimulationHolder(connection, tokenMint, tokenProgramId, amount) {
+  const mint = new PublicKey(tokenMint);
+  const programId = new PublicKey(tokenProgramId);
+  const largest = await connection.getTokenLargestAccounts(mint, 'confirmed');
+  const candidates = largest.value.filter(account => BigInt(account.amount) >= BigInt(amount));
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  const { value: tokenAccounts } = await connection.getMultipleParsedAccounts(candidates.map(account => account.address));
+  const owners = tokenAccounts.map(account => account?.data?.parsed?.info?.owner || null);
+  const ownerAccounts = await connection.getMultipleAccountsInfo(owners.map(owner => new PublicKey(owner || PublicKey.default)));
+  
+  const index = candidates.findIndex((candidate, i) => {
+    const owner = owners[i];
+    if (!owner || EXCLUDED_OWNERS[owner] || tokenAccounts[i].data.parsed.info.state === 'frozen') {
+      return false;
+    }
+    const ownerKey = new PublicKey(owner);
+    return PublicKey.isOnCurve(ownerKey.toBytes()) &&
+      ownerAccounts[i] && ownerAccounts[i].owner.equals(SystemProgram.programId) &&
+      ownerAccounts[i].lamports >= MIN_FEE_PAYER_LAMPORTS &&
+      getAssociatedTokenAddress(ownerKey, mint, programId).equals(candidate.address);
+  });
+  return index === -1 ? null : owners[index];
+}
+
+function readOutputAmount(account, native) {
+  if (!account) {
+    return 0n;
+  }
+  if (native) {
+    return BigInt(account.lamports);
+  }
+  const data = Buffer.isBuffer(account.data) ? account.data : Buffer.from(account.data[0], 'base64');
+  return data.length >= TOKEN_AMOUNT_OFFSET + 8 ? data.readBigUInt64LE(TOKEN_AMOUNT_OFFSET) : 0n;
+}
+
+// The error plus the last log line that explains it, e.g. a program's "Error: ..." message
+function describeSimulationError(err, logs) {
+  const error = typeof err === 'string' ? err : JSON.stringify(err);
+  const reversed = [...logs].reverse();
+  const explanation = reversed.find(line => /^Program log: (Anchor)?Error/.test(line)) ||
+    reversed.find(line => /failed|insufficient/i.test(line));
+  return explanation ? `${error} (${explanation.replace(/^Program log: /, '')})` : error;
+}
+
+// transaction: the unsigned base64 sell transaction built for `holder`
+// outputMint: what the sell pays out in (native SOL or a classic SPL token such as USDT)
+async function simulateSell(connection, { transaction, holder, outputMint, quotedAmount }) {
+  const native = outputMint === QUOTE_ASSETS.SOL.mint;
+  const outputAccount = native ? new PublicKey(holder) : getAssociatedTokenAddress(new PublicKey(holder), new PublicKey(outputMint));
+  const before = await connection.getAccountInfo(outputAccount);
+  
+  const { value } = await connection.simulateTransaction(VersionedTransaction.deserialize(Buffer.from(transaction, 'base64')), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: 'confirmed',
+    accounts: { encoding: 'base64', addresses: [outputAccount.toBase58()] }
+  });
+  
+  const logs = (value.logs || []).slice(-MAX_RECORDED_LOGS);
+  const result = { holder, quotedAmount: String(quotedAmount), unitsConsumed: value.unitsConsumed, logs };
+  if (value.err) {
+    return { success: false, error: describeSimulationError(value.err, value.logs || []), ...result };
+  }
+  
+  const received = readOutputAmount(value.accounts?.[0], native) - readOutputAmount(before, native);
+  return { success: true, receivedAmount: received.toString(), ...result };
+}
+
+// limits: { maxTaxPercent, requireSimulation }
+// Returns { passed, reason, details, holder, taxPercent, unitsConsumed }
+function analyzeSellSimulation(simulation, limits = {}) {
+  if (simulation.skipped) {
+    if (limits.requireSimulation) {
+      return { passed: false, reason: `Sell could not be simulated: ${simulation.reason}` };
+    }
+    return { passed: true, details: `Sell simulation skipped: ${simulation.reason}` };
+  }
+  
+  const result = { holder: simulation.holder, unitsConsumed: simulation.unitsConsumed };
+  if (!simulation.success) {
+    return { passed: false, reason: `Simulated sell reverts: ${simulation.error}`, ...result };
+  }
+  
+  const quoted = BigInt(simulation.quotedAmount);
+  const received = BigInt(simulation.receivedAmount);
+  const taxPercent = quoted > 0n ? Math.max(Number((quoted - received) * 10000n / quoted) / 100, 0) : 0;
+  const details = `Simulated sell paid ${received} of ${quoted} quoted (${taxPercent.toFixed(2)}% lost)`;
+  
+  if (limits.maxTaxPercent !== undefined && taxPercent > limits.maxTaxPercent) {
+    return { passed: false, reason: `${details}, above the ${limits.maxTaxPercent}% tax limit`, details, taxPercent, ...result };
+  }
+  return { passed: true, details, taxPercent, ...result };
+}
+
+module.exports = {
+  findSimulationHolder,
+  simulateSell,
+  analyzeSellSimulation
+};
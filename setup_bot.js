@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const readline = require('readline');
+const { KEYSTORE_FILE, encryptKeypair, writeKeystore, parseSecretKey, promptHidden, getNewPassphrase } = require('./keystore');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -21,14 +22,25 @@ async function setupBot() {
   console.log('This will help you set up your sniping bot with your own credentials.\n');
   
   // Get user inputs
-  const privateKey = await question('Enter your wallet private key (base58): ');
+  const replaceKeystore = !fs.existsSync(KEYSTORE_FILE) ||
+    (await question(`${KEYSTORE_FILE} already exists - replace it with a new key? (y/N): `)).trim().toLowerCase() === 'y';
   const birdeyeApiKey = await question('Enter your Birdeye API key: ');
   const telegramBotToken = await question('Enter your Telegram bot token (or press Enter to skip): ');
   const telegramChatId = await question('Enter your Telegram chat ID (or press Enter to skip): ');
   
-  // Create .env content
+  // The private key and passphrase are read without echoing them, once the other questions are done
+  rl.close();
+  if (replaceKeystore) {
+    const parsed = parseSecretKey(await promptHidden('Enter your wallet private key (base58, hidden): '));
+    if (!parsed.success) {
+      throw new Error(parsed.error);
+    }
+    console.log('Choose a passphrase to encrypt the key with - the bot asks for it at startup');
+    writeKeystore(encryptKeypair(parsed.keypair, await getNewPassphrase()), KEYSTORE_FILE);
+  }
+  
+  // Create .env content - the private key stays out of it, in the encrypted keystore
   let envContent = `# Solana Configuration
-PRIVATE_KEY_BASE58=${privateKey}
 SOLANA_RPC=https://api.mainnet-beta.solana.com
 
 # API Keys
@@ -44,12 +56,16 @@ TELEGRAM_CHAT_ID=${telegramChatId || ''}
   
   console.log('\n✅ Setup complete!');
   console.log('📁 .env file created with your credentials');
+  console.log(replaceKeystore ? `🔐 Wallet key encrypted into ${KEYSTORE_FILE}` : `🔐 Keeping the existing ${KEYSTORE_FILE}`);
   console.log('\n📋 Next steps:');
-  console.log('1. Fund your wallet with SOL (for fees) and USDT (for sniping)');
-  console.log('2. Run: node sniper_birdeye.js');
+  console.log('1. Fund your wallet with SOL (for fees) and the quote asset in strategy.json (USDT by default) for sniping');
+  console.log('2. Run: node sniper_birdeye.js (enter the keystore passphrase when asked)');
   console.log('3. For Telegram bot: node telegram_bot.js');
-  
-  rl.close();
+  console.log(`\n⚠️ Back up ${KEYSTORE_FILE} and remember the passphrase - the key cannot be recovered without both`);
 }
 
-setupBot().catch(console.error); 
\ No newline at end of file
+setupBot().catch(error => {
+  console.error(`❌ Setup failed: ${error.message}`);
+  rl.close();
+  process.exit(1);
+}); 
\ No newline at end of file
@@ -0,0 +1,218 @@
+// Snipe filter rules - each rule looks at a Birdeye token snapshot and returns
+// { passed, reason }. Rules are enabled, ordered and parameterised from the
+// `filters` section of strategy.json. A rule's optional prepare(params) runs once
+// per config, for work that shouldn't be repeated for every token.
+
+const FILTER_RULES = {
+  liquidity: {
+    description: 'Minimum pool liquidity in USD',
+    params: {
+      min: { type: 'number', min: 0 }
+    },
+    defaults: { min: 3000 },
+    check(token, params) {
+      if (!token.liquidity || token.liquidity < params.min) {
+        return { passed: false, reason: `Liquidity $${formatNumber(token.liquidity)} below $${formatNumber(params.min)}` };
+      }
+      return { passed: true, reason: `Liquidity $${formatNumber(token.liquidity)}` };
+    }
+  },
+  
+  marketCap: {
+    description: 'Market cap range in USD',
+    params: {
+      min: { type: 'number', min: 0 },
+      max: { type: 'number', exclusiveMin: 0 }
+    },
+    defaults: { min: 30000, max: 10000000 },
+    check(token, params) {
+      if (!token.mc || token.mc < params.min) {
+        return { passed: false, reason: `Market cap $${formatNumber(token.mc)} below $${formatNumber(params.min)}` };
+      }
+      if (token.mc > params.max) {
+        return { passed: false, reason: `Market cap $${formatNumber(token.mc)} above $${formatNumber(params.max)}` };
+      }
+      return { passed: true, reason: `Market cap $${formatNumber(token.mc)}` };
+    }
+  },
+  
+  price: {
+    description: 'Price band in USD (avoids dust and obviously broken prices)',
+    params: {
+      min: { type: 'number', min: 0 },
+      max: { type: 'number', exclusiveMin: 0 }
+    },
+    defaults: { min: 0.000001, max: 1000 },
+    check(token, params) {
+      if (!token.price || token.price < params.min) {
+        return { passed: false, reason: `Price $${token.price || 0} below $${params.min}` };
+      }
+      if (token.price > params.max) {
+        return { passed: false, reason: `Price $${token.price} above $${params.max}` };
+      }
+      return { passed: true, reason: `Price $${token.price}` };
+    }
+  },
+  
+  recency: {
+    description: 'Last trade must be within this many minutes',
+    params: {
+      maxAgeMinutes: { type: 'number', exclusiveMin: 0 }
+    },
+    defaults: { maxAgeMinutes: 60 },
+    check(token, params, context) {
+      const ageMinutes = (context.now - (token.lastTradeUnixTime || 0) * 1000) / (60 * 1000);
+      if (ageMinutes > params.maxAgeMinutes) {
+        return { passed: false, reason: `Last trade ${Math.floor(ageMinutes)} minutes ago (max ${params.maxAgeMinutes})` };
+      }
+      return { passed: true, reason: `Last trade ${Math.floor(ageMinutes)} minutes ago` };
+    }
+  },
+  
+  volume24h: {
+    description: 'Minimum 24h volume in USD',
+    params: {
+      min: { type: 'number', min: 0 }
+    },
+    defaults: { min: 5000 },
+    check(token, params) {
+      if (!token.v24hUSD || token.v24hUSD < params.min) {
+        return { passed: false, reason: `24h volume $${formatNumber(token.v24hUSD)} below $${formatNumber(params.min)}` };
+      }
+      return { passed: true, reason: `24h volume $${formatNumber(token.v24hUSD)}` };
+    }
+  },
+  
+  volumeToMarketCap: {
+    description: 'Minimum 24h volume / market cap ratio',
+    params: {
+      min: { type: 'number', min: 0 }
+    },
+    defaults: { min: 0.05 },
+    check(token, params) {
+      const ratio = token.mc ? (token.v24hUSD || 0) / token.mc : 0;
+      if (ratio < params.min) {
+        return { passed: false, reason: `Volume/MC ${(ratio * 100).toFixed(1)}% below ${(params.min * 100).toFixed(1)}%` };
+      }
+      return { passed: true, reason: `Volume/MC ${(ratio * 100).toFixed(1)}%` };
+    }
+  },
+  
+  volatility: {
+    description: 'Maximum absolute 24h price change (avoids extreme pumps/dumps)',
+    params: {
+      maxChange24hPercent: { type: 'number', exclusiveMin: 0 }
+    },
+    defaults: { maxChange24hPercent: 1000 },
+    check(token, params) {
+      const change = Math.abs(token.v24hChangePercent || 0);
+      if (change > params.maxChange24hPercent) {
+        return { passed: false, reason: `24h change ${change.toFixed(0)}% above ${params.maxChange24hPercent}%` };
+      }
+      return { passed: true, reason: `24h change ${change.toFixed(0)}%` };
+    }
+  },
+  
+  nameList: {
+    description: 'Skip tokens whose name or symbol matches a deny pattern, unless it also matches an allow pattern',
+    params: {
+      deny: { type: 'array', items: { type: 'string', minLength: 1, regex: true } },
+      allow: { type: 'array', items: { type: 'string', minLength: 1, regex: true } }
+    },
+    defaults: { deny: [], allow: [] },
+    // Patterns are case-insensitive regular expressions, so a plain word matches anywhere
+    prepare(params) {
+      const compile = patterns => patterns.map(pattern => ({ pattern, regex: new RegExp(pattern, 'i') }));
+      return { ...params, deny: compile(params.deny), allow: compile(params.allow) };
+    },
+    check(token, params) {
+      const fields = [token.name || '', token.symbol || ''];
+      const matches = ({ regex }) => fields.some(field => regex.test(field));
+      const denied = params.deny.find(matches);
+      if (!denied) {
+        return { passed: true, reason: 'No denied names' };
+      }
+      const allowed = params.allow.find(matches);
+      if (allowed) {
+        return { passed: true, reason: `Name/symbol allowed by /${allowed.pattern}/` };
+      }
+      return { passed: false, reason: `Name/symbol matches /${denied.pattern}/` };
+    }
+  }
+};
+
+const DEFAULT_FILTER_ORDER = Object.keys(FILTER_RULES);
+
+// filters config -> its active rules. A reloaded strategy is a new object, so entries never go stale.
+const activeRulesCache = new WeakMap();
+
+function formatNumber(value) {
+  return (value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+// Rules listed in `order` run in that order; rules with a config entry but missing
+// from `order` run afterwards in registry order. `enabled: false` turns a rule off.
+// A rule whose prepare() throws keeps the error and fails every token.
+function getActiveRules(filtersConfig) {
+  if (activeRulesCache.has(filtersConfig)) {
+    return activeRulesCache.get(filtersConfig);
+  }
+  
+  const rulesConfig = filtersConfig.rules || {};
+  const order = filtersConfig.order || DEFAULT_FILTER_ORDER;
+  const names = [...order, ...DEFAULT_FILTER_ORDER.filter(name => !order.includes(name) && rulesConfig[name])];
+  
+  const activeRules = names
+    .filter(name => FILTER_RULES[name] && rulesConfig[name] && rulesConfig[name].enabled !== false)
+    .map(name => {
+      const rule = FILTER_RULES[name];
+      const { enabled, ...params } = rulesConfig[name];
+      const merged = { ...rule.defaults, ...params };
+      try {
+        return { name, rule, params: rule.prepare ? rule.prepare(merged) : merged };
+      } catch (error) {
+        return { name, rule, params: merged, error };
+      }
+    });
+  activeRulesCache.set(filtersConfig, activeRules);
+  return activeRules;
+}
+
+// Runs every active rule so each token gets a full verdict; `rejectedBy` is the
+// first failing rule in pipeline order.
+function evaluateSnipeFilters(token, filtersConfig, context) {
+  if ((context.excludedTokens || []).includes(token.address)) {
+    return {
+      passed: false,
+      rejectedBy: 'excluded',
+      reason: 'Token is in excludedTokens',
+      results: [{ rule: 'excluded', passed: false, reason: 'Token is in excludedTokens' }]
+    };
+  }
+  
+  const results = getActiveRules(filtersConfig).map(({ name, rule, params, error }) => {
+    try {
+      if (error) {
+        throw error;
+      }
+      return { rule: name, ...rule.check(token, params, context) };
+    } catch (error) {
+      return { rule: name, passed: false, reason: `Rule error: ${error.message}` };
+    }
+  });
+  
+  const firstFailure = results.find(result => !result.passed);
+  return {
+    passed: !firstFailure,
+    rejectedBy: firstFailure ? firstFailure.rule : null,
+    reason: firstFailure ? firstFailure.reason : null,
+    results
+  };
+}
+
+module.exports = {
+  FILTER_RULES,
+  DEFAULT_FILTER_ORDER,
+  getActiveRules,
+  evaluateSnipeFilters
+};
@@ -1,199 +1,434 @@
 require('dotenv').config();
 const fetch = require('node-fetch');
-const { Connection, Keypair, PublicKey, Transaction, VersionedTransaction } = require('@solana/web3.js');
-const bs58 = require('bs58');
+const { Connection, Keypair, PublicKey, Transaction, VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { STRATEGY_CONFIG_FILE, loadStrategyConfig, watchStrategyConfig } = require('./strategy_config');
+const { getActiveRules, evaluateSnipeFilters } = require('./snipe_filters');
+const { AUDIT_LOG_FILE, appendAuditRecord } = require('./audit_log');
+const { createMarketRecorder, loadRecording, createReplaySource } = require('./market_recorder');
+const { createMarketDataFromEnv } = require('./market_data');
+const { createRaydiumPoolListener } = require('./raydium_pools');
+const { createRaydiumSwapClient } = require('./raydium_swap');
+const { fetchHolderSnapshot, analyzeHolderDistribution } = require('./holder_analysis');
+const { fetchLpSnapshot, analyzeLiquidityLock } = require('./liquidity_lock');
+const { getTransferFeeBps, inspectTokenExtensions } = require('./token_extensions');
+const { fetchMetadataSnapshot, analyzeTokenMetadata } = require('./token_metadata');
+const { findSimulationHolder, simulateSell, analyzeSellSimulation } = require('./sell_simulation');
+const { isHardBlocker, getCheckWeight, scoreSafetyChecks, formatRiskScore, summarizeRisk } = require('./risk_score');
+const { sizePosition, checkExposureLimits } = require('./bankroll');
+const { getQuoteAsset, toRawAmount, fromRawAmount, formatAssetAmount, getWalletBalance, migratePosition } = require('./quote_assets');
+const { findWalletSource, unlockWallet } = require('./keystore');
+const { estimatePriorityFee, priorityFeeLamports, fitComputeUnitLimit, applyComputeBudget, readComputeBudget } = require('./priority_fees');
+const { createTransactionSender } = require('./transaction_sender');
+const { fetchSwapFill } = require('./swap_fills');
+const { scoreCandidate, createCandidateQueue, runWorkerPool, createSerialLane, createCycleScheduler } = require('./candidate_pipeline');
 
 const fs = require('fs');
 const path = require('path');
 
 // Configuration
-const BIRDEYE_API_KEY = process.env.BIRDEYE_API_KEY;
-const PRIVATE_KEY_BASE58 = process.env.PRIVATE_KEY_BASE58;
 const SOLANA_RPC = process.env.SOLANA_RPC || 'https://api.mainnet-beta.solana.com';
-const API_URL = 'https://public-api.birdeye.so/defi/tokenlist';
-const NEW_LISTINGS_URL = 'https://public-api.birdeye.so/defi/v2/tokens/new_listing';
-
-// Filtering criteria - Fine-tuned for better balance
-const MIN_LIQUIDITY = 3000; // Lowered from 5000 to catch more new tokens
-const MIN_MARKET_CAP = 30000; // Increased from 3000 to 30000 to catch more new tokens
-const MAX_MARKET_CAP = 10000000; // Increased from 5M to 10M to catch more established tokens
-const MONITOR_INTERVAL = 10000; // 10 seconds - more frequent checks
-const MAX_TOKEN_AGE_MINUTES = 60; // Increased from 30 to 60 minutes to catch more opportunities
-const MIN_VOLUME_24H = 5000; // Minimum 24h volume in USD
-
-// Known stablecoins and major tokens to exclude
-const EXCLUDED_TOKENS = [
-  'So11111111111111111111111111111111111111112', // SOL
-  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-  'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', // mSOL
-  'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', // JitoSOL
-  'jupSoLaHXQiZZTSfEWMTRRgpnyFm8f6sZdosWBjx93v', // JupSOL
-];
+const SOLANA_WS = process.env.SOLANA_WS; // Derived from SOLANA_RPC when unset
+// Extra RPC endpoints every swap is broadcast to as well, comma-separated
+const SOLANA_BROADCAST_RPCS = (process.env.SOLANA_BROADCAST_RPCS || '').split(',').map(url => url.trim()).filter(Boolean);
+const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6/quote';
 
 // Sniping configuration
-const SNIPE_AMOUNT_USDT = 1.0; // Amount to snipe in USDT
-const MAX_SLIPPAGE_BPS = 500; // 5% max slippage
-const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
-const DRY_RUN = false; // Set to false to execute real trades
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
 
-// Portfolio management
+// Portfolio management - paper trades (dryRun) are kept apart from the live book
 const PORTFOLIO_FILE = 'portfolio.json';
 const SNIPES_LOG_FILE = 'snipes_log.json';
+const PAPER_PORTFOLIO_FILE = 'paper_portfolio.json';
+const PAPER_SNIPES_LOG_FILE = 'paper_snipes_log.json';
+
+// Command line options: --profile <name>, --record, --replay <file>, --report-file <path>, --bankroll <amount>
+function getArgumentValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) {
+      return args[i + 1];
+    }
+    if (args[i].startsWith(`${name}=`)) {
+      return args[i].slice(name.length + 1);
+    }
+  }
+  return null;
+}
+
+function hasArgument(name) {
+  return process.argv.slice(2).includes(name);
+}
+
+// Market data can be recorded while running live (--record or RECORD_MARKET_DATA=true) and
+// replayed later with --replay <file>. A replay simulates every fill against an in-memory
+// book and never touches the wallet, portfolio files or Telegram.
+const REPLAY_FILE = getArgumentValue('--replay');
+const RECORD_MARKET_DATA = !REPLAY_FILE && (hasArgument('--record') || process.env.RECORD_MARKET_DATA === 'true');
 
 // Telegram configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-const ENABLE_TELEGRAM = TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID;
+const ENABLE_TELEGRAM = TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_ID && !REPLAY_FILE;
 
 // Validation
-if (!BIRDEYE_API_KEY) {
-  console.error('Missing BIRDEYE_API_KEY in .env');
+// Token lists and prices come from the configured market data providers (see market_data.js)
+const marketDataResult = createMarketDataFromEnv();
+if (!marketDataResult.success && !REPLAY_FILE) {
+  marketDataResult.errors.forEach(error => console.error(error));
   process.exit(1);
 }
+const marketData = marketDataResult.client;
+
+// The wallet lives in an encrypted keystore (see keystore.js) and is unlocked once startup is done.
+// Only its public key is needed until then.
+const walletSourceResult = REPLAY_FILE ? null : findWalletSource();
+if (walletSourceResult && !walletSourceResult.success) {
+  console.error(walletSourceResult.error);
+  process.exit(1);
+}
+const walletSource = walletSourceResult && walletSourceResult.source;
+
+// Strategy settings (filters, safety, sniping, exits) live in strategy.json and are hot reloaded.
+// A named profile from the file can be applied on top with --profile <name> or STRATEGY_PROFILE.
+const strategyResult = loadStrategyConfig(STRATEGY_CONFIG_FILE, getArgumentValue('--profile') || process.env.STRATEGY_PROFILE || null);
+if (!strategyResult.success) {
+  console.error(`Invalid strategy config in ${STRATEGY_CONFIG_FILE}:`);
+  strategyResult.errors.forEach(error => console.error(`  • ${error}`));
+  process.exit(1);
+}
+let strategy = strategyResult.config;
+const STRATEGY_PROFILE = strategyResult.profile;
+
+// Recording or replay source for market data (see market_recorder.js)
+const marketRecorder = RECORD_MARKET_DATA ? createMarketRecorder() : null;
+let replaySource = null;
+if (REPLAY_FILE) {
+  const recording = loadRecording(REPLAY_FILE);
+  if (!recording.success) {
+    console.error(`Cannot replay: ${recording.error}`);
+    process.exit(1);
+  }
+  replaySource = createReplaySource(recording.cycles);
+}
 
-if (!PRIVATE_KEY_BASE58) {
-  console.error('Missing PRIVATE_KEY_BASE58 in .env');
+// Replays start from a simulated bankroll in the quote asset and keep their book in memory
+const REPLAY_BANKROLL = parseFloat(getArgumentValue('--bankroll') || '100');
+let replayPortfolio = null;
+let simulatedSwapCount = 0;
+const replayActionCounts = {};
+if (REPLAY_FILE && !(REPLAY_BANKROLL > 0)) {
+  console.error('--bankroll must be a positive amount of the quote asset');
   process.exit(1);
 }
 
-// Initialize Solana connection and wallet
-const connection = new Connection(SOLANA_RPC, 'confirmed');
-const wallet = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY_BASE58));
+// Initialize Solana connection and wallet (a throwaway keypair when replaying, otherwise set by openWallet)
+const connection = new Connection(SOLANA_RPC, { commitment: 'confirmed', wsEndpoint: SOLANA_WS });
+let wallet = REPLAY_FILE ? Keypair.generate() : null;
+const raydiumSwap = createRaydiumSwapClient({ connection });
+const transactionSender = createTransactionSender({ connection, broadcastEndpoints: SOLANA_BROADCAST_RPCS });
 
 console.log('🚀 Solana Sniping Bot Started');
-console.log('Wallet:', wallet.publicKey.toString());
-console.log('RPC:', SOLANA_RPC);
-console.log('Monitoring interval:', MONITOR_INTERVAL / 1000, 'seconds');
-console.log('Sniping amount:', SNIPE_AMOUNT_USDT, 'USDT');
+console.log('Wallet:', REPLAY_FILE ? `${wallet.publicKey.toString()} (throwaway, replay)` : `${walletSource.publicKey} (${walletSource.type === 'keystore' ? walletSource.file : 'plaintext PRIVATE_KEY_BASE58'})`);
+console.log('RPC:', SOLANA_RPC + (SOLANA_BROADCAST_RPCS.length ? ` (+${SOLANA_BROADCAST_RPCS.length} broadcast endpoint${SOLANA_BROADCAST_RPCS.length > 1 ? 's' : ''})` : ''));
+console.log('Strategy config:', STRATEGY_CONFIG_FILE);
+console.log('Strategy profile:', STRATEGY_PROFILE + (strategyResult.description ? ` - ${strategyResult.description}` : ''));
+console.log('Filter pipeline:', getActiveRules(strategy.filters).map(({ name }) => name).join(' → '));
+console.log('Monitoring interval:', strategy.monitorInterval / 1000, 'seconds');
+console.log('Quote asset:', getQuoteAsset(strategy.sniping.quoteAsset).symbol);
+console.log('Sniping amount:', strategy.bankroll?.positionSizePercent ? `${strategy.bankroll.positionSizePercent}% of balance` : formatAssetAmount(strategy.sniping.amount, getQuoteAsset(strategy.sniping.quoteAsset)));
+console.log('Raydium fallback:', isRaydiumFallbackEnabled() ? 'Enabled (direct pool swaps when Jupiter has no route)' : REPLAY_FILE ? 'Disabled (replay)' : 'Disabled');
+console.log('Paper trading:', currentBook() === 'paper' ? `Yes (${PAPER_PORTFOLIO_FILE}, ${formatAssetAmount(strategy.sniping.paperBalance ?? 100, getQuoteAsset(strategy.sniping.quoteAsset))} starting balance)` : 'No');
+console.log('Exits:', `${describeExitPlan(strategy.exits.defaultPlan)}, checked every ${strategy.exits.monitorInterval / 1000} seconds`);
+console.log('Audit log:', REPLAY_FILE ? 'Disabled (replay)' : AUDIT_LOG_FILE);
+if (REPLAY_FILE) {
+  console.log('Market data:', `Replaying ${REPLAY_FILE} (${replaySource.cycleCount} cycles, bankroll ${formatAssetAmount(REPLAY_BANKROLL, getQuoteAsset(strategy.sniping.quoteAsset))})`);
+} else {
+  console.log('Market data:', marketData.providers.join(' → ') + (marketRecorder ? `, recording to ${marketRecorder.file}` : ''));
+}
+console.log('Raydium pool listener:', REPLAY_FILE ? 'Disabled (replay)' : isPoolListenerEnabled() ? `Enabled (${SOLANA_WS || 'WebSocket from RPC'})` : 'Disabled');
 console.log('Telegram notifications:', ENABLE_TELEGRAM ? 'Enabled' : 'Disabled');
 console.log('='.repeat(80));
 
 // Display current portfolio
-displayPortfolio();
+displayPortfolio(currentBook());
 
 // Store previously seen tokens to detect new ones
 let previouslySeenTokens = new Set();
 
-function passesSnipeFilters(token) {
-  // Exclude known major tokens
-  if (EXCLUDED_TOKENS.includes(token.address)) {
-    return false;
+// New tokens wait here, best score first, until a cycle has a worker free for them
+const candidateQueue = createCandidateQueue();
+
+// Buys go one at a time, from the token cycle and the pool listener alike: the balance and
+// exposure checks before a buy have to see the one before it
+const snipeLane = createSerialLane();
+
+// strategy.filters -> skipped rule names -> the filters config without them. Reusing the same
+// config object lets snipe_filters.js prepare its rules once rather than for every token.
+const filterVariants = new WeakMap();
+
+function filtersWithout(skipRules) {
+  if (!filterVariants.has(strategy.filters)) {
+    filterVariants.set(strategy.filters, new Map());
   }
-  
-  // Check liquidity
-  if (!token.liquidity || token.liquidity < MIN_LIQUIDITY) {
-    return false;
+  const variants = filterVariants.get(strategy.filters);
+  const key = skipRules.join(',');
+  if (!variants.has(key)) {
+    const rules = { ...strategy.filters.rules };
+    skipRules.forEach(name => {
+      if (rules[name]) {
+        rules[name] = { ...rules[name], enabled: false };
+      }
+    });
+    variants.set(key, { ...strategy.filters, rules });
   }
-  
-  // Check market cap range
-  if (!token.mc || token.mc < MIN_MARKET_CAP || token.mc > MAX_MARKET_CAP) {
-    return false;
+  return variants.get(key);
+}
+
+// Runs the configured filter pipeline (see snipe_filters.js), leaving out any rules in skipRules.
+// Returns { passed, rejectedBy, reason, results } with one result per rule.
+function passesSnipeFilters(token, skipRules = []) {
+  return evaluateSnipeFilters(token, filtersWithout(skipRules), {
+    now: currentTime(),
+    excludedTokens: strategy.excludedTokens
+  });
+}
+
+function isNewToken(token) {
+  return !previouslySeenTokens.has(token.address);
+}
+
+// New trades go to the paper book while dryRun is on. Replays keep a single in-memory book.
+function currentBook() {
+  return strategy.sniping.dryRun && !REPLAY_FILE ? 'paper' : 'live';
+}
+
+// Market data access - live requests (recorded when --record is on) or the replayed cycle.
+// Replays run on the recording's clock so token ages and timestamps match the original run.
+function currentTime() {
+  return replaySource ? replaySource.now() : Date.now();
+}
+
+// kind: 'tokens' or 'newListings'. Returns { success, data, provider } or { success: false, error }.
+async function fetchTokenList(kind) {
+  if (replaySource) {
+    const tokens = replaySource.tokens(kind);
+    return tokens ? { success: true, data: tokens, provider: replaySource.provider(kind) } : { success: false, error: 'not recorded' };
   }
   
-  // Check if token has reasonable price (not too high or too low)
-  if (!token.price || token.price < 0.000001 || token.price > 1000) {
-    return false;
+  const result = kind === 'tokens' ? await marketData.listTokens() : await marketData.listNewListings();
+  if (result.success && marketRecorder) {
+    marketRecorder.recordMarket(kind, result.provider, result.raw);
   }
+  return result;
+}
+
+// Failed quotes are recorded too - a missing sell route is exactly what the honeypot check looks for
+async function fetchJupiterQuote(params) {
+  const request = {
+    inputMint: params.get('inputMint'),
+    outputMint: params.get('outputMint'),
+    amount: params.get('amount'),
+    slippageBps: params.get('slippageBps')
+  };
   
-  // Check if token is recent (within last 60 minutes)
-  const lastTradeTime = token.lastTradeUnixTime * 1000;
-  const sixtyMinutesAgo = Date.now() - (MAX_TOKEN_AGE_MINUTES * 60 * 1000);
-  if (lastTradeTime < sixtyMinutesAgo) {
-    return false;
+  if (replaySource) {
+    const recorded = replaySource.quote(request);
+    if (!recorded) {
+      return { ok: false, status: 'not recorded' };
+    }
+    return { ok: recorded.ok, status: recorded.status, data: recorded.response };
   }
   
-  // Check 24h volume
-  if (!token.v24hUSD || token.v24hUSD < MIN_VOLUME_24H) {
-    return false;
+  const response = await fetch(`${JUPITER_QUOTE_API}?${params}`);
+  const data = response.ok ? await response.json() : null;
+  if (marketRecorder) {
+    marketRecorder.recordQuote(request, response.ok, response.status, data);
   }
-  
-  // Enhanced volume to market cap ratio check
-  const volumeToMC = token.v24hUSD / token.mc;
-  if (volumeToMC < 0.05) { // Lowered from 0.1 to 0.05 (5% instead of 10%)
-    return false;
+  return { ok: response.ok, status: response.status, data };
+}
+
+// Brand-new pools often aren't routable on Jupiter yet. Replays have no pool state to quote from.
+function isRaydiumFallbackEnabled() {
+  return strategy.sniping.raydiumFallback !== false && !REPLAY_FILE;
+}
+
+// Jupiter first, then a direct quote from the token's Raydium pool when Jupiter has no route.
+// Same { ok, status, data } shape as fetchJupiterQuote, with data.venue set to 'jupiter' or 'raydium'.
+async function fetchSwapQuote(params) {
+  const jupiter = await fetchJupiterQuote(params);
+  if (jupiter.ok) {
+    return { ...jupiter, data: { ...jupiter.data, venue: 'jupiter' } };
   }
-  
-  // Additional filter: Check if price is not too volatile (avoid extreme pumps/dumps)
-  if (token.v24hChangePercent && Math.abs(token.v24hChangePercent) > 1000) {
-    return false; // Skip tokens with >1000% price change in 24h
+  if (!isRaydiumFallbackEnabled()) {
+    return jupiter;
   }
   
-  // Check if token has a reasonable name and symbol (avoid obvious scam names)
-  const suspiciousNames = ['test', 'scam', 'rug', 'fake', 'honeypot', 'shit', 'moon', 'safe'];
-  const tokenName = token.name?.toLowerCase() || '';
-  const tokenSymbol = token.symbol?.toLowerCase() || '';
-  
-  for (const suspicious of suspiciousNames) {
-    if (tokenName.includes(suspicious) || tokenSymbol.includes(suspicious)) {
-      return false;
-    }
+  const raydium = await raydiumSwap.quote({
+    inputMint: params.get('inputMint'),
+    outputMint: params.get('outputMint'),
+    amount: params.get('amount'),
+    slippageBps: params.get('slippageBps')
+  });
+  if (!raydium.success) {
+    console.log(`   ⚠️ Jupiter has no route (${jupiter.status}) and Raydium fallback failed: ${raydium.error}`);
+    return jupiter;
   }
   
-  return true;
+  console.log(`   🔀 Jupiter has no route (${jupiter.status}) - quoting Raydium pool ${raydium.quoteResponse.routePlan[0].swapInfo.ammKey} directly`);
+  return { ok: true, status: 200, data: raydium.quoteResponse };
 }
 
-function isNewToken(token) {
-  return !previouslySeenTokens.has(token.address);
+async function getMintAccountInfo(tokenMint) {
+  if (replaySource) {
+    return replaySource.mintAccount(tokenMint) || { value: null };
+  }
+  
+  const accountInfo = await connection.getParsedAccountInfo(new PublicKey(tokenMint));
+  if (marketRecorder) {
+    marketRecorder.recordMint(tokenMint, {
+      value: accountInfo.value ? { data: accountInfo.value.data, owner: accountInfo.value.owner.toString() } : null
+    });
+  }
+  return accountInfo;
 }
 
+// Returns { passed, failedCheck, reason, checks, risk } with one entry per check that ran (or was
+// skipped) and the weighted risk score built from them (see risk_score.js). Checks keep running
+// after a failure so every one counts towards the score; only a failed hard blocker stops early.
 async function checkTokenSafety(token) {
+  const checks = [];
+  
   try {
+    const safety = strategy.safety;
+    const skipped = (check, label) => {
+      console.log(`   ⏭️ ${label} check disabled for profile ${STRATEGY_PROFILE}`);
+      checks.push({ check, skipped: true });
+    };
+    // Records a check's result; returns true when it failed as a hard blocker
+    const record = (check, label, result, passedMessage) => {
+      checks.push({ check, ...result });
+      if (result.passed) {
+        console.log(`   ✅ ${label}: ${passedMessage}`);
+        return false;
+      }
+      if (isHardBlocker(check, safety.scoring)) {
+        console.log(`   ❌ ${label} check failed: ${result.reason}`);
+        return true;
+      }
+      console.log(`   ⚠️ ${label} check failed (-${getCheckWeight(check, safety.scoring)} risk): ${result.reason}`);
+      return false;
+    };
+    const finish = () => {
+      const risk = scoreSafetyChecks(checks, safety.scoring);
+      console.log(`   🧮 Risk score: ${formatRiskScore(risk)}, threshold ${risk.threshold}`);
+      return { passed: risk.passed, failedCheck: risk.failedCheck, reason: risk.reason, checks, risk };
+    };
+    
     console.log(`🔍 Checking safety for ${token.symbol}...`);
     
     // 1. Check mint authority (should be null for legitimate tokens)
-    const mintAuthorityCheck = await checkMintAuthority(token.address);
-    if (!mintAuthorityCheck.passed) {
-      console.log(`   ❌ Mint authority check failed: ${mintAuthorityCheck.reason}`);
-      return false;
+    if (safety.mintAuthority !== false) {
+      const mintAuthorityCheck = await checkMintAuthority(token.address);
+      if (record('mintAuthority', 'Mint authority', mintAuthorityCheck, mintAuthorityCheck.authority)) {
+        return finish();
+      }
+    } else {
+      skipped('mintAuthority', 'Mint authority');
     }
-    console.log(`   ✅ Mint authority: ${mintAuthorityCheck.authority}`);
     
     // 2. Check freeze authority (should be null for legitimate tokens)
-    const freezeAuthorityCheck = await checkFreezeAuthority(token.address);
-    if (!freezeAuthorityCheck.passed) {
-      console.log(`   ❌ Freeze authority check failed: ${freezeAuthorityCheck.reason}`);
-      return false;
+    if (safety.freezeAuthority !== false) {
+      const freezeAuthorityCheck = await checkFreezeAuthority(token.address);
+      if (record('freezeAuthority', 'Freeze authority', freezeAuthorityCheck, freezeAuthorityCheck.authority)) {
+        return finish();
+      }
+    } else {
+      skipped('freezeAuthority', 'Freeze authority');
     }
-    console.log(`   ✅ Freeze authority: ${freezeAuthorityCheck.authority}`);
     
     // 3. Check token supply (should be reasonable)
-    const supplyCheck = await checkTokenSupply(token.address);
-    if (!supplyCheck.passed) {
-      console.log(`   ❌ Supply check failed: ${supplyCheck.reason}`);
-      return false;
+    if (safety.supply !== false) {
+      const supplyCheck = await checkTokenSupply(token.address);
+      const supplyMessage = supplyCheck.passed ? `${supplyCheck.supply.toLocaleString()} (${supplyCheck.decimals} decimals)` : null;
+      if (record('supply', 'Supply', supplyCheck, supplyMessage)) {
+        return finish();
+      }
+    } else {
+      skipped('supply', 'Supply');
     }
-    console.log(`   ✅ Supply: ${supplyCheck.supply.toLocaleString()} (${supplyCheck.decimals} decimals)`);
     
-    // 4. Check for honeypot (simulate a sell to see if it's possible)
-    const honeypotCheck = await checkHoneypot(token.address);
-    if (!honeypotCheck.passed) {
-      console.log(`   ❌ Honeypot check failed: ${honeypotCheck.reason}`);
-      return false;
+    // 4. Check Token-2022 extensions (transfer fees, hooks, delegates...) against their policies
+    if (safety.tokenExtensions !== false) {
+      const extensionCheck = await checkTokenExtensions(token.address);
+      if (record('tokenExtensions', 'Token program', extensionCheck, extensionCheck.details)) {
+        return finish();
+      }
+      (extensionCheck.warnings || []).forEach(warning => console.log(`   ⚠️ Token-2022: ${warning}`));
+    } else {
+      skipped('tokenExtensions', 'Token extension');
     }
-    console.log(`   ✅ Honeypot check passed: ${honeypotCheck.details}`);
     
-    // 5. Check if token has reasonable holder distribution
-    const holderCheck = await checkHolderDistribution(token.address);
-    if (!holderCheck.passed) {
-      console.log(`   ❌ Holder distribution check failed: ${holderCheck.reason}`);
-      return false;
+    // 5. Check the on-chain metadata: who can change it, whether it matches the listing, its JSON
+    if (safety.metadata !== false) {
+      const metadataCheck = await checkTokenMetadata(token);
+      if (record('metadata', 'Metadata', metadataCheck, metadataCheck.details)) {
+        return finish();
+      }
+      (metadataCheck.warnings || []).forEach(warning => console.log(`   ⚠️ Metadata: ${warning}`));
+    } else {
+      skipped('metadata', 'Metadata');
+    }
+    
+    // 6. Check for honeypot (simulate a sell to see if it's possible). Price impact, sell recovery
+    // and slippage from the same quotes are scored separately, as `priceImpact`.
+    if (safety.honeypot !== false) {
+      const { priceImpact, ...honeypotCheck } = await checkHoneypot(token.address);
+      if (record('honeypot', 'Honeypot check', honeypotCheck, honeypotCheck.details)) {
+        return finish();
+      }
+      if (priceImpact && record('priceImpact', 'Price impact', priceImpact, priceImpact.details)) {
+        return finish();
+      }
+    } else {
+      skipped('honeypot', 'Honeypot');
+    }
+    
+    // 7. Check if token has reasonable holder distribution
+    if (safety.holderDistribution !== false) {
+      const holderCheck = await checkHolderDistribution(token.address);
+      if (record('holderDistribution', 'Holder distribution', holderCheck, holderCheck.details)) {
+        return finish();
+      }
+      (holderCheck.warnings || []).forEach(warning => console.log(`   ⚠️ ${warning}`));
+    } else {
+      skipped('holderDistribution', 'Holder distribution');
+    }
+    
+    // 8. Check the deployer can't pull liquidity (LP burned or locked)
+    if (safety.liquidityLock !== false) {
+      const liquidityLockCheck = await checkLiquidityLock(token.address);
+      if (record('liquidityLock', 'Liquidity lock', liquidityLockCheck, liquidityLockCheck.details)) {
+        return finish();
+      }
+    } else {
+      skipped('liquidityLock', 'Liquidity lock');
     }
-    console.log(`   ✅ Holder distribution: ${holderCheck.details}`);
     
-    console.log(`   🎯 All safety checks passed for ${token.symbol}!`);
-    return true;
+    const result = finish();
+    if (result.passed) {
+      console.log(`   🎯 All safety checks passed for ${token.symbol}!`);
+    }
+    return result;
     
   } catch (error) {
     console.error(`Error checking token safety:`, error);
-    return false;
+    return { passed: false, failedCheck: 'error', reason: error.message, checks, risk: null };
   }
 }
 
 async function checkMintAuthority(tokenMint) {
   try {
-    const mintPubkey = new PublicKey(tokenMint);
-    const accountInfo = await connection.getParsedAccountInfo(mintPubkey);
+    const accountInfo = await getMintAccountInfo(tokenMint);
     
     if (!accountInfo.value) {
       return { passed: false, reason: 'Token account not found' };
@@ -220,8 +455,7 @@ async function checkMintAuthority(tokenMint) {
 
 async function checkFreezeAuthority(tokenMint) {
   try {
-    const mintPubkey = new PublicKey(tokenMint);
-    const accountInfo = await connection.getParsedAccountInfo(mintPubkey);
+    const accountInfo = await getMintAccountInfo(tokenMint);
     
     if (!accountInfo.value) {
       return { passed: false, reason: 'Token account not found' };
@@ -248,8 +482,7 @@ async function checkFreezeAuthority(tokenMint) {
 
 async function checkTokenSupply(tokenMint) {
   try {
-    const mintPubkey = new PublicKey(tokenMint);
-    const accountInfo = await connection.getParsedAccountInfo(mintPubkey);
+    const accountInfo = await getMintAccountInfo(tokenMint);
     
     if (!accountInfo.value) {
       return { passed: false, reason: 'Token account not found' };
@@ -289,29 +522,44 @@ async function checkTokenSupply(tokenMint) {
   }
 }
 
+async function checkTokenExtensions(tokenMint) {
+  try {
+    const accountInfo = await getMintAccountInfo(tokenMint);
+    if (!accountInfo.value || !accountInfo.value.data?.parsed) {
+      return { passed: false, reason: 'Token account not found' };
+    }
+    return inspectTokenExtensions(accountInfo.value, strategy.safety.tokenExtensionPolicies);
+  } catch (error) {
+    return { passed: false, reason: `Error: ${error.message}` };
+  }
+}
+
 async function checkHoneypot(tokenMint) {
   try {
     console.log(`   🔍 Checking honeypot for ${tokenMint}...`);
     
-    // Jupiter API endpoints
-    const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6/quote';
-    const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+    // A Token-2022 transfer fee is charged on the buy and again on the sell
+    const accountInfo = await getMintAccountInfo(tokenMint);
+    const transferFeeBps = getTransferFeeBps(accountInfo.value?.data?.parsed?.info);
+    const feeFactor = Math.pow(1 - transferFeeBps / 10000, 2);
     
-    // Test parameters
-    const testAmount = 1000000; // 1 USDT (6 decimals)
+    // Test a round trip through the asset we would actually buy with
+    const asset = getQuoteAsset(strategy.sniping.quoteAsset);
+    const testAmount = asset.honeypotTestAmount;
+    const testAmountRaw = toRawAmount(testAmount, asset);
     const slippageBps = 100; // 1% slippage
     
-    // 1. Test BUY transaction (USDT -> Token)
+    // 1. Test BUY transaction (quote asset -> Token)
     const buyQuoteParams = new URLSearchParams({
-      inputMint: USDT_MINT,
+      inputMint: asset.mint,
       outputMint: tokenMint,
-      amount: testAmount.toString(),
+      amount: testAmountRaw,
       slippageBps: slippageBps.toString(),
       onlyDirectRoutes: 'false',
       asLegacyTransaction: 'false'
     });
     
-    const buyResponse = await fetch(`${JUPITER_QUOTE_API}?${buyQuoteParams}`);
+    const buyResponse = await fetchSwapQuote(buyQuoteParams);
     if (!buyResponse.ok) {
       return { 
         passed: false, 
@@ -319,7 +567,7 @@ async function checkHoneypot(tokenMint) {
       };
     }
     
-    const buyQuote = await buyResponse.json();
+    const buyQuote = buyResponse.data;
     
     // Check if buy quote is reasonable
     if (!buyQuote.outAmount || buyQuote.outAmount === '0') {
@@ -329,17 +577,17 @@ async function checkHoneypot(tokenMint) {
       };
     }
     
-    // 2. Test SELL transaction (Token -> USDT) - This is the critical honeypot test
+    // 2. Test SELL transaction (Token -> quote asset) - This is the critical honeypot test
     const sellQuoteParams = new URLSearchParams({
       inputMint: tokenMint,
-      outputMint: USDT_MINT,
+      outputMint: asset.mint,
       amount: buyQuote.outAmount,
       slippageBps: slippageBps.toString(),
       onlyDirectRoutes: 'false',
       asLegacyTransaction: 'false'
     });
     
-    const sellResponse = await fetch(`${JUPITER_QUOTE_API}?${sellQuoteParams}`);
+    const sellResponse = await fetchSwapQuote(sellQuoteParams);
     if (!sellResponse.ok) {
       return { 
         passed: false, 
@@ -347,38 +595,38 @@ async function checkHoneypot(tokenMint) {
       };
     }
     
-    const sellQuote = await sellResponse.json();
+    const sellQuote = sellResponse.data;
     
     // Check if sell quote is reasonable
     if (!sellQuote.outAmount || sellQuote.outAmount === '0') {
       return { 
         passed: false, 
-        reason: 'Sell quote returned 0 USDT - honeypot confirmed' 
+        reason: `Sell quote returned 0 ${asset.symbol} - honeypot confirmed` 
       };
     }
     
     // 3. Calculate price impact and slippage
-    const buyPrice = testAmount / parseFloat(buyQuote.outAmount);
-    const sellPrice = parseFloat(sellQuote.outAmount) / parseFloat(buyQuote.outAmount);
+    // Prices are per whole token, in the quote asset
+    const tokensBought = parseFloat(buyQuote.outAmount) / Math.pow(10, accountInfo.value?.data?.parsed?.info?.decimals ?? 0);
+    const buyPrice = testAmount / tokensBought;
+    const sellPrice = fromRawAmount(sellQuote.outAmount, asset) * feeFactor / tokensBought;
+    const formatPrice = price => asset.stable ? `$${price.toFixed(8)}` : `${price.toFixed(10)} ${asset.symbol}`;
     const priceImpact = ((buyPrice - sellPrice) / buyPrice) * 100;
     
+    // 3-5 don't mean the token can't be sold, so they come back as a separate priceImpact result
+    const priceImpactIssues = [];
+    
     // Check for excessive price impact (indicates manipulation)
     if (priceImpact > 50) {
-      return { 
-        passed: false, 
-        reason: `Excessive price impact: ${priceImpact.toFixed(2)}% (buy: $${buyPrice.toFixed(8)}, sell: $${sellPrice.toFixed(8)})` 
-      };
+      priceImpactIssues.push(`Excessive price impact: ${priceImpact.toFixed(2)}% (buy: ${formatPrice(buyPrice)}, sell: ${formatPrice(sellPrice)})`);
     }
     
     // 4. Check if sell amount is reasonable (should be close to original amount)
-    const sellAmount = parseFloat(sellQuote.outAmount) / 1000000; // Convert to USDT
-    const recoveryRate = (sellAmount / 1) * 100; // 1 USDT was our original amount
+    const sellAmount = fromRawAmount(sellQuote.outAmount, asset) * feeFactor; // Less transfer fees
+    const recoveryRate = (sellAmount / testAmount) * 100;
     
     if (recoveryRate < 50) {
-      return { 
-        passed: false, 
-        reason: `Poor sell recovery: ${recoveryRate.toFixed(1)}% (bought 1 USDT worth, can only sell ${sellAmount.toFixed(4)} USDT worth)` 
-      };
+      priceImpactIssues.push(`Poor sell recovery: ${recoveryRate.toFixed(1)}% (bought ${formatAssetAmount(testAmount, asset)} worth, can only sell ${formatAssetAmount(sellAmount, asset)} worth)`);
     }
     
     // 5. Check for reasonable slippage
@@ -386,15 +634,31 @@ async function checkHoneypot(tokenMint) {
     const sellSlippage = parseFloat(sellQuote.priceImpactPct);
     
     if (buySlippage > 20 || sellSlippage > 20) {
-      return { 
-        passed: false, 
-        reason: `Excessive slippage - Buy: ${buySlippage.toFixed(2)}%, Sell: ${sellSlippage.toFixed(2)}%` 
-      };
+      priceImpactIssues.push(`Excessive slippage - Buy: ${buySlippage.toFixed(2)}%, Sell: ${sellSlippage.toFixed(2)}%`);
+    }
+    
+    // 6. Simulate the quoted sell on-chain - transfer hooks, blacklists and taxes pass the quote
+    let sellSimulation = null;
+    if (strategy.safety.sellSimulation !== false) {
+      const simulation = await getSellSimulation(tokenMint, accountInfo.value?.owner, sellQuote);
+      sellSimulation = analyzeSellSimulation(simulation, strategy.safety.sellSimulationLimits);
+      if (!sellSimulation.passed) {
+        return { passed: false, reason: sellSimulation.reason, sellSimulation };
+      }
     }
     
     return { 
       passed: true, 
-      details: `Buy: $${buyPrice.toFixed(8)}, Sell: $${sellPrice.toFixed(8)}, Impact: ${priceImpact.toFixed(2)}%, Recovery: ${recoveryRate.toFixed(1)}%` 
+      details: `Buy: ${formatPrice(buyPrice)}, Sell: ${formatPrice(sellPrice)}, Impact: ${priceImpact.toFixed(2)}%, Recovery: ${recoveryRate.toFixed(1)}%` +
+        (transferFeeBps > 0 ? ` (after ${(transferFeeBps / 100).toFixed(2)}% transfer fee each way)` : '') +
+        (sellSimulation ? `. ${sellSimulation.details}` : ''),
+      transferFeeBps,
+      sellSimulation,
+      priceImpact: {
+        passed: priceImpactIssues.length === 0,
+        reason: priceImpactIssues.length > 0 ? priceImpactIssues.join('; ') : null,
+        details: `Impact: ${priceImpact.toFixed(2)}%, Recovery: ${recoveryRate.toFixed(1)}%, Slippage: ${buySlippage.toFixed(2)}% / ${sellSlippage.toFixed(2)}%`
+      }
     };
     
   } catch (error) {
@@ -402,178 +666,423 @@ async function checkHoneypot(tokenMint) {
   }
 }
 
+// Metaplex (or Token-2022) metadata against safety.metadataLimits. Tokens found through the
+// pool listener have no listed name yet, so only the other checks apply to them.
+async function checkTokenMetadata(token) {
+  try {
+    const snapshot = await getMetadataSnapshot(token.address);
+    if (!snapshot) {
+      return { passed: false, reason: 'No token metadata found' };
+    }
+    const listed = token.source === 'raydium' ? null : { name: token.name, symbol: token.symbol };
+    return analyzeTokenMetadata(snapshot, listed, strategy.safety.metadataLimits);
+  } catch (error) {
+    return { passed: false, reason: `Error: ${error.message}` };
+  }
+}
+
+// Largest holders, excluding pool vaults and burn addresses, against safety.holderLimits
 async function checkHolderDistribution(tokenMint) {
   try {
-    // For now, we'll do a basic check
-    // In a real implementation, you would:
-    // 1. Fetch top holders from Birdeye API
-    // 2. Check if top holder owns too much (>50% is suspicious)
-    // 3. Check if holders are evenly distributed
-    
-    // Basic distribution check:
-    // - If market cap is high but liquidity is low, it might be concentrated
-    
-    // Note: This function receives tokenMint (string) but we need token data
-    // For now, return true (implement real holder check later)
-    return { 
-      passed: true, 
-      details: 'Basic check passed (advanced holder analysis not implemented)' 
-    };
+    const snapshot = await getHolderSnapshot(tokenMint);
+    if (!snapshot) {
+      return { passed: false, reason: 'Holder data not available' };
+    }
+    const limits = strategy.safety.holderLimits || {};
+    const result = analyzeHolderDistribution(snapshot, limits);
+    // A refused holder scan leaves the count unknown; concentration still decides the check
+    const warnings = limits.countHolders && snapshot.holders === null ? [`Holder count unavailable: ${snapshot.holderCountError}`] : [];
+    return { ...result, warnings };
   } catch (error) {
     return { passed: false, reason: `Error: ${error.message}` };
   }
 }
 
-async function checkUSDTBalance() {
+// Share of the main Raydium pool's LP that is burned or locked, against safety.liquidityLockLimits
+async function checkLiquidityLock(tokenMint) {
   try {
-    const usdtMint = new PublicKey(USDT_MINT);
-    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(wallet.publicKey, {
-      mint: usdtMint
-    });
-    
-    if (tokenAccounts.value.length === 0) {
-      return { hasBalance: false, balance: 0, error: 'No USDT account found' };
+    const snapshot = await getLpSnapshot(tokenMint);
+    if (!snapshot) {
+      return { passed: false, reason: 'No Raydium pool found to verify liquidity' };
     }
-    
-    const balance = parseFloat(tokenAccounts.value[0].account.data.parsed.info.tokenAmount.amount) / 1000000;
-    const hasBalance = balance >= SNIPE_AMOUNT_USDT;
-    
-    return { hasBalance, balance, error: null };
+    return analyzeLiquidityLock(snapshot, strategy.safety.liquidityLockLimits);
   } catch (error) {
-    return { hasBalance: false, balance: 0, error: error.message };
+    return { passed: false, reason: `Error: ${error.message}` };
+  }
+}
+
+// Builds the quoted sell for one of the token's holders and simulates it (see sell_simulation.js)
+async function getSellSimulation(tokenMint, tokenProgramId, sellQuote) {
+  if (replaySource) {
+    return replaySource.sellSimulation(tokenMint) || { skipped: true, reason: 'not recorded' };
   }
+  if (!tokenProgramId) {
+    return { skipped: true, reason: 'mint account not found' };
+  }
+  
+  let simulation;
+  const holder = await findSimulationHolder(connection, tokenMint, tokenProgramId, sellQuote.inAmount);
+  if (!holder) {
+    simulation = { skipped: true, reason: 'no holder wallet can sell the quoted amount' };
+  } else {
+    const swap = await buildSwap({ venue: sellQuote.venue, quoteResponse: sellQuote }, new PublicKey(holder));
+    simulation = swap.success
+      ? await simulateSell(connection, { transaction: swap.transaction, holder, outputMint: sellQuote.outputMint, quotedAmount: sellQuote.outAmount })
+      : { skipped: true, reason: `could not build the sell: ${swap.error}` };
+  }
+  
+  if (marketRecorder) {
+    marketRecorder.recordSellSimulation(tokenMint, simulation);
+  }
+  return simulation;
+}
+
+async function getMetadataSnapshot(tokenMint) {
+  if (replaySource) {
+    return replaySource.metadata(tokenMint);
+  }
+  
+  const accountInfo = await getMintAccountInfo(tokenMint);
+  if (!accountInfo.value) {
+    return null;
+  }
+  
+  const snapshot = await fetchMetadataSnapshot(connection, tokenMint, accountInfo.value);
+  if (marketRecorder && snapshot) {
+    marketRecorder.recordMetadata(tokenMint, snapshot);
+  }
+  return snapshot;
+}
+
+async function getLpSnapshot(tokenMint) {
+  if (replaySource) {
+    return replaySource.liquidityLock(tokenMint);
+  }
+  
+  const snapshot = await fetchLpSnapshot(connection, raydiumSwap, tokenMint);
+  if (marketRecorder && snapshot) {
+    marketRecorder.recordLiquidityLock(tokenMint, snapshot);
+  }
+  return snapshot;
+}
+
+async function getHolderSnapshot(tokenMint) {
+  if (replaySource) {
+    return replaySource.holders(tokenMint);
+  }
+  
+  const accountInfo = await getMintAccountInfo(tokenMint);
+  const mintInfo = accountInfo.value?.data?.parsed?.info;
+  if (!mintInfo) {
+    return null;
+  }
+  
+  const snapshot = await fetchHolderSnapshot(connection, tokenMint, accountInfo.value.owner, mintInfo.supply, {
+    countHolders: Boolean(strategy.safety.holderLimits?.countHolders)
+  });
+  if (marketRecorder) {
+    marketRecorder.recordHolders(tokenMint, snapshot);
+  }
+  return snapshot;
 }
 
-async function snipeToken(token) {
+// Spendable balance of the quote asset, in its units. Returns { balance, error }.
+async function getQuoteBalance(book, asset) {
+  // Simulated books hold their starting balance less what was spent in the asset, plus what exits returned in it
+  if (replaySource || book === 'paper') {
+    const startingBalance = replaySource ? REPLAY_BANKROLL : (strategy.sniping.paperBalance ?? 100);
+    const balance = loadPortfolio(book).tokens
+      .filter(position => position.quoteAsset === asset.symbol)
+      .reduce((total, position) => total - position.amountIn + (position.realized || 0), startingBalance);
+    return { balance, error: null };
+  }
+  
+  return getWalletBalance(connection, wallet.publicKey, asset);
+}
+
+// USD per unit of the quote asset, or null when SOL can't be priced right now
+async function getQuoteAssetPrice(asset) {
+  if (asset.stable) {
+    return 1;
+  }
+  const price = await getTokenPrice(asset.mint);
+  return isValidPrice(price) ? price : null;
+}
+
+// Returns { action, reason, quote, transaction } describing how the attempt ended
+async function snipeToken(token, safety) {
+  let quoteDetails = null;
   try {
+    // Snapshot the settings so a config reload mid-snipe can't mix values
+    const { amount: baseAmount, maxPriceImpactPercent } = strategy.sniping;
+    const asset = getQuoteAsset(strategy.sniping.quoteAsset);
+    const limits = strategy.bankroll || {};
+    const book = currentBook();
+    const simulated = Boolean(REPLAY_FILE) || book === 'paper';
+    
     console.log(`🎯 ATTEMPTING TO SNIPE: ${token.symbol}`);
     console.log(`   Mint: ${token.address}`);
     console.log(`   Price: $${token.price}`);
     console.log(`   Liquidity: $${token.liquidity.toLocaleString()}`);
-    console.log(`   Amount: $${SNIPE_AMOUNT_USDT} USDT`);
     
-    if (DRY_RUN) {
-      console.log(`   🔬 DRY RUN MODE - No real trades will be executed`);
+    if (book === 'paper') {
+      console.log(`   📝 PAPER TRADE - the fill is simulated from the swap quote`);
     }
     
-    // Check USDT balance first
-    const balanceCheck = await checkUSDTBalance();
-    if (!balanceCheck.hasBalance) {
-      console.log(`   ❌ Insufficient USDT balance: ${balanceCheck.balance} USDT (need ${SNIPE_AMOUNT_USDT} USDT)`);
+    // Check the quote asset balance first, then size the position from it
+    const balanceCheck = await getQuoteBalance(book, asset);
+    const amount = sizePosition(baseAmount, balanceCheck.balance, limits);
+    console.log(`   Amount: ${formatAssetAmount(amount, asset)}${limits.positionSizePercent ? ` (${limits.positionSizePercent}% of balance)` : ''}`);
+    if (balanceCheck.error || balanceCheck.balance < amount || amount <= 0) {
+      console.log(`   ❌ Insufficient ${book === 'paper' ? 'paper ' : ''}${asset.symbol} balance: ${formatAssetAmount(balanceCheck.balance, asset)} (need ${formatAssetAmount(amount, asset)})`);
       if (balanceCheck.error) {
         console.log(`      Error: ${balanceCheck.error}`);
       }
-      if (DRY_RUN) {
-        console.log(`   🔬 DRY RUN: Would skip due to insufficient balance`);
-      }
-      return;
+      return { action: 'insufficient_balance', reason: balanceCheck.error || `Balance ${formatAssetAmount(balanceCheck.balance, asset)} below ${formatAssetAmount(amount, asset)}` };
+    }
+    
+    console.log(`   ✅ ${asset.symbol} Balance: ${formatAssetAmount(balanceCheck.balance, asset)}`);
+    
+    // Cost basis and the bankroll limits are kept in USD
+    const assetPrice = await getQuoteAssetPrice(asset);
+    if (!assetPrice) {
+      console.log(`   ❌ No USD price for ${asset.symbol}`);
+      return { action: 'quote_failed', reason: `No USD price for ${asset.symbol}` };
     }
     
-    console.log(`   ✅ USDT Balance: ${balanceCheck.balance.toFixed(2)} USDT`);
+    // The risk manager gets the final say before any money moves
+    const exposure = checkExposureLimits(loadPortfolio(book), {
+      mint: token.address,
+      costUsd: amount * assetPrice,
+      balanceUsd: balanceCheck.balance * assetPrice,
+      now: currentTime()
+    }, limits);
+    if (!exposure.allowed) {
+      console.log(`   🛑 Buy blocked by ${exposure.limit}: ${exposure.reason}`);
+      return { action: 'exposure_limit', reason: `${exposure.limit}: ${exposure.reason}` };
+    }
     
-    // 1. Get swap quote from Jupiter
-    const quote = await getJupiterQuote(token.address, SNIPE_AMOUNT_USDT);
+    // 1. Get swap quote (Jupiter, or the Raydium pool directly)
+    let quote = await getBuyQuote(token.address, amount, asset, assetPrice);
     if (!quote.success) {
       console.log(`   ❌ Quote failed: ${quote.error}`);
-      return;
+      return { action: 'quote_failed', reason: quote.error };
     }
+    quoteDetails = summarizeQuote(quote);
     
     console.log(`   📊 Quote received:`);
-    console.log(`      Input: $${SNIPE_AMOUNT_USDT} USDT`);
+    console.log(`      Input: ${formatAssetAmount(amount, asset, quote.costUsd)}`);
     console.log(`      Output: ${quote.outAmount} ${token.symbol}`);
     console.log(`      Price Impact: ${quote.priceImpact}%`);
     console.log(`      Slippage: ${quote.slippage}%`);
+    console.log(`      Venue: ${formatVenue(quote.venue)}`);
     
     // 2. Check if quote is reasonable
-    if (quote.priceImpact > 20) {
+    if (quote.priceImpact > (maxPriceImpactPercent ?? 20)) {
       console.log(`   ❌ Price impact too high: ${quote.priceImpact}%`);
-      return;
-    }
-    
-    if (quote.slippage > 5) {
-      console.log(`   ❌ Slippage too high: ${quote.slippage}%`);
-      return;
-    }
-    
-    // 3. Build the swap transaction
-    const swapTransaction = await buildJupiterSwap(quote.quoteResponse);
-    if (!swapTransaction.success) {
-      console.log(`   ❌ Failed to build transaction: ${swapTransaction.error}`);
-      return;
-    }
-    
-    console.log(`   🔨 Transaction built successfully`);
-    
-    if (DRY_RUN) {
-      console.log(`   🔬 DRY RUN: Would execute swap here`);
-      console.log(`   🔬 DRY RUN: Estimated tokens to receive: ${quote.outAmount} ${token.symbol}`);
-      console.log(`   🔬 DRY RUN: Estimated cost: $${SNIPE_AMOUNT_USDT} USDT`);
-      console.log(`   🔬 DRY RUN: Transaction size: ${swapTransaction.transaction.length} bytes`);
-      
-      // Log the simulated snipe
-      logSuccessfulSnipe(token, quote, { signature: 'DRY_RUN_SIMULATION' });
-      return;
+      return { action: 'price_impact_too_high', reason: `Price impact ${quote.priceImpact}%`, quote: quoteDetails };
     }
     
-    // 4. Execute the swap (only if not in dry run mode)
-    const swapResult = await executeSwap(swapTransaction.transaction, quote.quoteResponse);
-    if (!swapResult.success) {
-      console.log(`   ❌ Swap failed: ${swapResult.error}`);
-      return;
-    }
-
-    // Fetch token decimals
-    let decimals = 9; // default
-    try {
-      const mintPubkey = new PublicKey(token.address);
-      const accountInfo = await connection.getParsedAccountInfo(mintPubkey);
-      if (accountInfo.value && accountInfo.value.data && accountInfo.value.data.parsed && accountInfo.value.data.parsed.info) {
-        decimals = parseInt(accountInfo.value.data.parsed.info.decimals);
+    let swapResult;
+    if (simulated) {
+      swapResult = simulateSwap('BUY');
+    } else {
+      // 3. Build, sign and send the swap. An expired transaction is re-quoted, and the
+      // fresh quote has to pass the price impact check again.
+      swapResult = await sendSwap(quote, async () => {
+        const freshQuote = await getBuyQuote(token.address, amount, asset, assetPrice);
+        if (freshQuote.success && freshQuote.priceImpact > (maxPriceImpactPercent ?? 20)) {
+          return { success: false, action: 'price_impact_too_high', error: `Price impact ${freshQuote.priceImpact}%` };
+        }
+        return freshQuote;
+      });
+      quote = swapResult.quote;
+      quoteDetails = summarizeQuote(quote);
+      if (!swapResult.success) {
+        console.log(`   ❌ Swap failed: ${swapResult.error}`);
+        if (swapResult.status === 'simulation_failed') {
+          await sendTelegramMessage(formatSimulationFailureNotification(swapResult, `Buying ${token.symbol}`));
+        }
+        return { action: swapResult.action, reason: swapResult.error, quote: quoteDetails, transaction: swapResult.signature };
       }
-    } catch (e) {
-      console.log('Warning: Could not fetch decimals for', token.symbol, token.address, e.message);
     }
-    // Convert tokensReceived to UI units
-    const tokensReceivedUI = parseFloat(quote.outAmount) / Math.pow(10, decimals);
 
-    console.log(`   ✅ SNIPE SUCCESSFUL!`);
+    // 4. Cost basis from what the swap actually spent and returned, fees included
+    const decimals = await getTokenDecimals(token.address);
+    const fill = await resolveFill(swapResult, quote, { inputDecimals: asset.decimals, outputDecimals: decimals, simulated });
+    const entry = {
+      amountIn: fill.amountIn,
+      costUsd: fill.amountIn * assetPrice + (fill.feesUsd ?? 0),
+      tokensReceived: fill.amountOut,
+      price: fill.amountIn * assetPrice / fill.amountOut,
+      fill: fill
+    };
+
+    console.log(`   ✅ ${book === 'paper' ? 'PAPER SNIPE FILLED' : 'SNIPE SUCCESSFUL'}!`);
     console.log(`      Transaction: ${swapResult.signature}`);
-    console.log(`      Tokens received: ${tokensReceivedUI} ${token.symbol}`);
-    console.log(`      Price: $${token.price}`);
+    console.log(`      Tokens received: ${entry.tokensReceived} ${token.symbol}${formatFillSlippage(fill)}`);
+    console.log(`      Cost: ${formatAssetAmount(entry.amountIn, asset, entry.costUsd)}`);
+    console.log(`      Price: $${entry.price}`);
+    if (swapResult.priorityFee) {
+      console.log(`      Priority fee: ${formatPriorityFee(swapResult.priorityFee)}`);
+    }
+    if (fill.feeLamports !== null) {
+      console.log(`      Network fees: ${formatFillFees(fill)}`);
+    }
     
     // 5. Update portfolio and send notifications
-    const portfolio = addTokenToPortfolio(token, quote, swapResult.signature, tokensReceivedUI);
-    logSnipeToFile(token, quote, swapResult.signature, tokensReceivedUI);
+    const risk = summarizeRisk(safety?.risk);
+    addTokenToPortfolio(token, quote, swapResult.signature, entry, decimals, book, risk);
+    logSnipeToFile(token, quote, swapResult.signature, entry, book, risk, swapResult.priorityFee);
     
     // Send Telegram notification
-    const notification = formatSnipeNotification(token, quote, swapResult.signature);
+    const notification = formatSnipeNotification(token, quote, swapResult.signature, entry, book, safety);
     await sendTelegramMessage(notification);
     
+    return { action: book === 'paper' ? 'paper_trade' : 'sniped', reason: null, quote: quoteDetails, transaction: swapResult.signature };
+    
   } catch (error) {
     console.error(`Error sniping token:`, error);
+    return { action: 'error', reason: error.message, quote: quoteDetails };
   }
 }
 
-async function getJupiterQuote(tokenMint, amountUsdt) {
+// Paper and replay trades fill at the quoted amount - nothing is built or sent
+function simulateSwap(side) {
+  simulatedSwapCount++;
+  if (REPLAY_FILE) {
+    return { success: true, signature: `REPLAY_${side}_${simulatedSwapCount}` };
+  }
+  return { success: true, signature: `PAPER_${side}_${Date.now()}_${simulatedSwapCount}` };
+}
+
+// What a swap actually spent and returned, in UI units of its input and output mints:
+//   { source, amountIn, amountOut, quotedAmountOut, slippagePercent, feeLamports, rentLamports,
+//     priorityFeeLamports, feesUsd, computeUnitsConsumed, slot }
+// Live swaps are read back from the confirmed transaction (see swap_fills.js). Simulated swaps, and
+// live ones whose transaction can't be read, fill at the quote (source 'quote'). slippagePercent is
+// how far the fill fell short of the quoted output; negative when it came in better. feesUsd is the
+// network fee, paid in SOL on top of the swap. rentLamports is not part of it (see swap_fills.js).
+async function resolveFill(swapResult, quote, { inputDecimals, outputDecimals, simulated }) {
+  const quoteResponse = quote.quoteResponse;
+  const quotedAmountOut = Number(quoteResponse.outAmount) / Math.pow(10, outputDecimals);
+  const quotedFill = {
+    source: 'quote',
+    amountIn: Number(quoteResponse.inAmount) / Math.pow(10, inputDecimals),
+    amountOut: quotedAmountOut,
+    quotedAmountOut: quotedAmountOut,
+    slippagePercent: 0,
+    feeLamports: null,
+    rentLamports: null,
+    priorityFeeLamports: null,
+    feesUsd: null,
+    computeUnitsConsumed: null,
+    slot: null
+  };
+  if (simulated) {
+    return quotedFill;
+  }
+  
+  const result = await fetchSwapFill(connection, swapResult.signature, {
+    owner: wallet.publicKey,
+    inputMint: quoteResponse.inputMint,
+    outputMint: quoteResponse.outputMint
+  });
+  if (!result.success) {
+    console.log(`   ⚠️ Could not read the fill back (${result.error}) - recording the quoted amounts`);
+    return { ...quotedFill, priorityFeeLamports: swapResult.priorityFee?.lamports ?? null };
+  }
+  
+  const amountOut = Number(result.outputAmount) / Math.pow(10, outputDecimals);
+  const solPrice = await getQuoteAssetPrice(getQuoteAsset('SOL'));
+  return {
+    source: 'transaction',
+    amountIn: Number(result.inputAmount) / Math.pow(10, inputDecimals),
+    amountOut: amountOut,
+    quotedAmountOut: quotedAmountOut,
+    slippagePercent: quotedAmountOut > 0 ? (quotedAmountOut - amountOut) / quotedAmountOut * 100 : 0,
+    feeLamports: result.feeLamports,
+    rentLamports: result.rentLamports,
+    priorityFeeLamports: swapResult.priorityFee?.lamports ?? null,
+    feesUsd: solPrice ? result.feeLamports / LAMPORTS_PER_SOL * solPrice : null,
+    computeUnitsConsumed: result.computeUnitsConsumed,
+    slot: result.slot
+  };
+}
+
+function formatFillSlippage(fill) {
+  if (fill.source !== 'transaction') {
+    return '';
+  }
+  return ` (quoted ${fill.quotedAmountOut}, slippage ${fill.slippagePercent.toFixed(2)}%)`;
+}
+
+// The transaction fee as charged (priority fee included), and any rent deposited for new token accounts
+function formatFillFees(fill) {
+  const usd = fill.feesUsd !== null ? ` ($${fill.feesUsd.toFixed(4)})` : '';
+  const units = fill.computeUnitsConsumed !== null ? `, ${fill.computeUnitsConsumed.toLocaleString()} CU used` : '';
+  const rent = fill.rentLamports ? `; ${fill.rentLamports.toLocaleString()} lamports rent deposited, refunded when the account is closed` : '';
+  return `${fill.feeLamports.toLocaleString()} lamports${usd}${units}${rent}`;
+}
+
+function summarizeQuote(quote) {
+  const quoteResponse = quote.quoteResponse || {};
+  return {
+    inputMint: quoteResponse.inputMint,
+    outputMint: quoteResponse.outputMint,
+    inAmount: quoteResponse.inAmount,
+    outAmount: quote.outAmount,
+    priceImpact: quote.priceImpact,
+    slippageBps: quoteResponse.slippageBps,
+    venue: quote.venue,
+    route: (quoteResponse.routePlan || []).map(step => step.swapInfo?.label).filter(Boolean)
+  };
+}
+
+function formatVenue(venue) {
+  return venue === 'raydium' ? 'Raydium AMM (direct)' : 'Jupiter';
+}
+
+async function getTokenDecimals(tokenMint) {
+  let decimals = 9; // default
+  try {
+    const accountInfo = await getMintAccountInfo(tokenMint);
+    if (accountInfo.value && accountInfo.value.data && accountInfo.value.data.parsed && accountInfo.value.data.parsed.info) {
+      decimals = parseInt(accountInfo.value.data.parsed.info.decimals);
+    }
+  } catch (e) {
+    console.log('Warning: Could not fetch decimals for', tokenMint, e.message);
+  }
+  return decimals;
+}
+
+// `amount` is in the quote asset's units; the quote carries the buy's cost in both the asset and USD
+async function getBuyQuote(tokenMint, amount, asset, assetPrice) {
+  const quote = await requestSwapQuote(asset.mint, tokenMint, toRawAmount(amount, asset));
+  return { ...quote, quoteAsset: asset.symbol, amountIn: amount, costUsd: amount * assetPrice };
+}
+
+async function getSellQuote(tokenMint, tokenAmountRaw, asset) {
+  return requestSwapQuote(tokenMint, asset.mint, tokenAmountRaw.toString());
+}
+
+async function requestSwapQuote(inputMint, outputMint, amount) {
   try {
-    const JUPITER_QUOTE_API = 'https://quote-api.jup.ag/v6/quote';
-    const amountIn = Math.floor(amountUsdt * 1000000); // Convert to USDT decimals
-    
     const params = new URLSearchParams({
-      inputMint: USDT_MINT,
-      outputMint: tokenMint,
-      amount: amountIn.toString(),
-      slippageBps: MAX_SLIPPAGE_BPS.toString(),
+      inputMint: inputMint,
+      outputMint: outputMint,
+      amount: amount,
+      slippageBps: strategy.sniping.maxSlippageBps.toString(),
       onlyDirectRoutes: 'false',
       asLegacyTransaction: 'false'
     });
     
-    const response = await fetch(`${JUPITER_QUOTE_API}?${params}`);
+    const response = await fetchSwapQuote(params);
     if (!response.ok) {
       return { success: false, error: `Quote API error: ${response.status}` };
     }
     
-    const quoteData = await response.json();
+    const quoteData = response.data;
     
     // Calculate price impact and slippage
     const priceImpact = parseFloat(quoteData.priceImpactPct || 0);
@@ -584,7 +1093,8 @@ async function getJupiterQuote(tokenMint, amountUsdt) {
       quoteResponse: quoteData,
       outAmount: quoteData.outAmount,
       priceImpact: priceImpact,
-      slippage: slippage
+      slippage: slippage,
+      venue: quoteData.venue
     };
     
   } catch (error) {
@@ -592,15 +1102,53 @@ async function getJupiterQuote(tokenMint, amountUsdt) {
   }
 }
 
-async function buildJupiterSwap(quoteResponse) {
+// Priority fee for the pools on the swap's route (see priority_fees.js) and the configured
+// compute-unit limit. Returns { computeUnitLimit, microLamports }.
+async function getComputeBudget(quote) {
+  const execution = strategy.execution || {};
+  const computeUnitLimit = execution.computeUnitLimit ?? 400000;
+  const settings = { percentile: 75, minMicroLamports: 10000, maxMicroLamports: 2000000, ...execution.priorityFee };
+  const pools = (quote.quoteResponse.routePlan || []).map(step => step.swapInfo.ammKey);
+  
+  const fee = await estimatePriorityFee(connection, pools, settings);
+  if (fee.error) {
+    console.log(`   ⚠️ Priority fee estimate failed (${fee.error}), using the floor`);
+  }
+  const budget = { computeUnitLimit, microLamports: fee.microLamports };
+  console.log(`   ⛽ Priority fee: ${formatPriorityFee({ ...budget, lamports: priorityFeeLamports(fee.microLamports, computeUnitLimit) })}` +
+    (fee.estimate !== null ? ` (p${settings.percentile} of ${fee.samples} recent slots: ${fee.estimate})` : ''));
+  return budget;
+}
+
+// e.g. "50000 µlamports/CU × 400000 CU = 20000 lamports"
+function formatPriorityFee(fee) {
+  return `${fee.microLamports} µlamports/CU × ${fee.computeUnitLimit ?? 'default'} CU = ${fee.lamports ?? '?'} lamports`;
+}
+
+// Returns { success, transaction, lastValidBlockHeight } with an unsigned base64 transaction for executeSwap
+// `owner` defaults to our wallet; the sell simulation builds swaps for other holders.
+// `budget` ({ computeUnitLimit, microLamports }) sets the priority fee; without it the
+// transaction keeps the venue's defaults.
+async function buildSwap(quote, owner = wallet.publicKey, budget = null) {
+  if (quote.venue === 'raydium') {
+    return raydiumSwap.buildSwap(quote.quoteResponse, owner, budget);
+  }
+  return buildJupiterSwap(quote.quoteResponse, owner, budget);
+}
+
+async function buildJupiterSwap(quoteResponse, owner = wallet.publicKey, budget = null) {
   try {
     const JUPITER_SWAP_API = 'https://quote-api.jup.ag/v6/swap';
     
     const swapRequest = {
       quoteResponse: quoteResponse,
-      userPublicKey: wallet.publicKey.toString(),
-      wrapUnwrapSOL: false
+      userPublicKey: owner.toString(),
+      // SOL goes in and comes out as native SOL; pairs without SOL are unaffected
+      wrapAndUnwrapSol: true
     };
+    if (budget) {
+      swapRequest.computeUnitPriceMicroLamports = budget.microLamports;
+    }
     
     const response = await fetch(JUPITER_SWAP_API, {
       method: 'POST',
@@ -615,10 +1163,17 @@ async function buildJupiterSwap(quoteResponse) {
     }
     
     const swapData = await response.json();
+    if (!budget) {
+      return { success: true, transaction: swapData.swapTransaction, lastValidBlockHeight: swapData.lastValidBlockHeight };
+    }
+    
+    // Jupiter picks its own compute-unit limit; ours replaces it so the fee is what we estimated
+    const transaction = applyComputeBudget(VersionedTransaction.deserialize(Buffer.from(swapData.swapTransaction, 'base64')), budget);
     
     return {
       success: true,
-      transaction: swapData.swapTransaction
+      transaction: Buffer.from(transaction.serialize()).toString('base64'),
+      lastValidBlockHeight: swapData.lastValidBlockHeight
     };
     
   } catch (error) {
@@ -626,13 +1181,63 @@ async function buildJupiterSwap(quoteResponse) {
   }
 }
 
-async function executeSwap(swapTransaction, quoteResponse) {
+// How each send outcome (see transaction_sender.js) is recorded as a snipe action
+const SEND_FAILURE_ACTIONS = {
+  simulation_failed: 'swap_simulation_failed',
+  failed: 'swap_failed',
+  expired: 'swap_expired',
+  unknown: 'swap_unconfirmed',
+  error: 'swap_failed'
+};
+
+// Builds, signs and sends a swap. When the transaction expires unconfirmed it can't land any
+// more, so requote() fetches a fresh quote and the swap is rebuilt from it, up to
+// execution.maxExpiryRetries times. requote() returns a quote, or { success: false, action, error }.
+// Returns { success, action, quote, signature, priorityFee, error, logs } - `quote` is the one the
+// last transaction was built from, and `action` is how a failure is recorded.
+async function sendSwap(quote, requote) {
+  const maxRetries = strategy.execution?.maxExpiryRetries ?? 2;
+  for (let attempt = 0; ; attempt++) {
+    const swapTransaction = await buildSwap(quote, wallet.publicKey, await getComputeBudget(quote));
+    if (!swapTransaction.success) {
+      console.log(`   ❌ Failed to build transaction: ${swapTransaction.error}`);
+      return { success: false, action: 'build_failed', quote, error: swapTransaction.error };
+    }
+    console.log(`   🔨 Transaction built successfully`);
+    
+    const result = await executeSwap(swapTransaction);
+    if (result.success) {
+      return { ...result, action: null, quote };
+    }
+    if (result.status === 'simulation_failed') {
+      console.log(`   🧪 Swap would fail, not broadcast: ${result.error}`);
+    }
+    (result.logs || []).forEach(line => console.log(`      │ ${line}`));
+    if (result.status !== 'expired' || attempt >= maxRetries) {
+      return { ...result, action: SEND_FAILURE_ACTIONS[result.status], quote };
+    }
+    
+    console.log(`   ⌛ ${result.error} - re-quoting (retry ${attempt + 1}/${maxRetries})`);
+    const freshQuote = await requote();
+    if (!freshQuote.success) {
+      return { success: false, action: freshQuote.action || 'quote_failed', quote, error: `Re-quote after expiry failed: ${freshQuote.error}` };
+    }
+    quote = freshQuote;
+  }
+}
+
+// Signs a built swap, simulates it, and sends it until it confirms, fails or expires (see
+// transaction_sender.js). A swap that fails in simulation is never sent.
+// Returns { success, status, signature, priorityFee, error, programError, logs }; statuses
+// 'simulation_failed' and 'error' mean the transaction never went out.
+async function executeSwap(swap) {
   try {
     // Decode the transaction - handle both legacy and versioned transactions
     let transaction;
+    let lastValidBlockHeight = swap.lastValidBlockHeight ?? null;
     try {
       // Try to deserialize as versioned transaction first
-      transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+      transaction = VersionedTransaction.deserialize(Buffer.from(swap.transaction, 'base64'));
       
       // For versioned transactions, we need to sign the message
       transaction.sign([wallet]);
@@ -640,87 +1245,358 @@ async function executeSwap(swapTransaction, quoteResponse) {
     } catch (versionedError) {
       // If that fails, try as legacy transaction
       try {
-        transaction = Transaction.from(Buffer.from(swapTransaction, 'base64'));
+        transaction = Transaction.from(Buffer.from(swap.transaction, 'base64'));
         
         // Set recent blockhash for legacy transactions
-        const { blockhash } = await connection.getLatestBlockhash();
-        transaction.recentBlockhash = blockhash;
+        const latest = await connection.getLatestBlockhash();
+        transaction.recentBlockhash = latest.blockhash;
+        lastValidBlockHeight = latest.lastValidBlockHeight;
         transaction.feePayer = wallet.publicKey;
         
         // Sign the transaction
         transaction.sign(wallet);
       } catch (legacyError) {
-        return { success: false, error: `Failed to deserialize transaction: ${legacyError.message}` };
+        return { success: false, status: 'error', error: `Failed to deserialize transaction: ${legacyError.message}` };
       }
     }
     
-    // Send the transaction
-    const signature = await connection.sendRawTransaction(transaction.serialize());
-    
-    // Wait for confirmation
-    const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-    
-    if (confirmation.value.err) {
-      return { success: false, error: `Transaction failed: ${confirmation.value.err}` };
+    // Only pay for swaps that land: simulate first, and size the compute limit to what it used
+    const simulation = await transactionSender.simulate(transaction);
+    if (simulation.status === 'simulation_failed') {
+      return { ...simulation, priorityFee: readComputeBudget(transaction) };
     }
+    if (simulation.success) {
+      fitComputeBudget(transaction, simulation.unitsConsumed);
+    } else {
+      console.log(`   ⚠️ Could not simulate the swap (${simulation.error}) - sending with the configured compute limit`);
+    }
+    
+    // Broadcast and rebroadcast until confirmed, failed or expired
+    const result = await transactionSender.send(transaction, {
+      lastValidBlockHeight,
+      rebroadcastInterval: strategy.execution?.rebroadcastIntervalMs ?? 2000
+    });
     
     return {
-      success: true,
-      signature: signature
+      ...result,
+      priorityFee: readComputeBudget(transaction)
     };
     
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, status: 'error', error: error.message };
   }
 }
 
-function logSuccessfulSnipe(token, quote, swapResult) {
-  const snipeLog = {
-    timestamp: new Date().toISOString(),
-    dryRun: DRY_RUN,
-    token: {
-      symbol: token.symbol,
-      name: token.name,
-      mint: token.address,
-      price: token.price,
-      liquidity: token.liquidity,
-      marketCap: token.mc
-    },
-    snipe: {
-      amountUsdt: SNIPE_AMOUNT_USDT,
-      tokensReceived: quote.outAmount,
-      priceImpact: quote.priceImpact,
-      slippage: quote.slippage
-    },
-    transaction: swapResult.signature
-  };
+// Cuts the compute-unit limit of a signed transaction to the simulated units plus
+// execution.computeUnitMarginPercent, and signs it again since the message changed
+function fitComputeBudget(transaction, unitsConsumed) {
+  const budget = readComputeBudget(transaction);
+  if (!unitsConsumed || budget.computeUnitLimit === null) {
+    return;
+  }
+  const computeUnitLimit = fitComputeUnitLimit(unitsConsumed, strategy.execution?.computeUnitMarginPercent ?? 20, budget.computeUnitLimit);
+  if (computeUnitLimit >= budget.computeUnitLimit) {
+    return;
+  }
+  
+  applyComputeBudget(transaction, { computeUnitLimit, microLamports: budget.microLamports });
+  if (transaction instanceof VersionedTransaction) {
+    transaction.sign([wallet]);
+  } else {
+    transaction.sign(wallet);
+  }
+  console.log(`   🧪 Simulated: ${unitsConsumed.toLocaleString()} CU - compute limit ${budget.computeUnitLimit.toLocaleString()} → ${computeUnitLimit.toLocaleString()} CU`);
+}
+
+// Exit management functions
+let positionMonitorRunning = false;
+
+async function getTokenPrice(tokenMint) {
+  if (replaySource) {
+    return replaySource.price(tokenMint);
+  }
+  
+  try {
+    const result = await marketData.getPrice(tokenMint);
+    if (!result.success) {
+      return null;
+    }
+    
+    const price = result.data;
+    if (marketRecorder) {
+      marketRecorder.recordPrice(tokenMint, price);
+    }
+    return price;
+  } catch (error) {
+    console.error(`Error fetching price for ${tokenMint}:`, error);
+    return null;
+  }
+}
+
+function isValidPrice(price) {
+  return Boolean(price) && !isNaN(price) && price > 0 && price < 1_000_000;
+}
+
+function isOpenPosition(position) {
+  return position.status !== 'closed' && parseFloat(position.tokensReceived) > 0;
+}
+
+async function getTokenBalanceRaw(tokenMint) {
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(wallet.publicKey, {
+    mint: new PublicKey(tokenMint)
+  });
+  
+  return tokenAccounts.value.reduce(
+    (total, account) => total + BigInt(account.account.data.parsed.info.tokenAmount.amount),
+    0n
+  );
+}
+
+function getExitPlan(position) {
+  const plan = { ...strategy.exits.defaultPlan, ...strategy.exits.overrides?.[position.mint] };
   
-  console.log(`\n📝 SNIPE LOG:`);
-  console.log(JSON.stringify(snipeLog, null, 2));
+  // Positions opened before exit plans existed carry a single take-profit/stop-loss pair
+  if (position.takeProfitPercent !== undefined) {
+    plan.takeProfits = [{ multiple: 1 + position.takeProfitPercent / 100, sellPercent: 100 }];
+    plan.trailingStopPercent = null;
+  }
+  if (position.stopLossPercent !== undefined) {
+    plan.stopLossPercent = position.stopLossPercent;
+  }
   
-  // You could also save to a file or database here
-  // fs.appendFileSync('snipes.json', JSON.stringify(snipeLog) + '\n');
+  return { ...plan, ...position.exitPlan };
 }
 
-async function fetchNewListings() {
+function describeExitPlan(plan) {
+  const parts = (plan.takeProfits || []).map(tranche => `${tranche.sellPercent}% @ ${tranche.multiple}x`);
+  if (plan.trailingStopPercent) {
+    parts.push(`trail ${plan.trailingStopPercent}% after ${plan.trailingActivationMultiple || 1}x`);
+  }
+  if (plan.stopLossPercent) {
+    parts.push(`SL -${plan.stopLossPercent}%`);
+  }
+  return parts.join(', ') || 'no exits';
+}
+
+function getInitialTokens(position) {
+  if (position.initialTokens !== undefined) {
+    return parseFloat(position.initialTokens);
+  }
+  const soldTokens = (position.sales || []).reduce((total, sale) => total + sale.tokensSold, 0);
+  return parseFloat(position.tokensReceived) + soldTokens;
+}
+
+function evaluateExitTrigger(position, currentPrice) {
+  if (!isValidPrice(position.priceAtSnipe)) {
+    return null;
+  }
+  
+  const plan = getExitPlan(position);
+  const remainingTokens = parseFloat(position.tokensReceived);
+  const peakPrice = Math.max(position.peakPrice || position.priceAtSnipe, currentPrice);
+  const multiple = currentPrice / position.priceAtSnipe;
+  const changePercent = (multiple - 1) * 100;
+  const sellEverything = reason => ({ reason, changePercent, tokensToSell: remainingTokens, tranches: [], closesPosition: true });
+  
+  // 1. Hard stop-loss from entry
+  if (plan.stopLossPercent && changePercent <= -plan.stopLossPercent) {
+    return sellEverything('stop_loss');
+  }
+  
+  // 2. Trailing stop from the high-water mark, armed once the peak reaches the activation multiple
+  const peakMultiple = peakPrice / position.priceAtSnipe;
+  if (
+    plan.trailingStopPercent &&
+    peakMultiple >= (plan.trailingActivationMultiple || 1) &&
+    currentPrice <= peakPrice * (1 - plan.trailingStopPercent / 100)
+  ) {
+    return sellEverything('trailing_stop');
+  }
+  
+  // 3. Take-profit ladder - tranches are a percentage of the original position,
+  //    and every tranche reached since the last check is sold in one swap
+  const filledTranches = position.tranchesFilled || [];
+  const dueTranches = [];
+  let sellPercent = 0;
+  (plan.takeProfits || []).forEach((tranche, index) => {
+    if (!filledTranches.includes(index) && multiple >= tranche.multiple) {
+      dueTranches.push(index);
+      sellPercent += tranche.sellPercent;
+    }
+  });
+  
+  if (dueTranches.length === 0) {
+    return null;
+  }
+  
+  const tokensToSell = Math.min(remainingTokens, getInitialTokens(position) * sellPercent / 100);
+  const allTranchesFilled = filledTranches.length + dueTranches.length >= plan.takeProfits.length;
+  const closesPosition = tokensToSell >= remainingTokens || (allTranchesFilled && !plan.trailingStopPercent && !plan.stopLossPercent);
+  
+  return {
+    reason: 'take_profit',
+    changePercent,
+    tokensToSell: closesPosition ? remainingTokens : tokensToSell,
+    tranches: dueTranches,
+    closesPosition
+  };
+}
+
+async function monitorPositions() {
+  // Skip this tick if the previous run is still selling
+  if (positionMonitorRunning) {
+    return;
+  }
+  positionMonitorRunning = true;
+  
   try {
-    const res = await fetch(NEW_LISTINGS_URL, {
-      headers: {
-        'X-API-KEY': BIRDEYE_API_KEY,
-      },
-    });
+    // Only the book being traded is managed, so a paper bot never sells live positions
+    const book = currentBook();
+    const openPositions = loadPortfolio(book).tokens.filter(isOpenPosition);
+    if (openPositions.length === 0) {
+      return;
+    }
     
-    if (!res.ok) {
-      console.error('Failed to fetch new listings:', res.status);
-      return [];
+    console.log(`\n👀 Re-pricing ${openPositions.length} open ${book === 'paper' ? 'paper ' : ''}position(s)... (${new Date().toLocaleTimeString()})`);
+    
+    const prices = {};
+    for (const position of openPositions) {
+      const currentPrice = await getTokenPrice(position.mint);
+      if (isValidPrice(currentPrice)) {
+        prices[position.transactionSignature] = currentPrice;
+      } else {
+        console.log(`   ⚠️ No valid price for ${position.symbol}, skipping`);
+      }
+      
+      // Small delay to avoid rate limiting
+      if (!REPLAY_FILE) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+    
+    markPortfolioPrices(prices, book);
+    
+    for (const position of openPositions) {
+      const currentPrice = prices[position.transactionSignature];
+      if (!currentPrice) {
+        continue;
+      }
+      
+      const trigger = evaluateExitTrigger(position, currentPrice);
+      if (trigger) {
+        await sellPosition(position, trigger, currentPrice, book);
+      }
+    }
+    
+  } catch (error) {
+    console.error('Error in monitorPositions:', error);
+    await sendTelegramMessage(formatErrorNotification(error.message, 'Position Monitor'));
+  } finally {
+    positionMonitorRunning = false;
+  }
+}
+
+async function sellPosition(position, trigger, currentPrice, book) {
+  try {
+    const simulated = Boolean(REPLAY_FILE) || book === 'paper';
+    
+    console.log(`\n💸 ${book === 'paper' ? 'PAPER ' : ''}EXIT TRIGGERED: ${position.symbol} (${trigger.reason})`);
+    console.log(`   Mint: ${position.mint}`);
+    console.log(`   Price: $${currentPrice} (${trigger.changePercent.toFixed(2)}% vs entry $${position.priceAtSnipe})`);
+    console.log(`   Selling: ${trigger.tokensToSell} of ${position.tokensReceived} ${position.symbol}${trigger.tranches.length ? ` (tranche ${trigger.tranches.map(i => i + 1).join(', ')})` : ''}`);
+    
+    // Never try to sell more than the wallet actually holds
+    const decimals = position.decimals ?? await getTokenDecimals(position.mint);
+    const requestedAmountRaw = BigInt(Math.floor(trigger.tokensToSell * Math.pow(10, decimals)));
+    const walletAmountRaw = simulated ? requestedAmountRaw : await getTokenBalanceRaw(position.mint);
+    const amountRaw = walletAmountRaw < requestedAmountRaw ? walletAmountRaw : requestedAmountRaw;
+    
+    if (amountRaw <= 0n) {
+      console.log(`   ❌ No ${position.symbol} balance in wallet to sell`);
+      return;
+    }
+    
+    // 1. Get sell quote (Jupiter, or the Raydium pool directly), back into what the position was bought with
+    const asset = getQuoteAsset(position.quoteAsset);
+    let quote = await getSellQuote(position.mint, amountRaw, asset);
+    if (!quote.success) {
+      console.log(`   ❌ Sell quote failed: ${quote.error}`);
+      return;
+    }
+    
+    const tokensSold = Number(amountRaw) / Math.pow(10, decimals);
+    // Without a SOL price right now, proceeds are valued at the price the position was bought at
+    const assetPrice = await getQuoteAssetPrice(asset) ?? position.costUsd / position.amountIn;
+    const quotedProceeds = fromRawAmount(quote.outAmount, asset);
+    
+    console.log(`   📊 Sell quote received:`);
+    console.log(`      Input: ${tokensSold} ${position.symbol}`);
+    console.log(`      Output: ${formatAssetAmount(quotedProceeds, asset, quotedProceeds * assetPrice)}`);
+    console.log(`      Price Impact: ${quote.priceImpact}%`);
+    console.log(`      Venue: ${formatVenue(quote.venue)}`);
+    
+    let swapResult;
+    if (simulated) {
+      swapResult = simulateSwap('SELL');
+    } else {
+      // 2. Build, sign and send the swap, re-quoting if it expires
+      swapResult = await sendSwap(quote, () => getSellQuote(position.mint, amountRaw, asset));
+      if (!swapResult.success) {
+        console.log(`   ❌ Sell failed: ${swapResult.error}`);
+        await sendTelegramMessage(swapResult.status === 'simulation_failed'
+          ? formatSimulationFailureNotification(swapResult, `Selling ${position.symbol}`)
+          : formatErrorNotification(swapResult.error, `Selling ${position.symbol}`));
+        return;
+      }
+      quote = swapResult.quote;
+    }
+    
+    // 3. Proceeds from what the swap actually returned, net of fees
+    const fill = await resolveFill(swapResult, quote, { inputDecimals: decimals, outputDecimals: asset.decimals, simulated });
+    const proceeds = fill.amountOut;
+    const proceedsUsd = proceeds * assetPrice - (fill.feesUsd ?? 0);
+    const sale = {
+      soldAt: new Date(currentTime()).toISOString(),
+      reason: trigger.reason,
+      tranches: trigger.tranches,
+      closesPosition: trigger.closesPosition,
+      price: currentPrice,
+      tokensSold: fill.amountIn,
+      proceeds: proceeds,
+      proceedsUsd: proceedsUsd,
+      priceImpact: quote.priceImpact,
+      venue: quote.venue,
+      transactionSignature: swapResult.signature,
+      priorityFee: swapResult.priorityFee || null,
+      fill: fill
+    };
+    
+    console.log(`   ✅ ${trigger.closesPosition ? 'POSITION CLOSED' : 'PARTIAL EXIT FILLED'}!`);
+    console.log(`      Transaction: ${swapResult.signature}`);
+    console.log(`      Proceeds: ${formatAssetAmount(proceeds, asset, proceedsUsd)}${formatFillSlippage(fill)}`);
+    if (fill.feeLamports !== null) {
+      console.log(`      Network fees: ${formatFillFees(fill)}`);
     }
     
-    const data = await res.json();
-    if (!data.data || !Array.isArray(data.data)) {
+    // 4. Record the sale and notify
+    const portfolio = recordPositionSale(position.transactionSignature, sale, book);
+    await sendTelegramMessage(formatExitNotification(position, sale, portfolio, book));
+    
+  } catch (error) {
+    console.error(`Error selling position:`, error);
+  }
+}
+
+async function fetchNewListings() {
+  try {
+    const res = await fetchTokenList('newListings');
+    
+    if (!res.success) {
+      console.error('Failed to fetch new listings:', res.error);
       return [];
     }
     
-    return data.data;
+    return res.data;
   } catch (error) {
     console.error('Error fetching new listings:', error);
     return [];
@@ -729,31 +1605,31 @@ async function fetchNewListings() {
 
 async function fetchAndAnalyzeTokens() {
   try {
-    console.log(`\n📡 Fetching tokens... (${new Date().toLocaleTimeString()})`);
+    console.log(`\n📡 Fetching tokens... (${new Date(currentTime()).toLocaleTimeString()})`);
+    
+    // Everything recorded from here until the next fetch belongs to this cycle
+    if (marketRecorder) {
+      marketRecorder.startCycle();
+    }
     
     // Fetch both regular token list and new listings
     const [res, newListings] = await Promise.all([
-      fetch(API_URL, {
-        headers: {
-          'X-API-KEY': BIRDEYE_API_KEY,
-        },
-      }),
+      fetchTokenList('tokens'),
       fetchNewListings()
     ]);
     
-    if (!res.ok) {
-      console.error('Failed to fetch from Birdeye:', res.status);
+    if (!res.success) {
+      console.error('Failed to fetch token list:', res.error);
       return;
     }
     
-    const data = await res.json();
-    if (!data.data || !data.data.tokens || !Array.isArray(data.data.tokens)) {
-      console.error('No token data found in Birdeye response');
-      return;
+    // Providers later in the order only answer when the earlier ones failed
+    if (marketData && res.provider !== marketData.providers[0]) {
+      console.log(`   Token list from ${res.provider}`);
     }
     
     // Combine both sources and prioritize new listings
-    let allTokens = [...data.data.tokens];
+    let allTokens = [...res.data];
     
     // Add new listings with higher priority
     if (newListings.length > 0) {
@@ -761,42 +1637,106 @@ async function fetchAndAnalyzeTokens() {
       allTokens = [...newListings, ...allTokens];
     }
     
-    // Filter tokens that pass our criteria
-    const filteredTokens = allTokens.filter(passesSnipeFilters);
+    // A token can show up in both sources - keep the first (new listing) entry
+    const seenInCycle = new Set();
+    allTokens = allTokens.filter(token => {
+      if (seenInCycle.has(token.address)) {
+        return false;
+      }
+      seenInCycle.add(token.address);
+      return true;
+    });
+    
+    // Filter tokens that pass our criteria, tallying why the rest were dropped
+    const filteredTokens = [];
+    const rejectionCounts = {};
+    const verdicts = new Map();
+    allTokens.forEach(token => {
+      const verdict = passesSnipeFilters(token);
+      verdicts.set(token.address, verdict);
+      if (verdict.passed) {
+        filteredTokens.push(token);
+      } else {
+        rejectionCounts[verdict.rejectedBy] = (rejectionCounts[verdict.rejectedBy] || 0) + 1;
+      }
+    });
     console.log(`   Total tokens: ${allTokens.length}`);
     console.log(`   Passing filters: ${filteredTokens.length}`);
     
+    const rejections = Object.entries(rejectionCounts).sort((a, b) => b[1] - a[1]);
+    if (rejections.length > 0) {
+      console.log(`   Rejected by: ${rejections.map(([rule, count]) => `${rule} ${count}`).join(', ')}`);
+    }
+    
     // Find new tokens (not seen before)
     const newTokens = filteredTokens.filter(isNewToken);
     console.log(`   New tokens: ${newTokens.length}`);
     
+    // Audit first sightings the filters turned away; later cycles would only repeat them
+    allTokens.forEach(token => {
+      const verdict = verdicts.get(token.address);
+      if (isNewToken(token) && !verdict.passed) {
+        recordDecision(token, verdict, {
+          action: 'rejected_filters',
+          rejection: { stage: 'filters', rule: verdict.rejectedBy, reason: verdict.reason }
+        });
+      }
+    });
+    
     // Update our set of seen tokens
     allTokens.forEach(token => {
       previouslySeenTokens.add(token.address);
     });
     
-    // Process new tokens
-    for (const token of newTokens.slice(0, 3)) { // Limit to 3 to focus on best opportunities
-      const tokenAge = Math.floor((Date.now() - (token.lastTradeUnixTime * 1000)) / (1000 * 60));
-      
-      console.log(`\n🚀 FRESH TOKEN DETECTED: ${token.symbol} (${token.name})`);
-      console.log(`   Mint: ${token.address}`);
-      console.log(`   Age: ${tokenAge} minutes old`);
-      console.log(`   Price: $${token.price?.toFixed(8) || 'N/A'}`);
-      console.log(`   Liquidity: $${token.liquidity?.toLocaleString() || 'N/A'}`);
-      console.log(`   Market Cap: $${token.mc?.toLocaleString() || 'N/A'}`);
-      console.log(`   Volume/MC Ratio: ${((token.v24hUSD / token.mc) * 100).toFixed(1)}%`);
-      console.log(`   Last Trade: ${new Date(token.lastTradeUnixTime * 1000).toLocaleString()}`);
-      
-      // Check token safety
-      const isSafe = await checkTokenSafety(token);
-      if (isSafe) {
-        console.log(`   ✅ Token passed safety checks`);
-        await snipeToken(token);
-      } else {
-        console.log(`   ❌ Token failed safety checks`);
+    // Queue the new tokens and refresh the waiting ones with this cycle's data. A waiting token
+    // that no longer passes the filters leaves the queue.
+    const queueSettings = { concurrency: 3, maxPerCycle: 3, maxSize: 50, maxWaitMinutes: 15, ...strategy.queue };
+    const now = currentTime();
+    allTokens.filter(token => candidateQueue.has(token.address)).forEach(token => {
+      const verdict = verdicts.get(token.address);
+      if (verdict.passed) {
+        candidateQueue.upsert(token, verdict, scoreCandidate(token, queueSettings.scoring, now), now);
+        return;
       }
+      candidateQueue.remove(token.address);
+      recordDecision(token, verdict, {
+        action: 'rejected_filters',
+        rejection: { stage: 'filters', rule: verdict.rejectedBy, reason: verdict.reason }
+      });
+    });
+    newTokens.forEach(token => {
+      candidateQueue.upsert(token, verdicts.get(token.address), scoreCandidate(token, queueSettings.scoring, now), now);
+    });
+    
+    const { stale, overflow } = candidateQueue.evict({
+      now,
+      maxWaitMs: queueSettings.maxWaitMinutes * 60 * 1000,
+      maxSize: queueSettings.maxSize
+    });
+    stale.forEach(candidate => {
+      recordDecision(candidate.token, candidate.verdict, {
+        action: 'skipped_stale',
+        candidate: summarizeCandidate(candidate),
+        rejection: { stage: 'queue', rule: 'maxWaitMinutes', reason: `Waited over ${queueSettings.maxWaitMinutes} minutes in the queue` }
+      });
+    });
+    overflow.forEach(candidate => {
+      recordDecision(candidate.token, candidate.verdict, {
+        action: 'skipped_limit',
+        candidate: summarizeCandidate(candidate),
+        rejection: { stage: 'queue', rule: 'maxSize', reason: `Queue full (${queueSettings.maxSize}) and score ${candidate.score.toFixed(1)} was among the lowest` }
+      });
+    });
+    
+    // The best candidates are checked in parallel; the rest wait for the next cycle
+    const batch = candidateQueue.take(queueSettings.maxPerCycle);
+    if (batch.length > 0) {
+      console.log(`   Checking ${batch.length} candidate(s), ${candidateQueue.size} waiting${stale.length + overflow.length > 0 ? `, ${stale.length + overflow.length} dropped` : ''}`);
     }
+    await runWorkerPool(batch, queueSettings.concurrency, candidate =>
+      processCandidate(candidate.token, candidate.verdict, candidate).catch(error => {
+        console.error(`Error processing ${candidate.token.symbol}:`, error);
+      }));
     
   } catch (error) {
     console.error('Error in fetchAndAnalyzeTokens:', error);
@@ -804,12 +1744,190 @@ async function fetchAndAnalyzeTokens() {
   }
 }
 
+// { score, components, queuedAt } for the audit log, or null for tokens that skipped the queue
+function summarizeCandidate(candidate) {
+  if (!candidate) {
+    return null;
+  }
+  return {
+    score: candidate.score,
+    components: candidate.components,
+    queuedAt: new Date(candidate.queuedAt).toISOString()
+  };
+}
+
+// Safety checks and snipe for a token that passed the filters, from either discovery source.
+// `candidate` is its queue entry when it came from the token list.
+async function processCandidate(token, verdict, candidate = null) {
+  const tokenAge = Math.floor((currentTime() - (token.lastTradeUnixTime * 1000)) / (1000 * 60));
+  
+  console.log(`\n🚀 FRESH TOKEN DETECTED: ${token.symbol} (${token.name})`);
+  console.log(`   Mint: ${token.address}`);
+  console.log(`   Age: ${tokenAge} minutes old`);
+  console.log(`   Price: $${token.price?.toFixed(8) || 'N/A'}`);
+  console.log(`   Liquidity: $${token.liquidity?.toLocaleString() || 'N/A'}`);
+  console.log(`   Market Cap: $${token.mc?.toLocaleString() || 'N/A'}`);
+  console.log(`   Volume/MC Ratio: ${((token.v24hUSD / token.mc) * 100).toFixed(1)}%`);
+  console.log(`   Last Trade: ${new Date(token.lastTradeUnixTime * 1000).toLocaleString()}`);
+  if (candidate) {
+    const { freshness, liquidity, volumeToMarketCap } = candidate.components;
+    console.log(`   Queue score: ${candidate.score.toFixed(1)} (freshness ${freshness.toFixed(2)}, liquidity ${liquidity.toFixed(2)}, volume/MC ${volumeToMarketCap.toFixed(2)})`);
+  }
+  
+  // Check token safety
+  const safety = await checkTokenSafety(token);
+  if (safety.passed) {
+    console.log(`   ✅ ${token.symbol} passed safety checks`);
+    const outcome = await snipeLane.run(() => snipeToken(token, safety));
+    const succeeded = outcome.action === 'sniped' || outcome.action === 'paper_trade';
+    recordDecision(token, verdict, {
+      safety,
+      candidate: summarizeCandidate(candidate),
+      action: outcome.action,
+      rejection: succeeded ? null : { stage: 'snipe', rule: outcome.action, reason: outcome.reason },
+      quote: outcome.quote,
+      transaction: outcome.transaction
+    });
+  } else {
+    console.log(`   ❌ ${token.symbol} failed safety checks`);
+    recordDecision(token, verdict, {
+      safety,
+      candidate: summarizeCandidate(candidate),
+      action: 'rejected_safety',
+      rejection: { stage: 'safety', rule: safety.failedCheck, reason: safety.reason }
+    });
+  }
+}
+
+// On-chain discovery - new Raydium pools are picked up from the AMM program's logs as soon as
+// they are created, instead of waiting for the next token list poll. Both sources share
+// previouslySeenTokens, so whichever sees a token first is the only one to process it.
+const poolListener = createRaydiumPoolListener({ connection, onPool: handleNewPool });
+
+function isPoolListenerEnabled() {
+  return Boolean(strategy.discovery?.raydiumPools?.enabled) && !REPLAY_FILE;
+}
+
+function syncPoolListener() {
+  if (isPoolListenerEnabled() && !poolListener.running) {
+    poolListener.start();
+    console.log('🌊 Listening for new Raydium pools');
+  } else if (!isPoolListenerEnabled() && poolListener.running) {
+    poolListener.stop();
+    console.log('🌊 Stopped listening for new Raydium pools');
+  }
+}
+
+// Prices the pool's initial reserves in USD (USDC/USDT count as $1) and shapes the result
+// like a token list entry. A new pool has no trading history, so volume and 24h change are 0.
+async function buildPoolSnapshot(pool) {
+  const quotePrice = pool.quoteMint === SOL_MINT ? await getTokenPrice(SOL_MINT) : 1;
+  if (!isValidPrice(quotePrice) || !pool.baseAmount || !pool.quoteAmount) {
+    return null;
+  }
+  
+  const price = pool.quoteAmount / pool.baseAmount * quotePrice;
+  const mintInfo = (await getMintAccountInfo(pool.baseMint))?.value?.data?.parsed?.info;
+  const decimals = mintInfo?.decimals ?? pool.baseDecimals;
+  const supply = mintInfo ? Number(mintInfo.supply) / Math.pow(10, decimals) : 0;
+  
+  return {
+    address: pool.baseMint,
+    symbol: pool.baseMint.slice(0, 6),
+    name: `New Raydium ${pool.quoteSymbol} pool`,
+    decimals,
+    price,
+    liquidity: pool.quoteAmount * quotePrice * 2,
+    mc: supply * price,
+    v24hUSD: 0,
+    v24hChangePercent: 0,
+    lastTradeUnixTime: Math.floor(currentTime() / 1000),
+    source: 'raydium',
+    pool: {
+      address: pool.pool,
+      signature: pool.signature,
+      quoteMint: pool.quoteMint,
+      baseAmount: pool.baseAmount,
+      quoteAmount: pool.quoteAmount,
+      openTime: pool.openTime
+    }
+  };
+}
+
+async function handleNewPool(pool) {
+  const token = { address: pool.baseMint };
+  if (!isNewToken(token) || strategy.excludedTokens.includes(pool.baseMint)) {
+    return;
+  }
+  previouslySeenTokens.add(pool.baseMint);
+  raydiumSwap.rememberPool(pool.baseMint, pool.quoteMint, pool.pool);
+  
+  try {
+    console.log(`\n🌊 New Raydium pool: ${pool.baseMint} / ${pool.quoteSymbol} (${pool.pool})`);
+    console.log(`   Initial liquidity: ${pool.baseAmount?.toLocaleString() ?? 'N/A'} tokens / ${pool.quoteAmount?.toLocaleString() ?? 'N/A'} ${pool.quoteSymbol}`);
+    
+    const snapshot = await buildPoolSnapshot(pool);
+    if (!snapshot) {
+      console.log('   ❌ Could not price the pool');
+      return;
+    }
+    
+    const verdict = passesSnipeFilters(snapshot, strategy.discovery?.raydiumPools?.skipRules || []);
+    if (!verdict.passed) {
+      console.log(`   ❌ Rejected by ${verdict.rejectedBy}: ${verdict.reason}`);
+      recordDecision(snapshot, verdict, {
+        action: 'rejected_filters',
+        rejection: { stage: 'filters', rule: verdict.rejectedBy, reason: verdict.reason }
+      });
+      return;
+    }
+    
+    await processCandidate(snapshot, verdict);
+  } catch (error) {
+    console.error('Error in handleNewPool:', error);
+    await sendTelegramMessage(formatErrorNotification(error.message, 'Raydium Pool Analysis'));
+  }
+}
+
+// Writes one audit record per evaluated token (see audit_log.js).
+// Replays only tally the outcomes for their report.
+function recordDecision(token, filterVerdict, outcome) {
+  if (REPLAY_FILE) {
+    replayActionCounts[outcome.action] = (replayActionCounts[outcome.action] || 0) + 1;
+    return;
+  }
+  
+  appendAuditRecord({
+    timestamp: new Date().toISOString(),
+    profile: STRATEGY_PROFILE,
+    dryRun: strategy.sniping.dryRun,
+    mint: token.address,
+    snapshot: token,
+    filters: filterVerdict ? { passed: filterVerdict.passed, results: filterVerdict.results } : null,
+    safety: outcome.safety ? { passed: outcome.safety.passed, checks: outcome.safety.checks, risk: summarizeRisk(outcome.safety.risk) } : null,
+    candidate: outcome.candidate || null,
+    action: outcome.action,
+    rejection: outcome.rejection || null,
+    quote: outcome.quote || null,
+    transaction: outcome.transaction || null
+  });
+}
+
 // Portfolio management functions
-function loadPortfolio() {
+function getPortfolioFile(book) {
+  return book === 'paper' ? PAPER_PORTFOLIO_FILE : PORTFOLIO_FILE;
+}
+
+function loadPortfolio(book = 'live') {
+  if (REPLAY_FILE && replayPortfolio) {
+    return JSON.parse(JSON.stringify(replayPortfolio));
+  }
+  
   try {
-    if (fs.existsSync(PORTFOLIO_FILE)) {
-      const data = fs.readFileSync(PORTFOLIO_FILE, 'utf8');
-      return JSON.parse(data);
+    if (!REPLAY_FILE && fs.existsSync(getPortfolioFile(book))) {
+      const data = fs.readFileSync(getPortfolioFile(book), 'utf8');
+      const portfolio = JSON.parse(data);
+      return { ...portfolio, tokens: portfolio.tokens.map(migratePosition) };
     }
   } catch (error) {
     console.error('Error loading portfolio:', error);
@@ -817,51 +1935,144 @@ function loadPortfolio() {
   return { tokens: [], totalInvested: 0, totalValue: 0, lastUpdated: new Date().toISOString() };
 }
 
-function savePortfolio(portfolio) {
+function savePortfolio(portfolio, book = 'live') {
+  if (REPLAY_FILE) {
+    replayPortfolio = portfolio;
+    return;
+  }
+  
   try {
-    fs.writeFileSync(PORTFOLIO_FILE, JSON.stringify(portfolio, null, 2));
+    fs.writeFileSync(getPortfolioFile(book), JSON.stringify(portfolio, null, 2));
   } catch (error) {
     console.error('Error saving portfolio:', error);
   }
 }
 
-function addTokenToPortfolio(token, quote, transactionSignature, tokensReceivedUI) {
-  const portfolio = loadPortfolio();
-  const tokensReceived = tokensReceivedUI !== undefined ? tokensReceivedUI : parseFloat(quote.outAmount);
+// entry: { amountIn, costUsd, tokensReceived, price, fill } - what the buy actually filled at
+function addTokenToPortfolio(token, quote, transactionSignature, entry, decimals, book = 'live', risk = null) {
+  const portfolio = loadPortfolio(book);
+  const tokensReceived = entry.tokensReceived;
   const portfolioToken = {
     symbol: token.symbol,
     name: token.name,
     mint: token.address,
-    snipedAt: new Date().toISOString(),
-    amountUsdt: SNIPE_AMOUNT_USDT,
+    profile: STRATEGY_PROFILE,
+    snipedAt: new Date(currentTime()).toISOString(),
+    quoteAsset: quote.quoteAsset,
+    amountIn: entry.amountIn,
+    costUsd: entry.costUsd,
     tokensReceived: tokensReceived,
-    priceAtSnipe: token.price,
+    decimals: decimals,
+    venue: quote.venue,
+    risk: risk,
+    priceAtSnipe: entry.price,
+    marketPriceAtSnipe: token.price,
+    fill: entry.fill,
     liquidityAtSnipe: token.liquidity,
     marketCapAtSnipe: token.mc,
     transactionSignature: transactionSignature,
-    currentPrice: token.price, // Will be updated later
-    currentValue: tokensReceived * token.price,
+    currentPrice: entry.price, // Will be updated later
+    currentValue: tokensReceived * entry.price,
     profitLoss: 0, // Will be calculated later
-    profitLossPercent: 0 // Will be calculated later
+    profitLossPercent: 0, // Will be calculated later
+    status: 'open',
+    initialTokens: tokensReceived,
+    peakPrice: entry.price,
+    tranchesFilled: [],
+    realized: 0,
+    realizedUsd: 0,
+    sales: []
   };
   portfolio.tokens.push(portfolioToken);
-  portfolio.totalInvested += SNIPE_AMOUNT_USDT;
+  portfolio.totalInvested += entry.costUsd;
   portfolio.totalValue += portfolioToken.currentValue;
   portfolio.lastUpdated = new Date().toISOString();
-  savePortfolio(portfolio);
-  console.log(`\n📊 PORTFOLIO UPDATED:`);
+  savePortfolio(portfolio, book);
+  console.log(`\n📊 ${book === 'paper' ? 'PAPER ' : ''}PORTFOLIO UPDATED:`);
   console.log(`   Total tokens: ${portfolio.tokens.length}`);
   console.log(`   Total invested: $${portfolio.totalInvested.toFixed(2)}`);
   console.log(`   Current value: $${portfolio.totalValue.toFixed(2)}`);
-  console.log(`   P&L: $${(portfolio.totalValue - portfolio.totalInvested).toFixed(2)} (${((portfolio.totalValue - portfolio.totalInvested) / portfolio.totalInvested * 100).toFixed(2)}%)`);
+  const { pnl, pnlPercent } = getPortfolioPnL(portfolio);
+  console.log(`   P&L: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
+  return portfolio;
+}
+
+function markPortfolioPrices(prices, book = 'live') {
+  const portfolio = loadPortfolio(book);
+  
+  portfolio.tokens.forEach(position => {
+    const currentPrice = prices[position.transactionSignature];
+    if (!currentPrice || !isOpenPosition(position)) {
+      return;
+    }
+    position.currentPrice = currentPrice;
+    position.peakPrice = Math.max(position.peakPrice || position.priceAtSnipe || 0, currentPrice);
+    position.currentValue = parseFloat(position.tokensReceived) * currentPrice;
+    position.profitLoss = position.currentValue + (position.realizedUsd || 0) - position.costUsd;
+    position.profitLossPercent = position.costUsd > 0 ? (position.profitLoss / position.costUsd * 100) : 0;
+  });
+  
+  portfolio.totalValue = portfolio.tokens
+    .filter(isOpenPosition)
+    .reduce((total, position) => total + (position.currentValue || 0), 0);
+  portfolio.lastUpdated = new Date().toISOString();
+  savePortfolio(portfolio, book);
+  return portfolio;
+}
+
+function recordPositionSale(transactionSignature, sale, book = 'live') {
+  const portfolio = loadPortfolio(book);
+  const position = portfolio.tokens.find(token => token.transactionSignature === transactionSignature);
+  
+  if (!position) {
+    console.error(`Position ${transactionSignature} not found in portfolio, sale not recorded`);
+    return portfolio;
+  }
+  
+  // Keep the remaining balance in sync so later tranches and P&L use what is still held
+  position.initialTokens = getInitialTokens(position);
+  position.sales = position.sales || [];
+  position.sales.push(sale);
+  position.tranchesFilled = [...(position.tranchesFilled || []), ...sale.tranches];
+  position.realized = (position.realized || 0) + sale.proceeds;
+  position.realizedUsd = (position.realizedUsd || 0) + sale.proceedsUsd;
+  position.tokensReceived = sale.closesPosition ? 0 : Math.max(0, parseFloat(position.tokensReceived) - sale.tokensSold);
+  position.currentPrice = sale.price;
+  position.currentValue = position.tokensReceived * sale.price;
+  if (position.tokensReceived === 0) {
+    position.status = 'closed';
+    position.closedAt = sale.soldAt;
+  }
+  position.profitLoss = position.currentValue + position.realizedUsd - position.costUsd;
+  position.profitLossPercent = position.costUsd > 0 ? (position.profitLoss / position.costUsd * 100) : 0;
+  
+  portfolio.totalRealized = (portfolio.totalRealized || 0) + sale.proceedsUsd;
+  portfolio.totalValue = portfolio.tokens
+    .filter(isOpenPosition)
+    .reduce((total, token) => total + (token.currentValue || 0), 0);
+  portfolio.lastUpdated = new Date().toISOString();
+  savePortfolio(portfolio, book);
   return portfolio;
 }
 
-function logSnipeToFile(token, quote, transactionSignature, tokensReceivedUI) {
+// Realized proceeds from exits count towards P&L alongside open positions
+function getPortfolioPnL(portfolio) {
+  const pnl = portfolio.totalValue + (portfolio.totalRealized || 0) - portfolio.totalInvested;
+  const pnlPercent = portfolio.totalInvested > 0 ? (pnl / portfolio.totalInvested * 100) : 0;
+  return { pnl, pnlPercent };
+}
+
+// `priorityFee` is what the signed transaction paid ({ computeUnitLimit, microLamports, lamports }),
+// null for simulated fills
+function logSnipeToFile(token, quote, transactionSignature, entry, book = 'live', risk = null, priorityFee = null) {
+  if (REPLAY_FILE) {
+    return;
+  }
+  
   try {
-    const tokensReceived = tokensReceivedUI !== undefined ? tokensReceivedUI : parseFloat(quote.outAmount);
     const snipeLog = {
       timestamp: new Date().toISOString(),
+      profile: STRATEGY_PROFILE,
       token: {
         symbol: token.symbol,
         name: token.name,
@@ -871,32 +2082,41 @@ function logSnipeToFile(token, quote, transactionSignature, tokensReceivedUI) {
         marketCap: token.mc
       },
       snipe: {
-        amountUsdt: SNIPE_AMOUNT_USDT,
-        tokensReceived: tokensReceived,
+        quoteAsset: quote.quoteAsset,
+        amountIn: entry.amountIn,
+        costUsd: entry.costUsd,
+        tokensReceived: entry.tokensReceived,
+        price: entry.price,
         priceImpact: quote.priceImpact,
-        slippage: quote.slippage
+        slippage: quote.slippage,
+        venue: quote.venue,
+        priorityFee: priorityFee,
+        fill: entry.fill
       },
+      risk: risk,
       transaction: transactionSignature
     };
+    const logFile = book === 'paper' ? PAPER_SNIPES_LOG_FILE : SNIPES_LOG_FILE;
     let snipes = [];
-    if (fs.existsSync(SNIPES_LOG_FILE)) {
-      snipes = JSON.parse(fs.readFileSync(SNIPES_LOG_FILE, 'utf8'));
+    if (fs.existsSync(logFile)) {
+      snipes = JSON.parse(fs.readFileSync(logFile, 'utf8'));
     }
     snipes.push(snipeLog);
-    fs.writeFileSync(SNIPES_LOG_FILE, JSON.stringify(snipes, null, 2));
+    fs.writeFileSync(logFile, JSON.stringify(snipes, null, 2));
   } catch (error) {
     console.error('Error logging snipe:', error);
   }
 }
 
-function displayPortfolio() {
-  const portfolio = loadPortfolio();
+function displayPortfolio(book = 'live') {
+  const portfolio = loadPortfolio(book);
   
-  console.log(`\n📊 CURRENT PORTFOLIO:`);
+  console.log(`\n📊 ${book === 'paper' ? 'PAPER' : 'CURRENT'} PORTFOLIO:`);
   console.log(`   Total tokens: ${portfolio.tokens.length}`);
   console.log(`   Total invested: $${portfolio.totalInvested.toFixed(2)}`);
   console.log(`   Current value: $${portfolio.totalValue.toFixed(2)}`);
-  console.log(`   P&L: $${(portfolio.totalValue - portfolio.totalInvested).toFixed(2)} (${((portfolio.totalValue - portfolio.totalInvested) / portfolio.totalInvested * 100).toFixed(2)}%)`);
+  const { pnl, pnlPercent } = getPortfolioPnL(portfolio);
+  console.log(`   P&L: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
   
   if (portfolio.tokens.length > 0) {
     console.log(`\n   Recent snipes:`);
@@ -935,26 +2155,48 @@ async function sendTelegramMessage(message) {
   }
 }
 
-function formatSnipeNotification(token, quote, transactionSignature) {
-  const portfolio = loadPortfolio();
+function formatTransactionLink(transactionSignature, book) {
+  if (book === 'paper') {
+    return 'Simulated fill (paper trade)';
+  }
+  return `<a href="https://solscan.io/tx/${transactionSignature}">View on Solscan</a>`;
+}
+
+function formatSnipeNotification(token, quote, transactionSignature, entry, book = 'live', safety = null) {
+  const portfolio = loadPortfolio(book);
+  const holderCheck = safety?.checks.find(check => check.check === 'holderDistribution' && !check.skipped);
+  const liquidityLockCheck = safety?.checks.find(check => check.check === 'liquidityLock' && !check.skipped);
+  const extensionCheck = safety?.checks.find(check => check.check === 'tokenExtensions' && !check.skipped);
+  const metadataCheck = safety?.checks.find(check => check.check === 'metadata' && !check.skipped);
+  // Checks below the hard blockers can fail and still leave the token above the risk threshold
+  const describeCheck = check => check.passed ? check.details : `❌ ${check.reason}`;
+  const extensionWarnings = extensionCheck?.warnings || [];
+  const metadataWarnings = metadataCheck?.warnings || [];
   const totalInvested = portfolio.totalInvested;
   const totalValue = portfolio.totalValue;
-  const pnl = totalValue - totalInvested;
-  const pnlPercent = totalInvested > 0 ? (pnl / totalInvested * 100) : 0;
+  const { pnl, pnlPercent } = getPortfolioPnL(portfolio);
   
-  return `🚀 <b>SUCCESSFUL SNIPE!</b>
+  return `${book === 'paper' ? '📝 <b>PAPER SNIPE FILLED</b>' : '🚀 <b>SUCCESSFUL SNIPE!</b>'}
 
 💰 <b>Token:</b> ${token.symbol} (${token.name})
 📍 <b>Mint:</b> <code>${token.address}</code>
-💵 <b>Amount:</b> $${SNIPE_AMOUNT_USDT} USDT
-🎯 <b>Received:</b> ${parseFloat(quote.outAmount).toLocaleString()} ${token.symbol}
-💲 <b>Price:</b> $${token.price.toFixed(8)}
+💵 <b>Amount:</b> ${formatAssetAmount(entry.amountIn, getQuoteAsset(quote.quoteAsset), entry.costUsd)}
+🧭 <b>Profile:</b> ${STRATEGY_PROFILE}
+🎯 <b>Received:</b> ${entry.tokensReceived.toLocaleString()} ${token.symbol}${entry.fill.source === 'transaction' ? ` (slippage ${entry.fill.slippagePercent.toFixed(2)}%)` : ''}
+🔀 <b>Venue:</b> ${formatVenue(quote.venue)}
+💲 <b>Price:</b> $${entry.price.toFixed(8)}
 💧 <b>Liquidity:</b> $${token.liquidity.toLocaleString()}
-📊 <b>Market Cap:</b> $${token.mc.toLocaleString()}
+📊 <b>Market Cap:</b> $${token.mc.toLocaleString()}${safety?.risk ? `
+🧮 <b>Risk Score:</b> ${formatRiskScore(safety.risk)}` : ''}${holderCheck ? `
+👥 <b>Holders:</b> ${describeCheck(holderCheck)}` : ''}${liquidityLockCheck ? `
+🔒 <b>LP Lock:</b> ${describeCheck(liquidityLockCheck)}` : ''}${extensionWarnings.length > 0 ? `
+⚠️ <b>Token-2022:</b> ${extensionWarnings.join(', ')}` : ''}${metadataCheck && !metadataCheck.passed ? `
+⚠️ <b>Metadata:</b> ${metadataCheck.reason}` : ''}${metadataWarnings.length > 0 ? `
+⚠️ <b>Metadata:</b> ${metadataWarnings.join(', ')}` : ''}
 
-🔗 <b>Transaction:</b> <a href="https://solscan.io/tx/${transactionSignature}">View on Solscan</a>
+🔗 <b>Transaction:</b> ${formatTransactionLink(transactionSignature, book)}
 
-📈 <b>Portfolio Summary:</b>
+📈 <b>${book === 'paper' ? 'Paper ' : ''}Portfolio Summary:</b>
    • Total Tokens: ${portfolio.tokens.length}
    • Total Invested: $${totalInvested.toFixed(2)}
    • Current Value: $${totalValue.toFixed(2)}
@@ -963,6 +2205,35 @@ function formatSnipeNotification(token, quote, transactionSignature) {
 ⏰ <b>Time:</b> ${new Date().toLocaleString()}`;
 }
 
+const EXIT_REASON_LABELS = {
+  take_profit: 'TAKE PROFIT',
+  trailing_stop: 'TRAILING STOP',
+  stop_loss: 'STOP LOSS'
+};
+
+function formatExitNotification(position, sale, portfolio, book = 'live') {
+  const updated = portfolio.tokens.find(token => token.transactionSignature === position.transactionSignature) || position;
+  const pnl = updated.profitLoss || 0;
+  const pnlPercent = updated.costUsd > 0 ? (pnl / updated.costUsd * 100) : 0;
+  const reasonLabel = EXIT_REASON_LABELS[sale.reason] || sale.reason;
+  
+  return `💸 <b>${book === 'paper' ? 'PAPER ' : ''}${reasonLabel} EXECUTED</b>
+
+💰 <b>Token:</b> ${position.symbol} (${position.name})
+📍 <b>Mint:</b> <code>${position.mint}</code>
+🎯 <b>Sold:</b> ${sale.tokensSold.toLocaleString()} ${position.symbol}
+📦 <b>Remaining:</b> ${parseFloat(updated.tokensReceived).toLocaleString()} ${position.symbol}${updated.status === 'closed' ? ' (closed)' : ''}
+💲 <b>Exit Price:</b> $${sale.price.toFixed(8)} (entry $${position.priceAtSnipe.toFixed(8)})
+💵 <b>Proceeds:</b> ${formatAssetAmount(sale.proceeds, getQuoteAsset(position.quoteAsset), sale.proceedsUsd)}
+📈 <b>Position P&L:</b> $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)
+
+🔗 <b>Transaction:</b> ${formatTransactionLink(sale.transactionSignature, book)}
+
+📊 <b>${book === 'paper' ? 'Paper ' : ''}Portfolio:</b> ${portfolio.tokens.filter(isOpenPosition).length} open, $${(portfolio.totalRealized || 0).toFixed(2)} realized
+
+⏰ <b>Time:</b> ${new Date().toLocaleString()}`;
+}
+
 function formatErrorNotification(error, context) {
   return `❌ <b>BOT ERROR</b>
 
@@ -972,9 +2243,27 @@ function formatErrorNotification(error, context) {
 ⏰ <b>Time:</b> ${new Date().toLocaleString()}`;
 }
 
+// Program logs can contain anything, and messages are sent as HTML
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// A swap stopped before broadcast, so no fee was paid
+function formatSimulationFailureNotification(swapResult, context) {
+  const logs = (swapResult.logs || []).slice(-3);
+  return `🧪 <b>SWAP SIMULATION FAILED</b>
+
+🔍 <b>Context:</b> ${context}
+⚠️ <b>Error:</b> ${swapResult.programError?.name || swapResult.error}${logs.length > 0 ? `
+📜 <b>Logs:</b>
+<code>${logs.map(escapeHtml).join('\n')}</code>` : ''}
+🛑 Not broadcast - no fee paid
+
+⏰ <b>Time:</b> ${new Date().toLocaleString()}`;
+}
+
 function formatPortfolioUpdate(portfolio) {
-  const pnl = portfolio.totalValue - portfolio.totalInvested;
-  const pnlPercent = portfolio.totalInvested > 0 ? (pnl / portfolio.totalInvested * 100) : 0;
+  const { pnl, pnlPercent } = getPortfolioPnL(portfolio);
   
   return `📊 <b>PORTFOLIO UPDATE</b>
 
@@ -986,22 +2275,160 @@ function formatPortfolioUpdate(portfolio) {
 ⏰ <b>Updated:</b> ${new Date().toLocaleString()}`;
 }
 
-// Start monitoring
+// Start monitoring. Token cycles never overlap: the next one starts monitorInterval after the
+// previous one finished.
+const tokenCycles = createCycleScheduler(fetchAndAnalyzeTokens, () => strategy.monitorInterval);
+let positionMonitorTimer = null;
+
+function scheduleMonitors() {
+  clearInterval(positionMonitorTimer);
+  tokenCycles.start();
+  positionMonitorTimer = setInterval(monitorPositions, strategy.exits.monitorInterval);
+}
+
+function applyStrategyConfig(newStrategy, changes) {
+  strategy = newStrategy;
+  
+  if (changes.some(change => change.path === 'sniping.dryRun')) {
+    console.log(`   ${currentBook() === 'paper' ? '📝 Paper trading' : '💰 Live trading'} from now on - positions in the other book are no longer monitored`);
+    displayPortfolio(currentBook());
+  }
+  
+  // Intervals only take effect once the timers are rescheduled
+  if (changes.some(change => change.path === 'monitorInterval' || change.path === 'exits.monitorInterval')) {
+    scheduleMonitors();
+  }
+  
+  syncPoolListener();
+}
+
 async function startMonitoring() {
   console.log('Starting continuous monitoring...\n');
   
   // Initial fetch
   await fetchAndAnalyzeTokens();
   
+  // Re-price open positions and run exits
+  await monitorPositions();
+  
   // Set up continuous monitoring
-  setInterval(fetchAndAnalyzeTokens, MONITOR_INTERVAL);
+  scheduleMonitors();
+  syncPoolListener();
+  watchStrategyConfig(strategy, STRATEGY_PROFILE, applyStrategyConfig);
+}
+
+// Asks for the keystore passphrase unless KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FD supplies it
+async function openWallet() {
+  const result = await unlockWallet(walletSource);
+  if (!result.success) {
+    console.error(`❌ Cannot unlock wallet: ${result.error}`);
+    process.exit(1);
+  }
+  wallet = result.keypair;
+  console.log(walletSource.type === 'keystore' ? `🔓 Wallet unlocked from ${walletSource.file}` : '⚠️ Using the plaintext PRIVATE_KEY_BASE58 (ALLOW_PLAINTEXT_KEY=true)');
+}
+
+// Replay: run every recorded cycle through the same pipeline, then report the simulated book
+async function runReplay() {
+  console.log(`Replaying ${replaySource.cycleCount} recorded cycles...\n`);
+  
+  while (replaySource.advance()) {
+    await fetchAndAnalyzeTokens();
+    await monitorPositions();
+  }
+  
+  const report = buildReplayReport();
+  printReplayReport(report);
+  
+  const reportFile = getArgumentValue('--report-file');
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📝 Report written to ${reportFile}`);
+  }
+}
+
+// A position counts as a hit when its realized plus marked value beats its cost
+function buildReplayReport() {
+  const portfolio = loadPortfolio();
+  const { pnl, pnlPercent } = getPortfolioPnL(portfolio);
+  const span = replaySource.span();
+  const closed = portfolio.tokens.filter(position => !isOpenPosition(position));
+  const winners = portfolio.tokens.filter(position => (position.profitLoss || 0) > 0);
+  
+  return {
+    profile: STRATEGY_PROFILE,
+    description: strategyResult.description || null,
+    recording: REPLAY_FILE,
+    cycles: replaySource.cycleCount,
+    from: new Date(span.from).toISOString(),
+    to: new Date(span.to).toISOString(),
+    quoteAsset: getQuoteAsset(strategy.sniping.quoteAsset).symbol,
+    bankroll: REPLAY_BANKROLL,
+    decisions: replayActionCounts,
+    buys: portfolio.tokens.length,
+    sells: portfolio.tokens.reduce((total, position) => total + (position.sales || []).length, 0),
+    closedPositions: closed.length,
+    openPositions: portfolio.tokens.length - closed.length,
+    winners: winners.length,
+    hitRate: portfolio.tokens.length > 0 ? winners.length / portfolio.tokens.length * 100 : 0,
+    investedUsd: portfolio.totalInvested,
+    realizedUsd: portfolio.totalRealized || 0,
+    openValueUsd: portfolio.totalValue,
+    pnlUsd: pnl,
+    pnlPercent: pnlPercent,
+    synthesizedQuotes: replaySource.synthesizedQuotes,
+    positions: portfolio.tokens.map(position => ({
+      symbol: position.symbol,
+      mint: position.mint,
+      snipedAt: position.snipedAt,
+      quoteAsset: position.quoteAsset,
+      amountIn: position.amountIn,
+      costUsd: position.costUsd,
+      priceAtSnipe: position.priceAtSnipe,
+      lastPrice: position.currentPrice,
+      status: position.status,
+      realizedUsd: position.realizedUsd || 0,
+      profitLoss: position.profitLoss || 0,
+      profitLossPercent: position.profitLossPercent || 0,
+      exits: (position.sales || []).map(sale => ({ soldAt: sale.soldAt, reason: sale.reason, price: sale.price, proceeds: sale.proceeds, proceedsUsd: sale.proceedsUsd }))
+    }))
+  };
+}
+
+function printReplayReport(report) {
+  console.log('\n' + '='.repeat(80));
+  console.log(`📼 REPLAY REPORT - profile ${report.profile}`);
+  console.log(`   Recording: ${report.recording} (${report.cycles} cycles, ${report.from} → ${report.to})`);
+  console.log(`   Trades: ${report.buys} buys, ${report.sells} sells`);
+  console.log(`   Positions: ${report.closedPositions} closed, ${report.openPositions} open`);
+  console.log(`   Hit rate: ${report.hitRate.toFixed(1)}% (${report.winners}/${report.buys})`);
+  console.log(`   Invested: $${report.investedUsd.toFixed(2)} | Realized: $${report.realizedUsd.toFixed(2)} | Open value: $${report.openValueUsd.toFixed(2)}`);
+  console.log(`   P&L: $${report.pnlUsd.toFixed(2)} (${report.pnlPercent.toFixed(2)}%)`);
+  console.log(`   Decisions: ${Object.entries(report.decisions).map(([action, count]) => `${action} ${count}`).join(', ') || 'none'}`);
+  if (report.synthesizedQuotes > 0) {
+    console.log(`   ⚠️ ${report.synthesizedQuotes} quote(s) were not in the recording and were priced from recorded token prices`);
+  }
+  
+  report.positions.forEach((position, index) => {
+    console.log(`   ${index + 1}. ${position.symbol} - ${position.status}, $${position.profitLoss.toFixed(2)} (${position.profitLossPercent.toFixed(2)}%)${position.exits.length ? ` via ${position.exits.map(exit => exit.reason).join(', ')}` : ''}`);
+  });
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down sniping bot...');
+  if (marketRecorder) {
+    marketRecorder.flush();
+  }
   process.exit(0);
 });
 
 // Start the bot
-startMonitoring().catch(console.error); 
\ No newline at end of file
+if (REPLAY_FILE) {
+  runReplay().catch(error => {
+    console.error('Replay failed:', error);
+    process.exit(1);
+  });
+} else {
+  openWallet().then(startMonitoring).catch(console.error);
+}
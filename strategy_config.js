@@ -0,0 +1,524 @@
+const fs = require('fs');
+const { FILTER_RULES } = require('./snipe_filters');
+const { EXTENSION_CHECKS, EXTENSION_POLICIES } = require('./token_extensions');
+const { MAX_SCORE, SAFETY_CHECKS } = require('./risk_score');
+const { QUOTE_ASSETS } = require('./quote_assets');
+
+// Strategy configuration - loaded from a JSON file, validated against a schema,
+// and watched for changes so the running bot can pick up new values without a restart.
+const STRATEGY_CONFIG_FILE = process.env.STRATEGY_CONFIG_FILE || 'strategy.json';
+const CONFIG_WATCH_INTERVAL = 2000; // How often to poll the file for changes
+
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Each filter rule declares its own parameters in snipe_filters.js
+const FILTER_RULES_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(FILTER_RULES).map(([name, rule]) => [name, {
+    type: 'object',
+    properties: { enabled: { type: 'boolean' }, ...rule.params }
+  }]))
+};
+
+// One policy per Token-2022 extension (see token_extensions.js); only the transfer fee has a cap
+const EXTENSION_POLICIES_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(EXTENSION_CHECKS).map(name => [name, {
+    type: 'object',
+    properties: {
+      policy: { type: 'string', enum: EXTENSION_POLICIES },
+      ...(name === 'transferFee' ? { maxFeeBps: { type: 'integer', min: 0, max: 10000 } } : {})
+    }
+  }]))
+};
+
+const EXIT_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    takeProfits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          multiple: { type: 'number', exclusiveMin: 1 },
+          sellPercent: { type: 'number', exclusiveMin: 0, max: 100 }
+        },
+        required: ['multiple', 'sellPercent']
+      }
+    },
+    trailingStopPercent: { type: 'number', exclusiveMin: 0, exclusiveMax: 100, nullable: true },
+    trailingActivationMultiple: { type: 'number', min: 1, nullable: true },
+    stopLossPercent: { type: 'number', exclusiveMin: 0, max: 100, nullable: true }
+  }
+};
+
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    monitorInterval: { type: 'integer', min: 1000 },
+    excludedTokens: { type: 'array', items: { type: 'string', pattern: BASE58_ADDRESS } },
+    filters: {
+      type: 'object',
+      properties: {
+        order: { type: 'array', items: { type: 'string', enum: Object.keys(FILTER_RULES) } },
+        rules: FILTER_RULES_SCHEMA
+      },
+      required: ['rules']
+    },
+    sniping: {
+      type: 'object',
+      properties: {
+        quoteAsset: { type: 'string', enum: Object.keys(QUOTE_ASSETS) },
+        amount: { type: 'number', exclusiveMin: 0 },
+        maxSlippageBps: { type: 'integer', min: 1, max: 10000 },
+        maxPriceImpactPercent: { type: 'number', exclusiveMin: 0, max: 100 },
+        dryRun: { type: 'boolean' },
+        paperBalance: { type: 'number', exclusiveMin: 0 },
+        raydiumFallback: { type: 'boolean' }
+      },
+      required: ['amount', 'maxSlippageBps', 'dryRun']
+    },
+    bankroll: {
+      type: 'object',
+      properties: {
+        positionSizePercent: { type: 'number', exclusiveMin: 0, max: 100, nullable: true },
+        maxOpenPositions: { type: 'integer', min: 1, nullable: true },
+        maxAtRiskUsd: { type: 'number', exclusiveMin: 0, nullable: true },
+        maxDailySpendUsd: { type: 'number', exclusiveMin: 0, nullable: true },
+        maxDailyLossUsd: { type: 'number', exclusiveMin: 0, nullable: true },
+        maxTokenSharePercent: { type: 'number', exclusiveMin: 0, max: 100, nullable: true }
+      }
+    },
+    queue: {
+      type: 'object',
+      properties: {
+        concurrency: { type: 'integer', min: 1, max: 10 },
+        maxPerCycle: { type: 'integer', min: 1 },
+        maxSize: { type: 'integer', min: 1 },
+        maxWaitMinutes: { type: 'number', exclusiveMin: 0 },
+        scoring: {
+          type: 'object',
+          properties: {
+            freshness: {
+              type: 'object',
+              properties: { weight: { type: 'number', min: 0 }, windowMinutes: { type: 'number', exclusiveMin: 0 } }
+            },
+            liquidity: {
+              type: 'object',
+              properties: { weight: { type: 'number', min: 0 }, target: { type: 'number', exclusiveMin: 0 } }
+            },
+            volumeToMarketCap: {
+              type: 'object',
+              properties: { weight: { type: 'number', min: 0 }, target: { type: 'number', exclusiveMin: 0 } }
+            }
+          }
+        }
+      }
+    },
+    execution: {
+      type: 'object',
+      properties: {
+        computeUnitLimit: { type: 'integer', min: 1000, max: 1400000 },
+        computeUnitMarginPercent: { type: 'number', min: 0, max: 100 },
+        rebroadcastIntervalMs: { type: 'integer', min: 250 },
+        maxExpiryRetries: { type: 'integer', min: 0, max: 5 },
+        priorityFee: {
+          type: 'object',
+          properties: {
+            percentile: { type: 'number', min: 0, max: 100 },
+            minMicroLamports: { type: 'integer', min: 0 },
+            maxMicroLamports: { type: 'integer', min: 0 }
+          }
+        }
+      }
+    },
+    safety: {
+      type: 'object',
+      properties: {
+        mintAuthority: { type: 'boolean' },
+        freezeAuthority: { type: 'boolean' },
+        supply: { type: 'boolean' },
+        honeypot: { type: 'boolean' },
+        sellSimulation: { type: 'boolean' },
+        sellSimulationLimits: {
+          type: 'object',
+          properties: {
+            maxTaxPercent: { type: 'number', min: 0, max: 100 },
+            requireSimulation: { type: 'boolean' }
+          }
+        },
+        holderDistribution: { type: 'boolean' },
+        holderLimits: {
+          type: 'object',
+          properties: {
+            maxTop1Percent: { type: 'number', exclusiveMin: 0, max: 100 },
+            maxTop10Percent: { type: 'number', exclusiveMin: 0, max: 100 },
+            minHolders: { type: 'integer', min: 0 },
+            countHolders: { type: 'boolean' },
+            excludedOwners: { type: 'array', items: { type: 'string', pattern: BASE58_ADDRESS } }
+          }
+        },
+        tokenExtensions: { type: 'boolean' },
+        metadata: { type: 'boolean' },
+        metadataLimits: {
+          type: 'object',
+          properties: {
+            requireImmutable: { type: 'boolean' },
+            trustedUpdateAuthorities: { type: 'array', items: { type: 'string', pattern: BASE58_ADDRESS } },
+            requireNameMatch: { type: 'boolean' },
+            requiredUriFields: { type: 'array', items: { type: 'string', minLength: 1 } }
+          }
+        },
+        tokenExtensionPolicies: EXTENSION_POLICIES_SCHEMA,
+        scoring: {
+          type: 'object',
+          properties: {
+            threshold: { type: 'number', min: 0, max: MAX_SCORE },
+            hardBlockers: { type: 'array', items: { type: 'string', enum: SAFETY_CHECKS } },
+            weights: {
+              type: 'object',
+              properties: Object.fromEntries(SAFETY_CHECKS.map(check => [check, { type: 'number', min: 0, max: MAX_SCORE }]))
+            }
+          }
+        },
+        liquidityLock: { type: 'boolean' },
+        liquidityLockLimits: {
+          type: 'object',
+          properties: {
+            maxUnlockedPercent: { type: 'number', min: 0, max: 100 },
+            lockerPrograms: { type: 'array', items: { type: 'string', pattern: BASE58_ADDRESS } }
+          }
+        }
+      }
+    },
+    exits: {
+      type: 'object',
+      properties: {
+        monitorInterval: { type: 'integer', min: 1000 },
+        defaultPlan: EXIT_PLAN_SCHEMA,
+        overrides: { type: 'map', keyPattern: BASE58_ADDRESS, values: EXIT_PLAN_SCHEMA }
+      },
+      required: ['monitorInterval', 'defaultPlan']
+    },
+    discovery: {
+      type: 'object',
+      properties: {
+        raydiumPools: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            skipRules: { type: 'array', items: { type: 'string', enum: Object.keys(FILTER_RULES) } }
+          }
+        }
+      }
+    }
+  },
+  required: ['monitorInterval', 'excludedTokens', 'filters', 'sniping', 'safety', 'exits']
+};
+
+// A profile overrides any subset of the base settings, so nothing inside it is required
+function partialSchema(schema) {
+  if (schema.type === 'object') {
+    const properties = {};
+    Object.entries(schema.properties).forEach(([key, child]) => {
+      properties[key] = partialSchema(child);
+    });
+    return { ...schema, properties, required: [] };
+  }
+  return schema;
+}
+
+const PROFILE_SCHEMA = partialSchema(SETTINGS_SCHEMA);
+PROFILE_SCHEMA.properties.description = { type: 'string' };
+
+const STRATEGY_SCHEMA = {
+  ...SETTINGS_SCHEMA,
+  properties: {
+    ...SETTINGS_SCHEMA.properties,
+    defaultProfile: { type: 'string', minLength: 1 },
+    profiles: { type: 'map', values: PROFILE_SCHEMA }
+  }
+};
+
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function validateAgainstSchema(value, schema, path, errors) {
+  const at = path || '(root)';
+  
+  if (value === null && schema.nullable) {
+    return;
+  }
+  
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !isFinite(value)) {
+        errors.push(`${at}: expected a number, got ${describeType(value)}`);
+        return;
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${at}: expected an integer, got ${value}`);
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${at}: must be >= ${schema.min}, got ${value}`);
+      }
+      if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+        errors.push(`${at}: must be > ${schema.exclusiveMin}, got ${value}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${at}: must be <= ${schema.max}, got ${value}`);
+      }
+      if (schema.exclusiveMax !== undefined && value >= schema.exclusiveMax) {
+        errors.push(`${at}: must be < ${schema.exclusiveMax}, got ${value}`);
+      }
+      return;
+    
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${at}: expected true or false, got ${describeType(value)}`);
+      }
+      return;
+    
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${at}: expected a string, got ${describeType(value)}`);
+        return;
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${at}: must not be empty`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: "${value}" is not one of ${schema.enum.join(', ')}`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${at}: "${value}" is not a valid address`);
+      }
+      if (schema.regex) {
+        try {
+          new RegExp(value, 'i');
+        } catch (error) {
+          errors.push(`${at}: "${value}" is not a valid regular expression`);
+        }
+      }
+      return;
+    
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${at}: expected an array, got ${describeType(value)}`);
+        return;
+      }
+      value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors));
+      return;
+    
+    case 'map':
+      if (describeType(value) !== 'object') {
+        errors.push(`${at}: expected an object, got ${describeType(value)}`);
+        return;
+      }
+      Object.entries(value).forEach(([key, item]) => {
+        if (schema.keyPattern && !schema.keyPattern.test(key)) {
+          errors.push(`${path}: key "${key}" is not a valid address`);
+        }
+        validateAgainstSchema(item, schema.values, `${path}.${key}`, errors);
+      });
+      return;
+    
+    case 'object':
+      if (describeType(value) !== 'object') {
+        errors.push(`${at}: expected an object, got ${describeType(value)}`);
+        return;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+        }
+      });
+      Object.entries(value).forEach(([key, item]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (!schema.properties[key]) {
+          errors.push(`${childPath}: unknown setting`);
+          return;
+        }
+        validateAgainstSchema(item, schema.properties[key], childPath, errors);
+      });
+      return;
+    
+    default:
+      errors.push(`${at}: schema has unsupported type ${schema.type}`);
+  }
+}
+
+// Rules that span more than one field
+function validateConsistency(config, errors) {
+  const { filters, exits, execution } = config;
+  const rules = (filters && filters.rules) || {};
+  
+  ['marketCap', 'price'].forEach(name => {
+    const rule = rules[name];
+    if (rule && rule.min !== undefined && rule.max !== undefined && rule.min > rule.max) {
+      errors.push(`filters.rules.${name}: min (${rule.min}) is above max (${rule.max})`);
+    }
+  });
+  
+  const priorityFee = execution && execution.priorityFee;
+  if (priorityFee && priorityFee.minMicroLamports !== undefined && priorityFee.maxMicroLamports !== undefined &&
+    priorityFee.minMicroLamports > priorityFee.maxMicroLamports) {
+    errors.push(`execution.priorityFee: minMicroLamports (${priorityFee.minMicroLamports}) is above maxMicroLamports (${priorityFee.maxMicroLamports})`);
+  }
+  
+  const order = (filters && filters.order) || [];
+  const duplicates = order.filter((name, index) => order.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`filters.order: lists ${[...new Set(duplicates)].join(', ')} more than once`);
+  }
+  
+  const plans = exits ? { defaultPlan: exits.defaultPlan, ...exits.overrides } : {};
+  Object.entries(plans).forEach(([name, plan]) => {
+    if (!plan || !Array.isArray(plan.takeProfits)) {
+      return;
+    }
+    const totalPercent = plan.takeProfits.reduce((total, tranche) => total + (tranche.sellPercent || 0), 0);
+    if (totalPercent > 100) {
+      errors.push(`exits.${name === 'defaultPlan' ? name : `overrides.${name}`}.takeProfits: tranches sell ${totalPercent}% in total (max 100%)`);
+    }
+  });
+}
+
+function validateStrategyConfig(config) {
+  const errors = [];
+  validateAgainstSchema(config, STRATEGY_SCHEMA, '', errors);
+  if (errors.length === 0) {
+    validateConsistency(config, errors);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// Objects are merged key by key, everything else (including arrays) is replaced
+function mergeSettings(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if (describeType(value) === 'object' && describeType(base[key]) === 'object') {
+      merged[key] = mergeSettings(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+// Applies the named profile (or the file's defaultProfile) over the base settings
+function resolveStrategyProfile(rawConfig, profileName) {
+  const { profiles = {}, defaultProfile, ...baseSettings } = rawConfig;
+  const name = profileName || defaultProfile;
+  
+  if (!name) {
+    return { success: true, config: baseSettings, profile: 'default' };
+  }
+  
+  if (!profiles[name]) {
+    const available = Object.keys(profiles);
+    return {
+      success: false,
+      errors: [`Unknown strategy profile "${name}" (available: ${available.length > 0 ? available.join(', ') : 'none'})`]
+    };
+  }
+  
+  const { description, ...overrides } = profiles[name];
+  const config = mergeSettings(baseSettings, overrides);
+  
+  // Profiles may combine with the base into something inconsistent, so check the result too
+  const validation = validateStrategyConfig(config);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors.map(error => `profile "${name}": ${error}`) };
+  }
+  
+  return { success: true, config, profile: name, description };
+}
+
+function loadStrategyConfig(file = STRATEGY_CONFIG_FILE, profileName = null) {
+  let rawConfig;
+  try {
+    rawConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { success: false, errors: [`Could not read ${file}: ${error.message}`] };
+  }
+  
+  const validation = validateStrategyConfig(rawConfig);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors };
+  }
+  
+  return resolveStrategyProfile(rawConfig, profileName);
+}
+
+// Lists every leaf setting that differs between two configs
+function diffStrategyConfigs(previous, next, path = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  
+  keys.forEach(key => {
+    const childPath = path ? `${path}.${key}` : key;
+    const before = previous ? previous[key] : undefined;
+    const after = next ? next[key] : undefined;
+    
+    if (describeType(before) === 'object' && describeType(after) === 'object') {
+      changes.push(...diffStrategyConfigs(before, after, childPath));
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ path: childPath, from: before, to: after });
+    }
+  });
+  
+  return changes;
+}
+
+// Calls onChange(newConfig, changes) whenever the file changes and still validates.
+// The same profile is re-applied on every reload. Invalid edits are reported and the
+// previous config stays in effect.
+function watchStrategyConfig(currentConfig, profileName, onChange, file = STRATEGY_CONFIG_FILE) {
+  let activeConfig = currentConfig;
+  
+  fs.watchFile(file, { interval: CONFIG_WATCH_INTERVAL }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+    
+    const result = loadStrategyConfig(file, profileName);
+    if (!result.success) {
+      console.error(`\n⚠️ Ignoring invalid change to ${file}, keeping previous settings:`);
+      result.errors.forEach(error => console.error(`   • ${error}`));
+      return;
+    }
+    
+    const changes = diffStrategyConfigs(activeConfig, result.config);
+    if (changes.length === 0) {
+      return;
+    }
+    
+    console.log(`\n🔧 Reloaded ${file} (profile: ${result.profile}):`);
+    changes.forEach(change => {
+      console.log(`   • ${change.path}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+    });
+    
+    activeConfig = result.config;
+    onChange(result.config, changes);
+  });
+  
+  return () => fs.unwatchFile(file);
+}
+
+module.exports = {
+  STRATEGY_CONFIG_FILE,
+  validateStrategyConfig,
+  loadStrategyConfig,
+  resolveStrategyProfile,
+  diffStrategyConfigs,
+  watchStrategyConfig
+};
@@ -0,0 +1,107 @@
+const { PublicKey } = require('@solana/web3.js');
+
+// What a confirmed swap actually did, read back from the transaction's balance changes.
+//
+// Token amounts are the owner's post minus pre token balances for a mint, summed over its token
+// accounts. Native SOL is wrapped and unwrapped inside the swap, so its wSOL account shows no
+// balance on either side: SOL amounts come from the owner's lamport change instead, with the
+// transaction fee and the rent for token accounts the swap opened added back. Rent is a deposit,
+// not a cost: it comes back when the account is closed. So it is reported on its own as
+// rentLamports, for information only. An account opened and closed within the swap (the wSOL
+// account) has already returned its rent and doesn't count.
+// fetchSwapFill() returns
+//   { success, inputAmount, outputAmount, feeLamports, rentLamports, computeUnitsConsumed, slot, error }
+// with token amounts as raw integer strings in each mint's smallest unit.
+const NATIVE_MINT = 'So11111111111111111111111111111111111111112';
+const FETCH_ATTEMPTS = 5;
+const FETCH_DELAY = 1000; // A just-confirmed transaction can take a moment to be served
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sumTokenBalances(balances, owner, mint) {
+  return (balances || [])
+    .filter(balance => balance.owner === owner && balance.mint === mint)
+    .reduce((total, balance) => total + BigInt(balance.uiTokenAmount.amount), 0n);
+}
+
+// Lamports deposited into the owner's token accounts that the transaction opened and left open
+function rentDeposited(transaction, owner) {
+  const { meta } = transaction;
+  const existing = new Set((meta.preTokenBalances || []).map(balance => balance.accountIndex));
+  return (meta.postTokenBalances || [])
+    .filter(balance => balance.owner === owner && !existing.has(balance.accountIndex))
+    .reduce((total, balance) => total + BigInt(meta.postBalances[balance.accountIndex]), 0n);
+}
+
+// The owner's SOL change from the swap itself, in lamports (negative when SOL was spent)
+function nativeChange(transaction, owner) {
+  const { meta } = transaction;
+  const accountKeys = transaction.transaction.message.getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses });
+  let ownerIndex = -1;
+  for (let index = 0; index < accountKeys.length; index++) {
+    if (accountKeys.get(index).toString() === owner) {
+      ownerIndex = index;
+      break;
+    }
+  }
+  if (ownerIndex === -1) {
+    throw new Error(`${owner} is not in the transaction`);
+  }
+  
+  // The fee and new-account rent are booked separately (feeLamports, rentLamports)
+  const feePaid = ownerIndex === 0 ? BigInt(meta.fee) : 0n;
+  return BigInt(meta.postBalances[ownerIndex]) - BigInt(meta.preBalances[ownerIndex]) + feePaid + rentDeposited(transaction, owner);
+}
+
+function balanceChange(transaction, owner, mint) {
+  if (mint === NATIVE_MINT) {
+    return nativeChange(transaction, owner);
+  }
+  const { meta } = transaction;
+  return sumTokenBalances(meta.postTokenBalances, owner, mint) - sumTokenBalances(meta.preTokenBalances, owner, mint);
+}
+
+// swap: { owner, inputMint, outputMint }
+function readSwapFill(transaction, swap) {
+  const owner = new PublicKey(swap.owner).toString();
+  const inputAmount = -balanceChange(transaction, owner, swap.inputMint);
+  const outputAmount = balanceChange(transaction, owner, swap.outputMint);
+  if (outputAmount <= 0n) {
+    return { success: false, error: `No ${swap.outputMint} received` };
+  }
+  
+  return {
+    success: true,
+    inputAmount: inputAmount.toString(),
+    outputAmount: outputAmount.toString(),
+    feeLamports: transaction.meta.fee,
+    rentLamports: Number(rentDeposited(transaction, owner)),
+    computeUnitsConsumed: transaction.meta.computeUnitsConsumed ?? null,
+    slot: transaction.slot
+  };
+}
+
+async function fetchSwapFill(connection, signature, swap) {
+  try {
+    for (let attempt = 1; attempt <= FETCH_ATTEMPTS; attempt++) {
+      const transaction = await connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      if (transaction && transaction.meta) {
+        return readSwapFill(transaction, swap);
+      }
+      await sleep(FETCH_DELAY * attempt);
+    }
+    return { success: false, error: `Transaction ${signature} not found` };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  readSwapFill,
+  fetchSwapFill
+};
@@ -1,33 +1,50 @@
 require('dotenv').config();
 const fetch = require('node-fetch');
 const fs = require('fs');
+const { createMarketDataFromEnv } = require('./market_data');
+const { getQuoteAsset, formatAssetAmount, migratePosition } = require('./quote_assets');
 
 // Configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const BIRDEYE_API_KEY = process.env.BIRDEYE_API_KEY;
 const PORTFOLIO_FILE = 'portfolio.json';
 const SNIPES_LOG_FILE = 'snipes_log.json';
+const PAPER_PORTFOLIO_FILE = 'paper_portfolio.json';
+const PAPER_SNIPES_LOG_FILE = 'paper_snipes_log.json';
 
 if (!TELEGRAM_BOT_TOKEN) {
   console.error('Missing TELEGRAM_BOT_TOKEN in .env');
   process.exit(1);
 }
 
-if (!BIRDEYE_API_KEY) {
-  console.error('Missing BIRDEYE_API_KEY in .env');
+// Prices and token info come from the configured market data providers (see market_data.js)
+const marketDataResult = createMarketDataFromEnv();
+if (!marketDataResult.success) {
+  marketDataResult.errors.forEach(error => console.error(error));
   process.exit(1);
 }
+const marketData = marketDataResult.client;
 
 // Bot state
 let botInfo = null;
 let lastUpdateId = 0;
 
+// Portfolio commands take an optional "paper" argument to show the paper trading book
+function getBook(args) {
+  return args && args[0] && args[0].toLowerCase() === 'paper' ? 'paper' : 'live';
+}
+
+function getBookLabel(book) {
+  return book === 'paper' ? 'PAPER ' : '';
+}
+
 // Load portfolio data
-function loadPortfolio() {
+function loadPortfolio(book = 'live') {
+  const portfolioFile = book === 'paper' ? PAPER_PORTFOLIO_FILE : PORTFOLIO_FILE;
   try {
-    if (fs.existsSync(PORTFOLIO_FILE)) {
-      const data = fs.readFileSync(PORTFOLIO_FILE, 'utf8');
-      return JSON.parse(data);
+    if (fs.existsSync(portfolioFile)) {
+      const data = fs.readFileSync(portfolioFile, 'utf8');
+      const portfolio = JSON.parse(data);
+      return { ...portfolio, tokens: portfolio.tokens.map(migratePosition) };
     }
   } catch (error) {
     console.error('Error loading portfolio:', error);
@@ -36,10 +53,11 @@ function loadPortfolio() {
 }
 
 // Load snipes log
-function loadSnipes() {
+function loadSnipes(book = 'live') {
+  const snipesFile = book === 'paper' ? PAPER_SNIPES_LOG_FILE : SNIPES_LOG_FILE;
   try {
-    if (fs.existsSync(SNIPES_LOG_FILE)) {
-      const data = fs.readFileSync(SNIPES_LOG_FILE, 'utf8');
+    if (fs.existsSync(snipesFile)) {
+      const data = fs.readFileSync(snipesFile, 'utf8');
       return JSON.parse(data);
     }
   } catch (error) {
@@ -48,22 +66,11 @@ function loadSnipes() {
   return [];
 }
 
-// Get token price from Birdeye
+// Get token price from the market data providers
 async function getTokenPrice(tokenMint) {
   try {
-    const url = `https://public-api.birdeye.so/defi/price?address=${tokenMint}`;
-    const response = await fetch(url, {
-      headers: {
-        'X-API-KEY': BIRDEYE_API_KEY,
-      },
-    });
-    
-    if (!response.ok) {
-      return null;
-    }
-    
-    const data = await response.json();
-    return data.data?.value || null;
+    const result = await marketData.getPrice(tokenMint);
+    return result.success ? result.data : null;
   } catch (error) {
     console.error(`Error fetching price for ${tokenMint}:`, error);
     return null;
@@ -134,9 +141,10 @@ I'm your personal assistant for monitoring your Solana token sniping activities.
 
 📊 <b>Portfolio Commands:</b>
 /portfolio - View your current portfolio with P&L
-/balance - Check your USDC balance
+/balance - Portfolio balance summary
 /snipes - View recent snipes
 /stats - Get portfolio statistics
+Add <code>paper</code> to any of these to see the paper trading book (e.g. <code>/portfolio paper</code>)
 
 🔍 <b>Token Commands:</b>
 /price [token_mint] - Get current price of a token
@@ -161,11 +169,12 @@ async function handleHelp(chatId) {
 }
 
 // Handle /portfolio command
-async function handlePortfolio(chatId) {
-  const portfolio = loadPortfolio();
+async function handlePortfolio(chatId, args) {
+  const book = getBook(args);
+  const portfolio = loadPortfolio(book);
   
   if (portfolio.tokens.length === 0) {
-    await sendTelegramMessage(chatId, '📭 <b>PORTFOLIO EMPTY</b>\n\nNo tokens found in your portfolio.');
+    await sendTelegramMessage(chatId, `📭 <b>${getBookLabel(book)}PORTFOLIO EMPTY</b>\n\nNo tokens found in your ${book === 'paper' ? 'paper ' : ''}portfolio.`);
     return;
   }
   
@@ -201,9 +210,11 @@ async function handlePortfolio(chatId) {
       tokensReceived > 0
     ) {
       const currentValue = tokensReceived * token.currentPrice;
-      const tokenPnL = currentValue - token.amountUsdt;
+      const tokenPnL = currentValue + (token.realizedUsd || 0) - token.costUsd;
       currentTotalValue += currentValue;
       totalPnL += tokenPnL;
+    } else if (token.status === 'closed') {
+      totalPnL += (token.realizedUsd || 0) - token.costUsd;
     } else {
       console.log(`[SKIP] Invalid token in portfolio:`, {
         symbol: token.symbol,
@@ -216,7 +227,7 @@ async function handlePortfolio(chatId) {
   
   const totalPnLPercent = totalInvested > 0 ? (totalPnL / totalInvested * 100) : 0;
   
-  let message = `📊 <b>PORTFOLIO OVERVIEW</b>\n\n`;
+  let message = `📊 <b>${getBookLabel(book)}PORTFOLIO OVERVIEW</b>\n\n`;
   message += `💰 <b>Total Invested:</b> $${totalInvested.toFixed(2)}\n`;
   message += `💎 <b>Current Value:</b> $${currentTotalValue.toFixed(2)}\n`;
   message += `📈 <b>Total P&L:</b> $${totalPnL.toFixed(2)} (${totalPnLPercent.toFixed(2)}%)\n`;
@@ -226,14 +237,17 @@ async function handlePortfolio(chatId) {
   
   updatedTokens.forEach((token, index) => {
     const currentValue = token.currentPrice ? parseFloat(token.tokensReceived) * token.currentPrice : 0;
-    const tokenPnL = currentValue - token.amountUsdt;
-    const tokenPnLPercent = token.amountUsdt > 0 ? (tokenPnL / token.amountUsdt * 100) : 0;
+    const tokenPnL = currentValue + (token.realizedUsd || 0) - token.costUsd;
+    const tokenPnLPercent = token.costUsd > 0 ? (tokenPnL / token.costUsd * 100) : 0;
     
-    message += `${index + 1}. <b>${token.symbol}</b> (${token.name})\n`;
-    message += `   💰 Invested: $${token.amountUsdt.toFixed(2)}\n`;
+    message += `${index + 1}. <b>${token.symbol}</b> (${token.name})${token.status === 'closed' ? ' — CLOSED' : ''}\n`;
+    message += `   💰 Invested: ${formatAssetAmount(token.amountIn, getQuoteAsset(token.quoteAsset), token.costUsd)}\n`;
     message += `   🎯 Amount: ${parseFloat(token.tokensReceived).toLocaleString()} ${token.symbol}\n`;
     message += `   💲 Price: $${token.currentPrice ? token.currentPrice.toFixed(8) : 'N/A'}\n`;
     message += `   💎 Value: $${currentValue.toFixed(2)}\n`;
+    if (token.realizedUsd) {
+      message += `   💵 Realized: $${token.realizedUsd.toFixed(2)}\n`;
+    }
     message += `   📈 P&L: $${tokenPnL.toFixed(2)} (${tokenPnLPercent.toFixed(2)}%)\n`;
     message += `   📅 Sniped: ${new Date(token.snipedAt).toLocaleDateString()}\n\n`;
   });
@@ -244,28 +258,31 @@ async function handlePortfolio(chatId) {
 }
 
 // Handle /balance command
-async function handleBalance(chatId) {
+async function handleBalance(chatId, args) {
   // This would require wallet connection - for now show portfolio balance
-  const portfolio = loadPortfolio();
-  const message = `💰 <b>BALANCE SUMMARY</b>\n\n` +
+  const book = getBook(args);
+  const portfolio = loadPortfolio(book);
+  const message = `💰 <b>${getBookLabel(book)}BALANCE SUMMARY</b>\n\n` +
     `📊 <b>Portfolio Value:</b> $${portfolio.totalValue.toFixed(2)}\n` +
     `💵 <b>Total Invested:</b> $${portfolio.totalInvested.toFixed(2)}\n` +
-    `📈 <b>P&L:</b> $${(portfolio.totalValue - portfolio.totalInvested).toFixed(2)}\n\n` +
-    `💡 <i>Note: This shows portfolio balance. For wallet USDC balance, check your wallet directly.</i>`;
+    `💵 <b>Realized:</b> $${(portfolio.totalRealized || 0).toFixed(2)}\n` +
+    `📈 <b>P&L:</b> $${(portfolio.totalValue + (portfolio.totalRealized || 0) - portfolio.totalInvested).toFixed(2)}\n\n` +
+    `💡 <i>Note: This shows portfolio balance. For your wallet balance of the quote asset, check your wallet directly.</i>`;
   
   await sendTelegramMessage(chatId, message);
 }
 
 // Handle /snipes command
-async function handleSnipes(chatId) {
-  const snipes = loadSnipes();
+async function handleSnipes(chatId, args) {
+  const book = getBook(args);
+  const snipes = loadSnipes(book);
   
   if (snipes.length === 0) {
-    await sendTelegramMessage(chatId, '📭 <b>NO SNIPES FOUND</b>\n\nNo snipes have been recorded yet.');
+    await sendTelegramMessage(chatId, `📭 <b>NO ${getBookLabel(book)}SNIPES FOUND</b>\n\nNo ${book === 'paper' ? 'paper ' : ''}snipes have been recorded yet.`);
     return;
   }
   
-  let message = `🎯 <b>RECENT SNIPES</b>\n\n`;
+  let message = `🎯 <b>RECENT ${getBookLabel(book)}SNIPES</b>\n\n`;
   
   // Show last 10 snipes
   const recentSnipes = snipes.slice(-10).reverse();
@@ -275,11 +292,26 @@ async function handleSnipes(chatId) {
     const time = new Date(snipe.timestamp).toLocaleTimeString();
     
     message += `${index + 1}. <b>${snipe.token.symbol}</b> (${snipe.token.name})\n`;
-    message += `   💰 Amount: $${snipe.snipe.amountUsdt.toFixed(2)} USDT\n`;
+    message += `   💰 Amount: ${snipe.snipe.costUsd !== undefined
+      ? formatAssetAmount(snipe.snipe.amountIn, getQuoteAsset(snipe.snipe.quoteAsset), snipe.snipe.costUsd)
+      : formatAssetAmount(snipe.snipe.amountUsdt, getQuoteAsset('USDT'))}\n`;
     message += `   🎯 Received: ${parseFloat(snipe.snipe.tokensReceived).toLocaleString()} ${snipe.token.symbol}\n`;
     message += `   💲 Price: $${snipe.token.price.toFixed(8)}\n`;
+    if (snipe.profile) {
+      message += `   🧭 Profile: ${snipe.profile}\n`;
+    }
+    if (snipe.snipe.venue === 'raydium') {
+      message += `   🔀 Venue: Raydium AMM (direct)\n`;
+    }
+    if (snipe.risk) {
+      message += `   🧮 Risk score: ${snipe.risk.score}/100\n`;
+    }
     message += `   📅 Date: ${date} ${time}\n`;
-    message += `   🔗 <a href="https://solscan.io/tx/${snipe.transaction}">View TX</a>\n\n`;
+    if (book === 'paper') {
+      message += `   📝 Simulated fill\n\n`;
+    } else {
+      message += `   🔗 <a href="https://solscan.io/tx/${snipe.transaction}">View TX</a>\n\n`;
+    }
   });
   
   message += `📊 <b>Total Snipes:</b> ${snipes.length}`;
@@ -288,22 +320,25 @@ async function handleSnipes(chatId) {
 }
 
 // Handle /stats command
-async function handleStats(chatId) {
-  const portfolio = loadPortfolio();
-  const snipes = loadSnipes();
+async function handleStats(chatId, args) {
+  const book = getBook(args);
+  const portfolio = loadPortfolio(book);
+  const snipes = loadSnipes(book);
   
   const totalInvested = portfolio.totalInvested;
   const totalValue = portfolio.totalValue;
-  const pnl = totalValue - totalInvested;
+  const totalRealized = portfolio.totalRealized || 0;
+  const pnl = totalValue + totalRealized - totalInvested;
   const pnlPercent = totalInvested > 0 ? (pnl / totalInvested * 100) : 0;
   
   // Calculate additional stats
   const successfulSnipes = snipes.length;
   const avgInvestment = successfulSnipes > 0 ? totalInvested / successfulSnipes : 0;
   
-  let message = `📈 <b>PORTFOLIO STATISTICS</b>\n\n`;
+  let message = `📈 <b>${getBookLabel(book)}PORTFOLIO STATISTICS</b>\n\n`;
   message += `💰 <b>Total Invested:</b> $${totalInvested.toFixed(2)}\n`;
   message += `💎 <b>Current Value:</b> $${totalValue.toFixed(2)}\n`;
+  message += `💵 <b>Realized:</b> $${totalRealized.toFixed(2)}\n`;
   message += `📈 <b>Total P&L:</b> $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)\n`;
   message += `🎯 <b>Total Tokens:</b> ${portfolio.tokens.length}\n`;
   message += `🚀 <b>Total Snipes:</b> ${successfulSnipes}\n`;
@@ -315,9 +350,9 @@ async function handleStats(chatId) {
       const tokensReceived = parseFloat(token.tokensReceived);
       const currentPrice = token.currentPrice && !isNaN(token.currentPrice) && token.currentPrice > 0 && token.currentPrice < 1_000_000 ? token.currentPrice : 0;
       const currentValue = (isFinite(tokensReceived) && tokensReceived > 0) ? currentPrice * tokensReceived : 0;
-      const tokenPnL = currentValue - token.amountUsdt;
-      const tokenPnLPercent = token.amountUsdt > 0 ? (tokenPnL / token.amountUsdt * 100) : 0;
-      if (!(isFinite(tokensReceived) && tokensReceived > 0 && currentPrice > 0 && currentPrice < 1_000_000)) {
+      const tokenPnL = currentValue + (token.realizedUsd || 0) - token.costUsd;
+      const tokenPnLPercent = token.costUsd > 0 ? (tokenPnL / token.costUsd * 100) : 0;
+      if (token.status !== 'closed' && !(isFinite(tokensReceived) && tokensReceived > 0 && currentPrice > 0 && currentPrice < 1_000_000)) {
         console.log(`[SKIP] Invalid token in stats:`, {
           symbol: token.symbol,
           mint: token.mint,
@@ -338,6 +373,22 @@ async function handleStats(chatId) {
     
     message += `🏆 <b>Best Performer:</b> ${bestToken.symbol} (${bestToken.pnlPercent.toFixed(2)}%)\n`;
     message += `📉 <b>Worst Performer:</b> ${worstToken.symbol} (${worstToken.pnlPercent.toFixed(2)}%)\n`;
+    
+    // Compare results per strategy profile
+    const profiles = {};
+    tokensWithPnL.forEach(token => {
+      const profile = token.profile || 'default';
+      profiles[profile] = profiles[profile] || { count: 0, invested: 0, pnl: 0 };
+      profiles[profile].count += 1;
+      profiles[profile].invested += token.costUsd;
+      profiles[profile].pnl += token.pnl;
+    });
+    
+    message += `\n🧭 <b>By Profile:</b>\n`;
+    Object.entries(profiles).forEach(([profile, totals]) => {
+      const profilePnLPercent = totals.invested > 0 ? (totals.pnl / totals.invested * 100) : 0;
+      message += `   • ${profile}: ${totals.count} snipes, $${totals.invested.toFixed(2)} invested, P&L $${totals.pnl.toFixed(2)} (${profilePnLPercent.toFixed(2)}%)\n`;
+    });
   }
   
   message += `\n⏰ <b>Updated:</b> ${new Date().toLocaleString()}`;
@@ -384,26 +435,15 @@ async function handleInfo(chatId, args) {
   const tokenMint = args[0];
   
   try {
-    // Get token info from Birdeye
-    const url = `https://public-api.birdeye.so/defi/token_metadata?address=${tokenMint}`;
-    const response = await fetch(url, {
-      headers: {
-        'X-API-KEY': BIRDEYE_API_KEY,
-      },
-    });
+    // Get token overview from the market data providers
+    const result = await marketData.getTokenOverview(tokenMint);
     
-    if (!response.ok) {
+    if (!result.success) {
       await sendTelegramMessage(chatId, `❌ <b>ERROR</b>\n\nCould not fetch token info for:\n<code>${tokenMint}</code>\n\nPlease check if the mint address is correct.`);
       return;
     }
     
-    const data = await response.json();
-    const token = data.data;
-    
-    if (!token) {
-      await sendTelegramMessage(chatId, `❌ <b>ERROR</b>\n\nToken not found:\n<code>${tokenMint}</code>`);
-      return;
-    }
+    const token = result.data;
     
     const message = `📋 <b>TOKEN INFORMATION</b>\n\n` +
       `🪙 <b>Symbol:</b> ${token.symbol}\n` +
@@ -414,6 +454,7 @@ async function handleInfo(chatId, args) {
       `💧 <b>Liquidity:</b> $${token.liquidity ? token.liquidity.toLocaleString() : 'N/A'}\n` +
       `📊 <b>Volume 24h:</b> $${token.volume24h ? token.volume24h.toLocaleString() : 'N/A'}\n` +
       `🔗 <b>Website:</b> ${token.website || 'N/A'}\n` +
+      `📡 <b>Source:</b> ${result.provider}\n` +
       `⏰ <b>Updated:</b> ${new Date().toLocaleString()}`;
     
     await sendTelegramMessage(chatId, message);
@@ -457,16 +498,16 @@ async function processMessage(message) {
         await handleHelp(chatId);
         break;
       case '/portfolio':
-        await handlePortfolio(chatId);
+        await handlePortfolio(chatId, args);
         break;
       case '/balance':
-        await handleBalance(chatId);
+        await handleBalance(chatId, args);
         break;
       case '/snipes':
-        await handleSnipes(chatId);
+        await handleSnipes(chatId, args);
         break;
       case '/stats':
-        await handleStats(chatId);
+        await handleStats(chatId, args);
         break;
       case '/price':
         await handlePrice(chatId, args);
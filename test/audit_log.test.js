@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDateBound, matchesAuditQuery, readAuditRecords } = require('../audit_log');
+
+function record(overrides = {}) {
+  return {
+    timestamp: '2025-07-12T10:00:00.000Z',
+    mint: 'MintA',
+    action: 'rejected',
+    rejection: { rule: 'liquidity', reason: 'Liquidity $1,200 below $3,000' },
+    ...overrides
+  };
+}
+
+test('parseDateBound returns null without a bound and undefined for an invalid one', () => {
+  assert.strictEqual(parseDateBound(undefined, false), null);
+  assert.strictEqual(parseDateBound('', true), null);
+  assert.strictEqual(parseDateBound('last tuesday', false), undefined);
+});
+
+test('parseDateBound reads a bare date as the start or end of that local day', () => {
+  assert.strictEqual(parseDateBound('2025-07-12', false).getTime(), new Date(2025, 6, 12, 0, 0, 0, 0).getTime());
+  assert.strictEqual(parseDateBound('2025-07-12', true).getTime(), new Date(2025, 6, 12, 23, 59, 59, 999).getTime());
+});
+
+test('parseDateBound keeps the time of a full timestamp', () => {
+  assert.strictEqual(parseDateBound('2025-07-12T10:30:00Z', true).toISOString(), '2025-07-12T10:30:00.000Z');
+});
+
+test('an empty query matches every record', () => {
+  assert.strictEqual(matchesAuditQuery(record(), {}), true);
+});
+
+test('mint and action must match exactly', () => {
+  assert.strictEqual(matchesAuditQuery(record(), { mint: 'MintA', action: 'rejected' }), true);
+  assert.strictEqual(matchesAuditQuery(record(), { mint: 'MintB' }), false);
+  assert.strictEqual(matchesAuditQuery(record(), { action: 'sniped' }), false);
+});
+
+test('from and to bounds are inclusive', () => {
+  const at = new Date('2025-07-12T10:00:00.000Z');
+  assert.strictEqual(matchesAuditQuery(record(), { from: at, to: at }), true);
+  assert.strictEqual(matchesAuditQuery(record(), { from: new Date(at.getTime() + 1) }), false);
+  assert.strictEqual(matchesAuditQuery(record(), { to: new Date(at.getTime() - 1) }), false);
+});
+
+test('reason matches the rule name exactly or text in the reason, ignoring case', () => {
+  assert.strictEqual(matchesAuditQuery(record(), { reason: 'Liquidity' }), true);
+  assert.strictEqual(matchesAuditQuery(record(), { reason: 'below $3,000' }), true);
+  assert.strictEqual(matchesAuditQuery(record(), { reason: 'liq' }), true);
+  assert.strictEqual(matchesAuditQuery(record({ rejection: { rule: 'marketCap', reason: 'Market cap too low' } }), { reason: 'cap' }), true);
+  assert.strictEqual(matchesAuditQuery(record(), { reason: 'volume' }), false);
+});
+
+test('reason never matches a record without a rejection', () => {
+  assert.strictEqual(matchesAuditQuery(record({ action: 'sniped', rejection: null }), { reason: 'liquidity' }), false);
+});
+
+test('readAuditRecords streams matching records and skips malformed lines', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'error', () => {});
+  
+  const file = path.join(directory, 'audit_log.jsonl');
+  fs.writeFileSync(file, [
+    JSON.stringify(record()),
+    '',
+    '{"timestamp":',
+    JSON.stringify(record({ mint: 'MintB' })),
+    JSON.stringify(record({ mint: 'MintA', action: 'sniped', rejection: null }))
+  ].join('\n') + '\n');
+  
+  const records = [];
+  const result = await readAuditRecords({ mint: 'MintA' }, found => records.push(found), file);
+  assert.deepStrictEqual(result, { success: true, matched: 2 });
+  assert.deepStrictEqual(records.map(found => found.action), ['rejected', 'sniped']);
+  assert.strictEqual(console.error.mock.callCount(), 1);
+  assert.match(console.error.mock.calls[0].arguments[0], /line 3/);
+});
+
+test('readAuditRecords reports a missing log', async () => {
+  const result = await readAuditRecords({}, () => {}, path.join(os.tmpdir(), 'no-such-audit-log.jsonl'));
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /does not exist$/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sizePosition, checkExposureLimits } = require('../bankroll');
+
+const NOW = new Date(2025, 5, 15, 12, 0, 0).getTime();
+const TODAY = new Date(2025, 5, 15, 9, 0, 0).toISOString();
+const YESTERDAY = new Date(2025, 5, 14, 9, 0, 0).toISOString();
+
+function position(overrides = {}) {
+  return {
+    mint: 'MintA',
+    status: 'active',
+    costUsd: 10,
+    tokensReceived: '1000',
+    initialTokens: '1000',
+    snipedAt: YESTERDAY,
+    sales: [],
+    ...overrides
+  };
+}
+
+function buy(overrides = {}) {
+  return { mint: 'MintB', costUsd: 10, balanceUsd: 100, now: NOW, ...overrides };
+}
+
+test('sizePosition uses the fixed amount unless positionSizePercent is set', () => {
+  assert.strictEqual(sizePosition(5, 200), 5);
+  assert.strictEqual(sizePosition(5, 200, { positionSizePercent: null }), 5);
+  assert.strictEqual(sizePosition(5, 200, { positionSizePercent: 10 }), 20);
+});
+
+test('allows any buy when no limits are set', () => {
+  const result = checkExposureLimits({ tokens: [position(), position()] }, buy());
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(result.exposure.openPositions, 2);
+  assert.strictEqual(result.exposure.atRiskUsd, 20);
+});
+
+test('maxOpenPositions counts only open positions', () => {
+  const portfolio = { tokens: [position(), position({ status: 'closed' }), position({ tokensReceived: '0' })] };
+  assert.strictEqual(checkExposureLimits(portfolio, buy(), { maxOpenPositions: 2 }).allowed, true);
+  
+  const result = checkExposureLimits(portfolio, buy(), { maxOpenPositions: 1 });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.limit, 'maxOpenPositions');
+});
+
+test('maxAtRiskUsd counts partially sold positions by the share still held', () => {
+  const portfolio = { tokens: [position({ costUsd: 40, tokensReceived: '500' })] };
+  assert.strictEqual(checkExposureLimits(portfolio, buy(), { maxAtRiskUsd: 30 }).allowed, true);
+  
+  const result = checkExposureLimits(portfolio, buy({ costUsd: 11 }), { maxAtRiskUsd: 30 });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.limit, 'maxAtRiskUsd');
+  assert.strictEqual(result.exposure.atRiskUsd, 20);
+});
+
+test('maxDailySpendUsd counts only buys since local midnight', () => {
+  const portfolio = { tokens: [position({ snipedAt: TODAY, costUsd: 15 }), position({ snipedAt: YESTERDAY, costUsd: 50 })] };
+  assert.strictEqual(checkExposureLimits(portfolio, buy(), { maxDailySpendUsd: 25 }).allowed, true);
+  
+  const result = checkExposureLimits(portfolio, buy({ costUsd: 11 }), { maxDailySpendUsd: 25 });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.limit, 'maxDailySpendUsd');
+});
+
+test('maxDailyLossUsd blocks once today\'s realized losses reach the limit', () => {
+  // Half the tokens sold for $2 against a $5 cost: a $3 loss today; yesterday's loss doesn't count
+  const sales = [
+    { tokensSold: 500, proceedsUsd: 2, soldAt: TODAY },
+    { tokensSold: 250, proceedsUsd: 0, soldAt: YESTERDAY }
+  ];
+  const portfolio = { tokens: [position({ tokensReceived: '250', sales })] };
+  assert.strictEqual(checkExposureLimits(portfolio, buy(), { maxDailyLossUsd: 4 }).allowed, true);
+  
+  const result = checkExposureLimits(portfolio, buy(), { maxDailyLossUsd: 3 });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.limit, 'maxDailyLossUsd');
+  assert.strictEqual(result.exposure.realizedTodayUsd, -3);
+});
+
+test('maxTokenSharePercent measures the token against balance plus what is at risk', () => {
+  // $10 of MintB already at risk plus a $10 buy, out of a $100 + $10 bankroll: 18.2%
+  const portfolio = { tokens: [position({ mint: 'MintB' })] };
+  assert.strictEqual(checkExposureLimits(portfolio, buy(), { maxTokenSharePercent: 20 }).allowed, true);
+  
+  const result = checkExposureLimits(portfolio, buy(), { maxTokenSharePercent: 15 });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.limit, 'maxTokenSharePercent');
+});
+
+test('a null limit is switched off', () => {
+  const portfolio = { tokens: [position()] };
+  assert.strictEqual(checkExposureLimits(portfolio, buy(), { maxOpenPositions: null }).allowed, true);
+});
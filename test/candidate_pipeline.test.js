@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreCandidate, runWorkerPool, createCycleScheduler } = require('../candidate_pipeline');
+
+const NOW = 1750000000000;
+
+function token(overrides = {}) {
+  return { address: 'MintA', lastTradeUnixTime: NOW / 1000, liquidity: 50000, mc: 100000, v24hUSD: 100000, ...overrides };
+}
+
+// Lets pending promise callbacks run; setImmediate isn't mocked
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('scoreCandidate gives 100 to a token at every target', () => {
+  const { score, components } = scoreCandidate(token(), {}, NOW);
+  assert.strictEqual(score, 100);
+  assert.deepStrictEqual(components, { freshness: 1, liquidity: 1, volumeToMarketCap: 1 });
+});
+
+test('scoreCandidate scales and caps each component', () => {
+  const { components } = scoreCandidate(token({
+    lastTradeUnixTime: (NOW - 30 * 60 * 1000) / 1000,
+    liquidity: 200000,
+    v24hUSD: 25000
+  }), {}, NOW);
+  assert.deepStrictEqual(components, { freshness: 0.5, liquidity: 1, volumeToMarketCap: 0.25 });
+});
+
+test('scoreCandidate leaves out components weighted 0', () => {
+  const scoring = { liquidity: { weight: 0 }, volumeToMarketCap: { weight: 0 } };
+  const { score } = scoreCandidate(token({ lastTradeUnixTime: (NOW - 45 * 60 * 1000) / 1000, liquidity: 0 }), scoring, NOW);
+  assert.strictEqual(score, 25);
+});
+
+test('scoreCandidate scores missing data as 0', () => {
+  const { score } = scoreCandidate({ address: 'MintA' }, {}, NOW);
+  assert.strictEqual(score, 0);
+});
+
+test('runWorkerPool runs at most `concurrency` workers and keeps the item order', async () => {
+  let running = 0;
+  let mostRunning = 0;
+  const results = await runWorkerPool([30, 5, 20, 1, 10], 2, async delay => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return delay * 2;
+  });
+  assert.deepStrictEqual(results, [60, 10, 40, 2, 20]);
+  assert.strictEqual(mostRunning, 2);
+});
+
+test('runWorkerPool resolves with no items', async () => {
+  assert.deepStrictEqual(await runWorkerPool([], 3, async () => 1), []);
+});
+
+test('createCycleScheduler waits for a run to finish before scheduling the next', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  let runs = 0;
+  let finishRun;
+  const scheduler = createCycleScheduler(() => {
+    runs++;
+    return new Promise(resolve => {
+      finishRun = resolve;
+    });
+  }, () => 1000);
+  
+  scheduler.start();
+  t.mock.timers.tick(1000);
+  assert.strictEqual(runs, 1);
+  
+  // Still running: neither time passing nor another start() begins a second run
+  scheduler.start();
+  t.mock.timers.tick(5000);
+  assert.strictEqual(runs, 1);
+  
+  finishRun();
+  await flush();
+  t.mock.timers.tick(1000);
+  assert.strictEqual(runs, 2);
+});
+
+test('createCycleScheduler keeps scheduling after a run throws', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.mock.method(console, 'error', () => {});
+  let runs = 0;
+  const scheduler = createCycleScheduler(async () => {
+    runs++;
+    throw new Error('cycle failed');
+  }, () => 1000);
+  
+  scheduler.start();
+  t.mock.timers.tick(1000);
+  await flush();
+  t.mock.timers.tick(1000);
+  await flush();
+  assert.strictEqual(runs, 2);
+  assert.strictEqual(console.error.mock.callCount(), 2);
+});
+
+test('createCycleScheduler picks up a new interval on start()', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  let interval = 1000;
+  let runs = 0;
+  const scheduler = createCycleScheduler(async () => {
+    runs++;
+  }, () => interval);
+  
+  scheduler.start();
+  interval = 3000;
+  scheduler.start();
+  t.mock.timers.tick(1000);
+  assert.strictEqual(runs, 0);
+  t.mock.timers.tick(2000);
+  assert.strictEqual(runs, 1);
+});
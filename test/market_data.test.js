@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMarketDataClient, createMarketDataFromEnv, parseMarketResponse } = require('../market_data');
+
+const FETCHED_AT = 1750000000000;
+
+function pair(overrides = {}) {
+  return {
+    baseToken: { address: 'MintA', symbol: 'AAA', name: 'Token A' },
+    priceUsd: '0.0125',
+    liquidity: { usd: 40000 },
+    marketCap: 900000,
+    fdv: 1000000,
+    volume: { h24: 120000 },
+    priceChange: { h24: -12 },
+    txns: { m5: { buys: 0, sells: 0 }, h1: { buys: 3, sells: 1 } },
+    pairCreatedAt: FETCHED_AT - 24 * 60 * 60 * 1000,
+    info: { websites: [{ url: 'https://token-a.example' }] },
+    ...overrides
+  };
+}
+
+// A provider whose every method answers with the next queued result
+function fakeProvider(name, results) {
+  const calls = [];
+  const answer = method => async (...args) => {
+    calls.push({ method, args });
+    return results.shift();
+  };
+  return {
+    name,
+    calls,
+    listTokens: answer('listTokens'),
+    listNewListings: answer('listNewListings'),
+    getPrice: answer('getPrice'),
+    getTokenOverview: answer('getTokenOverview')
+  };
+}
+
+test('Birdeye responses parse to token lists, prices and overviews', () => {
+  assert.deepStrictEqual(parseMarketResponse('birdeye', 'tokens', { data: { tokens: [{ address: 'MintA' }] } }), [{ address: 'MintA' }]);
+  assert.deepStrictEqual(parseMarketResponse('birdeye', 'newListings', { data: { items: [{ address: 'MintB' }] } }), [{ address: 'MintB' }]);
+  assert.deepStrictEqual(parseMarketResponse('birdeye', 'newListings', { data: [{ address: 'MintC' }] }), [{ address: 'MintC' }]);
+  assert.strictEqual(parseMarketResponse('birdeye', 'price', { data: { value: 1.5 } }), 1.5);
+  assert.deepStrictEqual(parseMarketResponse('birdeye', 'overview', {
+    data: { address: 'MintA', symbol: 'AAA', name: 'Token A', price: 2, marketCap: 100, liquidity: 50, v24hUSD: 10, extensions: { website: 'https://a.example' } }
+  }), { address: 'MintA', symbol: 'AAA', name: 'Token A', price: 2, mc: 100, liquidity: 50, volume24h: 10, website: 'https://a.example' });
+});
+
+test('unexpected or missing data parses to null', () => {
+  assert.strictEqual(parseMarketResponse('birdeye', 'tokens', { data: {} }), null);
+  assert.strictEqual(parseMarketResponse('birdeye', 'price', {}), null);
+  assert.strictEqual(parseMarketResponse('dexscreener', 'tokens', { fetchedAt: FETCHED_AT }), null);
+  assert.strictEqual(parseMarketResponse('dexscreener', 'price', { mint: 'MintA', pairs: [] }), null);
+  assert.strictEqual(parseMarketResponse('coingecko', 'tokens', {}), null);
+});
+
+test('DexScreener lists use each token\'s deepest pair in the tokenlist shape', () => {
+  const raw = {
+    fetchedAt: FETCHED_AT,
+    pairs: [
+      pair({ liquidity: { usd: 1000 }, priceUsd: '0.02' }),
+      pair(),
+      pair({ baseToken: { address: 'MintB', symbol: 'BBB', name: 'Token B' }, marketCap: undefined, txns: {} })
+    ]
+  };
+  
+  const [tokenA, tokenB] = parseMarketResponse('dexscreener', 'tokens', raw);
+  assert.deepStrictEqual(tokenA, {
+    address: 'MintA',
+    symbol: 'AAA',
+    name: 'Token A',
+    price: 0.0125,
+    liquidity: 40000,
+    mc: 900000,
+    v24hUSD: 120000,
+    v24hChangePercent: -12,
+    // No trades in the last 5 minutes, some in the last hour
+    lastTradeUnixTime: FETCHED_AT / 1000 - 5 * 60
+  });
+  assert.strictEqual(tokenB.mc, 1000000);
+  assert.strictEqual(tokenB.lastTradeUnixTime, (FETCHED_AT - 24 * 60 * 60 * 1000) / 1000);
+});
+
+test('DexScreener prices and overviews come from the requested mint\'s deepest pair', () => {
+  const raw = { mint: 'MintA', pairs: [pair({ liquidity: { usd: 10 }, priceUsd: '9' }), pair()] };
+  assert.strictEqual(parseMarketResponse('dexscreener', 'price', raw), 0.0125);
+  assert.deepStrictEqual(parseMarketResponse('dexscreener', 'overview', raw), {
+    address: 'MintA',
+    symbol: 'AAA',
+    name: 'Token A',
+    price: 0.0125,
+    mc: 900000,
+    liquidity: 40000,
+    volume24h: 120000,
+    website: 'https://token-a.example'
+  });
+});
+
+test('the client answers from the first provider that succeeds', async () => {
+  const birdeye = fakeProvider('birdeye', [{ success: false, status: 500, error: 'HTTP 500' }, { success: true, data: 2 }]);
+  const dexscreener = fakeProvider('dexscreener', [{ success: true, data: 1, raw: {} }]);
+  const client = createMarketDataClient({ providers: [birdeye, dexscreener] });
+  
+  assert.deepStrictEqual(await client.getPrice('MintA'), { success: true, data: 1, raw: {}, provider: 'dexscreener' });
+  assert.deepStrictEqual(dexscreener.calls, [{ method: 'getPrice', args: ['MintA'] }]);
+  
+  // A server error is not a reason to skip the provider next time
+  assert.strictEqual((await client.getPrice('MintA')).provider, 'birdeye');
+});
+
+for (const status of [401, 403, 429]) {
+  test(`HTTP ${status} skips the provider until its cooldown ends`, async t => {
+    let now = FETCHED_AT;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'log', () => {});
+    const birdeye = fakeProvider('birdeye', [{ success: false, status, error: `HTTP ${status}` }, { success: true, data: 'birdeye' }]);
+    const dexscreener = fakeProvider('dexscreener', [{ success: true, data: 'dexscreener' }, { success: true, data: 'dexscreener' }]);
+    const client = createMarketDataClient({ providers: [birdeye, dexscreener], cooldownMs: 60000 });
+    
+    assert.strictEqual((await client.listTokens()).provider, 'dexscreener');
+    now += 59999;
+    assert.strictEqual((await client.listTokens()).provider, 'dexscreener');
+    assert.strictEqual(birdeye.calls.length, 1);
+    now += 1;
+    assert.strictEqual((await client.listTokens()).provider, 'birdeye');
+  });
+}
+
+test('the client logs a provider\'s caveat when a method fails over to it', async t => {
+  const logs = [];
+  t.mock.method(console, 'log', message => logs.push(message));
+  const birdeye = fakeProvider('birdeye', [{ success: false, error: 'timeout' }, { success: false, error: 'timeout' }, { success: true, data: 'birdeye' }, { success: false, error: 'timeout' }, { success: false, error: 'timeout' }]);
+  const dexscreener = fakeProvider('dexscreener', Array.from({ length: 4 }, () => ({ success: true, data: 'dexscreener' })));
+  dexscreener.caveats = { listTokens: 'boosted tokens' };
+  const client = createMarketDataClient({ providers: [birdeye, dexscreener] });
+  
+  await client.listTokens();
+  await client.listTokens();
+  assert.deepStrictEqual(logs, ['   ℹ️ listTokens answered by dexscreener: boosted tokens']);
+  
+  // Logged again after the first provider answered in between
+  await client.listTokens();
+  await client.listTokens();
+  assert.strictEqual(logs.length, 2);
+  
+  // Methods without a caveat fail over quietly
+  await client.getPrice('MintA');
+  assert.strictEqual(logs.length, 2);
+});
+
+test('the client reports every provider\'s error when all fail', async t => {
+  t.mock.method(console, 'log', () => {});
+  const client = createMarketDataClient({
+    providers: [
+      fakeProvider('birdeye', [{ success: false, status: 429, error: 'HTTP 429' }, null]),
+      fakeProvider('dexscreener', [{ success: false, error: 'No pair data in response' }, { success: false, error: 'timeout' }])
+    ]
+  });
+  
+  assert.deepStrictEqual(await client.listNewListings(), { success: false, error: 'birdeye: HTTP 429; dexscreener: No pair data in response' });
+  assert.deepStrictEqual(await client.listNewListings(), { success: false, error: 'birdeye: cooling down; dexscreener: timeout' });
+});
+
+test('createMarketDataFromEnv checks the provider list, API key and cooldown', () => {
+  assert.deepStrictEqual(createMarketDataFromEnv({ MARKET_DATA_PROVIDERS: 'birdeye, coingecko', MARKET_DATA_COOLDOWN_MS: '-5' }), {
+    success: false,
+    errors: [
+      'Unknown market data provider "coingecko" (available: birdeye, dexscreener)',
+      'Missing BIRDEYE_API_KEY (required by the birdeye provider)',
+      'MARKET_DATA_COOLDOWN_MS must be a non-negative number of milliseconds'
+    ]
+  });
+  assert.deepStrictEqual(createMarketDataFromEnv({ MARKET_DATA_PROVIDERS: ' , ' }).errors, ['MARKET_DATA_PROVIDERS lists no providers']);
+  
+  const result = createMarketDataFromEnv({ MARKET_DATA_PROVIDERS: 'DexScreener' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.client.providers, ['dexscreener']);
+  assert.deepStrictEqual(createMarketDataFromEnv({ BIRDEYE_API_KEY: 'key' }).client.providers, ['birdeye', 'dexscreener']);
+});
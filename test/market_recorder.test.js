@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRecording, createReplaySource } = require('../market_recorder');
+
+const USDT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+
+function mintAccount(decimals) {
+  return { value: { data: { parsed: { info: { decimals } } } } };
+}
+
+function cycle(overrides = {}) {
+  return { cycle: 0, timestamp: 1750000000000, market: {}, quotes: [], prices: {}, mints: {}, ...overrides };
+}
+
+function listing(tokens) {
+  return { tokens: { provider: 'birdeye', raw: { data: { tokens } } } };
+}
+
+function buyRequest(amount = 1000000) {
+  return { inputMint: USDT, outputMint: 'MintA', amount, slippageBps: 500 };
+}
+
+test('prices carry forward until a later cycle records a new one', () => {
+  const replay = createReplaySource([
+    cycle({ market: listing([{ address: 'MintA', price: 0.5, decimals: 6 }]) }),
+    cycle({ timestamp: 1750000010000 }),
+    cycle({ timestamp: 1750000020000, prices: { MintA: 0.75, MintB: 0 } })
+  ]);
+  
+  replay.advance();
+  assert.strictEqual(replay.price('MintA'), 0.5);
+  replay.advance();
+  assert.strictEqual(replay.price('MintA'), 0.5);
+  assert.strictEqual(replay.now(), 1750000010000);
+  replay.advance();
+  assert.strictEqual(replay.price('MintA'), 0.75);
+  assert.strictEqual(replay.price('MintB'), null);
+  assert.strictEqual(replay.advance(), false);
+});
+
+test('token lists are parsed with the parser of the provider that answered', () => {
+  const pair = { baseToken: { address: 'MintB', symbol: 'B', name: 'Token B' }, priceUsd: '0.2', liquidity: { usd: 9000 }, txns: {} };
+  const replay = createReplaySource([cycle({
+    market: {
+      tokens: { provider: 'birdeye', raw: { data: { tokens: [{ address: 'MintA', price: 0.5 }] } } },
+      newListings: { provider: 'dexscreener', raw: { fetchedAt: 1750000000000, listing: [], pairs: [pair] } }
+    }
+  })]);
+  replay.advance();
+  
+  assert.deepStrictEqual(replay.tokens('tokens'), [{ address: 'MintA', price: 0.5 }]);
+  assert.strictEqual(replay.provider('newListings'), 'dexscreener');
+  assert.strictEqual(replay.tokens('newListings')[0].address, 'MintB');
+  assert.strictEqual(replay.price('MintB'), 0.2);
+});
+
+test('a recorded quote for the same request is served as recorded, failures included', () => {
+  const recorded = { request: buyRequest(), ok: false, status: 429, response: { error: 'rate limited' } };
+  const replay = createReplaySource([cycle({ market: listing([{ address: 'MintA', price: 0.5, decimals: 6 }]), quotes: [recorded] })]);
+  replay.advance();
+  
+  assert.strictEqual(replay.quote({ ...buyRequest(), amount: '1000000' }), recorded);
+  assert.strictEqual(replay.synthesizedQuotes, 0);
+});
+
+test('without a recorded quote one is synthesized from the latest prices and decimals', () => {
+  const replay = createReplaySource([
+    cycle({ market: listing([{ address: 'MintA', price: 0.5 }]), mints: { MintA: mintAccount(9) } })
+  ]);
+  replay.advance();
+  
+  // $1 of USDT at $0.50 a token: 2 tokens with 9 decimals
+  assert.deepStrictEqual(replay.quote(buyRequest()), {
+    ok: true,
+    status: 200,
+    response: {
+      inputMint: USDT,
+      outputMint: 'MintA',
+      inAmount: '1000000',
+      outAmount: '2000000000',
+      priceImpactPct: '0',
+      slippageBps: 500,
+      routePlan: [],
+      simulated: true
+    }
+  });
+  
+  const sell = replay.quote({ inputMint: 'MintA', outputMint: USDT, amount: 4000000000, slippageBps: 500 });
+  assert.strictEqual(sell.response.outAmount, '2000000');
+  assert.strictEqual(replay.synthesizedQuotes, 2);
+});
+
+test('SOL is priced from the recording while stablecoins count as $1', () => {
+  const SOL = 'So11111111111111111111111111111111111111112';
+  const replay = createReplaySource([cycle({ prices: { [SOL]: 150 }, market: listing([{ address: 'MintA', price: 0.5, decimals: 6 }]) })]);
+  replay.advance();
+  
+  // 0.1 SOL is $15, or 30 tokens
+  const buy = replay.quote({ inputMint: SOL, outputMint: 'MintA', amount: 100000000, slippageBps: 500 });
+  assert.strictEqual(buy.response.outAmount, '30000000');
+});
+
+test('no quote is synthesized without a price or decimals for both sides', () => {
+  const replay = createReplaySource([
+    cycle({ market: listing([{ address: 'MintA', price: 0.5 }, { address: 'MintB', decimals: 6 }]) })
+  ]);
+  replay.advance();
+  
+  assert.strictEqual(replay.quote(buyRequest()), null);
+  assert.strictEqual(replay.quote({ ...buyRequest(), outputMint: 'MintB' }), null);
+  assert.strictEqual(replay.synthesizedQuotes, 0);
+});
+
+test('mint accounts are looked up in the current cycle or the latest before it', () => {
+  const replay = createReplaySource([
+    cycle({ mints: { MintA: mintAccount(6) } }),
+    cycle({ mints: { MintA: mintAccount(9) } })
+  ]);
+  replay.advance();
+  assert.deepStrictEqual(replay.mintAccount('MintA'), mintAccount(6));
+  replay.advance();
+  assert.deepStrictEqual(replay.mintAccount('MintA'), mintAccount(9));
+  assert.strictEqual(replay.mintAccount('MintB'), null);
+});
+
+test('loadRecording rejects empty and malformed recordings', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'recording.jsonl');
+  
+  fs.writeFileSync(file, '\n');
+  assert.deepStrictEqual(loadRecording(file), { success: false, error: `${file} contains no cycles` });
+  
+  fs.writeFileSync(file, `${JSON.stringify(cycle())}\n{"cycle":\n`);
+  assert.match(loadRecording(file).error, /^Malformed recording on line 2/);
+  
+  fs.writeFileSync(file, `${JSON.stringify(cycle())}\n\n${JSON.stringify(cycle({ cycle: 1 }))}\n`);
+  assert.deepStrictEqual(loadRecording(file), { success: true, cycles: [cycle(), cycle({ cycle: 1 })] });
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AddressLookupTableAccount, ComputeBudgetProgram, Keypair, SystemProgram, Transaction, TransactionInstruction, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const { estimatePriorityFee, priorityFeeLamports, fitComputeUnitLimit, makeComputeBudgetInstructions, applyComputeBudget, readComputeBudget } = require('../priority_fees');
+
+const SETTINGS = { percentile: 75, minMicroLamports: 1000, maxMicroLamports: 100000 };
+const PAYER = Keypair.generate();
+const POOL = Keypair.generate().publicKey.toBase58();
+
+// A connection whose getRecentPrioritizationFees answers with these per-slot fees
+function feeConnection(fees) {
+  const requests = [];
+  return {
+    requests,
+    async getRecentPrioritizationFees(config) {
+      requests.push(config);
+      if (fees instanceof Error) {
+        throw fees;
+      }
+      return fees.map((prioritizationFee, slot) => ({ slot, prioritizationFee }));
+    }
+  };
+}
+
+function transfer() {
+  return SystemProgram.transfer({ fromPubkey: PAYER.publicKey, toPubkey: PAYER.publicKey, lamports: 1 });
+}
+
+function versionedTransaction(instructions) {
+  return new VersionedTransaction(new TransactionMessage({
+    payerKey: PAYER.publicKey,
+    recentBlockhash: PAYER.publicKey.toBase58(),
+    instructions: [...instructions, transfer()]
+  }).compileToV0Message());
+}
+
+test('the estimate is the nearest-rank percentile of the recent fees', async () => {
+  const connection = feeConnection([40000, 10000, 30000, 20000]);
+  const fee = await estimatePriorityFee(connection, [POOL], SETTINGS);
+  
+  assert.deepStrictEqual(fee, { microLamports: 30000, estimate: 30000, samples: 4, error: null });
+  assert.deepStrictEqual(connection.requests[0].lockedWritableAccounts.map(account => account.toBase58()), [POOL]);
+  assert.strictEqual((await estimatePriorityFee(feeConnection([5000, 7000]), [POOL], { ...SETTINGS, percentile: 0 })).microLamports, 5000);
+  assert.strictEqual((await estimatePriorityFee(feeConnection([5000, 7000]), [POOL], { ...SETTINGS, percentile: 100 })).microLamports, 7000);
+});
+
+test('the estimate is clamped to the configured floor and ceiling', async () => {
+  assert.deepStrictEqual(await estimatePriorityFee(feeConnection([0, 0, 10]), [POOL], SETTINGS), { microLamports: 1000, estimate: 10, samples: 3, error: null });
+  assert.deepStrictEqual(await estimatePriorityFee(feeConnection([900000]), [POOL], SETTINGS), { microLamports: 100000, estimate: 900000, samples: 1, error: null });
+});
+
+test('the floor is used when the RPC returns no fees or fails', async () => {
+  assert.deepStrictEqual(await estimatePriorityFee(feeConnection([]), [POOL], SETTINGS), { microLamports: 1000, estimate: null, samples: 0, error: null });
+  assert.deepStrictEqual(await estimatePriorityFee(feeConnection(new Error('429 Too Many Requests')), [POOL], SETTINGS), {
+    microLamports: 1000,
+    estimate: null,
+    samples: 0,
+    error: '429 Too Many Requests'
+  });
+});
+
+test('the priority fee is charged on the whole limit, rounded up to a lamport', () => {
+  assert.strictEqual(priorityFeeLamports(50000, 400000), 20000);
+  assert.strictEqual(priorityFeeLamports(1, 400000), 1);
+  assert.strictEqual(priorityFeeLamports(0, 400000), 0);
+});
+
+test('a simulated swap gets its used units plus the margin, up to the configured limit', () => {
+  assert.strictEqual(fitComputeUnitLimit(150000, 20, 400000), 180000);
+  assert.strictEqual(fitComputeUnitLimit(150001, 20, 400000), 180002);
+  assert.strictEqual(fitComputeUnitLimit(150000, 0, 400000), 150000);
+  assert.strictEqual(fitComputeUnitLimit(390000, 20, 400000), 400000);
+});
+
+test('applyComputeBudget rewrites the limit and price a versioned transaction already sets', () => {
+  const transaction = versionedTransaction([
+    ComputeBudgetProgram.setComputeUnitLimit({ units: 1400000 }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 })
+  ]);
+  const accountsBefore = transaction.message.staticAccountKeys.map(key => key.toBase58());
+  
+  applyComputeBudget(transaction, { computeUnitLimit: 400000, microLamports: 50000 });
+  assert.deepStrictEqual(readComputeBudget(transaction), { computeUnitLimit: 400000, microLamports: 50000, lamports: 20000 });
+  assert.deepStrictEqual(transaction.message.staticAccountKeys.map(key => key.toBase58()), accountsBefore);
+  
+  // Still a valid transaction after a round trip
+  const decoded = VersionedTransaction.deserialize(transaction.serialize());
+  assert.deepStrictEqual(readComputeBudget(decoded), { computeUnitLimit: 400000, microLamports: 50000, lamports: 20000 });
+});
+
+test('applyComputeBudget inserts whichever instruction a transaction is missing', () => {
+  // The swap instruction reads a pool from a lookup table, so it indexes past the static keys
+  const program = Keypair.generate().publicKey;
+  const pool = Keypair.generate().publicKey;
+  const table = new AddressLookupTableAccount({
+    key: Keypair.generate().publicKey,
+    state: { deactivationSlot: 2n ** 64n - 1n, lastExtendedSlot: 0, lastExtendedSlotStartIndex: 0, addresses: [pool] }
+  });
+  const swap = new TransactionInstruction({ programId: program, keys: [{ pubkey: pool, isSigner: false, isWritable: true }], data: Buffer.from([9]) });
+  const limit = ComputeBudgetProgram.setComputeUnitLimit({ units: 1400000 });
+  const price = ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 });
+  const cases = [
+    { instructions: [swap], programs: ['limit', 'price', 'swap'] },
+    { instructions: [limit, swap], programs: ['price', 'limit', 'swap'] },
+    { instructions: [price, limit, swap], programs: ['price', 'limit', 'swap'] }
+  ];
+  
+  for (const { instructions, programs } of cases) {
+    const transaction = new VersionedTransaction(new TransactionMessage({
+      payerKey: PAYER.publicKey,
+      recentBlockhash: PAYER.publicKey.toBase58(),
+      instructions
+    }).compileToV0Message([table]));
+    applyComputeBudget(transaction, { computeUnitLimit: 400000, microLamports: 50000 });
+    
+    const decoded = VersionedTransaction.deserialize(transaction.serialize());
+    assert.deepStrictEqual(readComputeBudget(decoded), { computeUnitLimit: 400000, microLamports: 50000, lamports: 20000 });
+    const decompiled = TransactionMessage.decompile(decoded.message, { addressLookupTableAccounts: [table] }).instructions;
+    assert.deepStrictEqual(decompiled.map(instruction => {
+      if (instruction.programId.equals(program)) {
+        return 'swap';
+      }
+      return instruction.data[0] === 2 ? 'limit' : 'price';
+    }), programs);
+    assert.deepStrictEqual(decompiled[2].keys, swap.keys);
+  }
+});
+
+test('applyComputeBudget inserts the instructions at the start of a legacy transaction', () => {
+  const transaction = new Transaction().add(transfer());
+  applyComputeBudget(transaction, { computeUnitLimit: 200000, microLamports: 7500 });
+  assert.deepStrictEqual(transaction.instructions.map(instruction => instruction.programId.toBase58()), [
+    ComputeBudgetProgram.programId.toBase58(),
+    ComputeBudgetProgram.programId.toBase58(),
+    SystemProgram.programId.toBase58()
+  ]);
+  assert.deepStrictEqual(readComputeBudget(transaction), { computeUnitLimit: 200000, microLamports: 7500, lamports: 1500 });
+});
+
+test('compute budget instructions are read from legacy transactions too', () => {
+  const transaction = new Transaction().add(...makeComputeBudgetInstructions({ computeUnitLimit: 200000, microLamports: 7500 }), transfer());
+  assert.deepStrictEqual(readComputeBudget(transaction), { computeUnitLimit: 200000, microLamports: 7500, lamports: 1500 });
+});
+
+test('a transaction without compute budget instructions reads as the runtime default', () => {
+  assert.deepStrictEqual(readComputeBudget(versionedTransaction([])), { computeUnitLimit: null, microLamports: 0, lamports: null });
+});
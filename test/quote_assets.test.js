@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { migratePosition } = require('../quote_assets');
+
+test('migratePosition converts a USDT-era position and its sales', () => {
+  const legacy = {
+    mint: 'MintA',
+    amountUsdt: 25,
+    realizedUsdt: 4,
+    tokensReceived: '500',
+    sales: [{ tokensSold: 500, proceedsUsdt: 4, soldAt: '2025-06-15T09:00:00.000Z' }]
+  };
+  
+  assert.deepStrictEqual(migratePosition(legacy), {
+    mint: 'MintA',
+    tokensReceived: '500',
+    quoteAsset: 'USDT',
+    amountIn: 25,
+    costUsd: 25,
+    realized: 4,
+    realizedUsd: 4,
+    sales: [{ tokensSold: 500, soldAt: '2025-06-15T09:00:00.000Z', proceeds: 4, proceedsUsd: 4 }]
+  });
+});
+
+test('migratePosition defaults realized to 0 and sales to empty', () => {
+  const migrated = migratePosition({ mint: 'MintA', amountUsdt: 10 });
+  assert.strictEqual(migrated.realized, 0);
+  assert.strictEqual(migrated.realizedUsd, 0);
+  assert.deepStrictEqual(migrated.sales, []);
+});
+
+test('migratePosition leaves current positions untouched', () => {
+  const current = { mint: 'MintA', quoteAsset: 'SOL', amountIn: 0.1, costUsd: 15, sales: [] };
+  assert.strictEqual(migratePosition(current), current);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bs58 = require('bs58');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { RAYDIUM_AMM_PROGRAM_ID, parsePoolTransaction } = require('../raydium_pools');
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const TOKEN = Keypair.generate().publicKey.toBase58();
+
+// initialize2 data: instruction 1, nonce, then openTime, initPcAmount and initCoinAmount as u64 LE
+function initialize2Data({ openTime = 1750000000, pcAmount = 5000000000n, coinAmount = 1000000000000000n } = {}) {
+  const buffer = Buffer.alloc(26);
+  buffer.writeUInt8(1, 0);
+  buffer.writeUInt8(254, 1);
+  buffer.writeBigUInt64LE(BigInt(openTime), 2);
+  buffer.writeBigUInt64LE(pcAmount, 10);
+  buffer.writeBigUInt64LE(coinAmount, 18);
+  return bs58.encode(buffer);
+}
+
+// A parsed transaction creating a pool: accounts 8/9 are the coin/pc mints, 10/11 their vaults
+function poolTransaction({ coinMint = TOKEN, pcMint = SOL, data = initialize2Data(), inner = false, err = null } = {}) {
+  const accounts = Array.from({ length: 18 }, () => Keypair.generate().publicKey);
+  accounts[8] = new PublicKey(coinMint);
+  accounts[9] = new PublicKey(pcMint);
+  const instruction = { programId: new PublicKey(RAYDIUM_AMM_PROGRAM_ID), accounts, data };
+  const accountKeys = accounts.map(pubkey => ({ pubkey }));
+  return {
+    slot: 321,
+    meta: {
+      err,
+      innerInstructions: inner ? [{ index: 0, instructions: [instruction] }] : [],
+      postTokenBalances: [
+        { accountIndex: 10, uiTokenAmount: { decimals: coinMint === TOKEN ? 6 : 9 } },
+        { accountIndex: 11, uiTokenAmount: { decimals: pcMint === TOKEN ? 6 : 9 } }
+      ]
+    },
+    transaction: { message: { accountKeys, instructions: inner ? [] : [instruction] } }
+  };
+}
+
+test('decodes a pool whose quote side is the pc mint', () => {
+  const transaction = poolTransaction();
+  const pool = parsePoolTransaction('sig', transaction);
+  
+  assert.deepStrictEqual(pool, {
+    signature: 'sig',
+    slot: 321,
+    pool: transaction.transaction.message.instructions[0].accounts[4].toBase58(),
+    lpMint: transaction.transaction.message.instructions[0].accounts[7].toBase58(),
+    baseMint: TOKEN,
+    quoteMint: SOL,
+    quoteSymbol: 'SOL',
+    baseDecimals: 6,
+    quoteDecimals: 9,
+    baseAmount: 1000000000,
+    quoteAmount: 5,
+    openTime: 1750000000
+  });
+});
+
+test('takes the new token as the base when the quote asset is the coin side', () => {
+  const pool = parsePoolTransaction('sig', poolTransaction({ coinMint: USDC, pcMint: TOKEN }));
+  assert.strictEqual(pool.baseMint, TOKEN);
+  assert.strictEqual(pool.quoteSymbol, 'USDC');
+  assert.strictEqual(pool.baseAmount, 5000);
+  assert.strictEqual(pool.quoteAmount, 1000000);
+});
+
+test('finds pools created through another program', () => {
+  assert.strictEqual(parsePoolTransaction('sig', poolTransaction({ inner: true })).baseMint, TOKEN);
+});
+
+test('ignores failed transactions and other instructions', () => {
+  assert.strictEqual(parsePoolTransaction('sig', null), null);
+  assert.strictEqual(parsePoolTransaction('sig', poolTransaction({ err: { InstructionError: [0, 'Custom'] } })), null);
+  assert.strictEqual(parsePoolTransaction('sig', poolTransaction({ data: bs58.encode(Buffer.alloc(26, 9)) })), null);
+  assert.strictEqual(parsePoolTransaction('sig', poolTransaction({ data: bs58.encode(Buffer.from([1, 2])) })), null);
+});
+
+test('ignores pools without exactly one quote asset', () => {
+  assert.strictEqual(parsePoolTransaction('sig', poolTransaction({ coinMint: USDC, pcMint: SOL })), null);
+  assert.strictEqual(parsePoolTransaction('sig', poolTransaction({ coinMint: TOKEN, pcMint: Keypair.generate().publicKey.toBase58() })), null);
+});
+
+test('leaves amounts undefined when a vault balance is missing', () => {
+  const transaction = poolTransaction();
+  transaction.meta.postTokenBalances = [];
+  const pool = parsePoolTransaction('sig', transaction);
+  assert.strictEqual(pool.baseDecimals, undefined);
+  assert.strictEqual(pool.baseAmount, undefined);
+});
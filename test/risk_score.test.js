@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isHardBlocker, getCheckWeight, scoreSafetyChecks, formatRiskScore, summarizeRisk } = require('../risk_score');
+
+const SCORING = {
+  threshold: 60,
+  hardBlockers: ['mintAuthority'],
+  weights: { supply: 15, metadata: 15, holderDistribution: 25, liquidityLock: 30 }
+};
+
+function passed(check) {
+  return { check, passed: true, reason: 'ok' };
+}
+
+function failed(check, reason = `${check} failed`) {
+  return { check, passed: false, reason };
+}
+
+test('a check is a hard blocker when listed or when it has no weight', () => {
+  assert.strictEqual(isHardBlocker('mintAuthority', SCORING), true);
+  assert.strictEqual(isHardBlocker('honeypot', SCORING), true);
+  assert.strictEqual(isHardBlocker('supply', SCORING), false);
+  assert.strictEqual(isHardBlocker('supply'), true);
+  assert.strictEqual(getCheckWeight('supply', SCORING), 15);
+  assert.strictEqual(getCheckWeight('honeypot', SCORING), 100);
+});
+
+test('passing every check scores 100', () => {
+  const risk = scoreSafetyChecks([passed('mintAuthority'), passed('supply')], SCORING);
+  assert.deepStrictEqual(risk, {
+    passed: true,
+    failedCheck: null,
+    reason: null,
+    score: 100,
+    threshold: 60,
+    breakdown: [
+      { check: 'mintAuthority', passed: true, blocker: true, penalty: 0, reason: null },
+      { check: 'supply', passed: true, blocker: false, penalty: 0, reason: null }
+    ]
+  });
+});
+
+test('failed weighted checks subtract their weight and pass at the threshold', () => {
+  const risk = scoreSafetyChecks([failed('supply'), failed('holderDistribution'), passed('liquidityLock')], SCORING);
+  assert.strictEqual(risk.passed, true);
+  assert.strictEqual(risk.score, 60);
+  assert.strictEqual(formatRiskScore(risk), '60/100 (supply -15, holderDistribution -25)');
+});
+
+test('a score below the threshold fails as riskScore', () => {
+  const risk = scoreSafetyChecks([failed('supply'), failed('holderDistribution'), failed('liquidityLock')], SCORING);
+  assert.strictEqual(risk.passed, false);
+  assert.strictEqual(risk.failedCheck, 'riskScore');
+  assert.strictEqual(risk.score, 30);
+  assert.strictEqual(risk.reason, 'Risk score 30/100 (supply -15, holderDistribution -25, liquidityLock -30) below 60');
+});
+
+test('a failed hard blocker rejects the token whatever the threshold', () => {
+  const risk = scoreSafetyChecks([failed('mintAuthority', 'Mint authority not renounced'), passed('supply')], { ...SCORING, threshold: 0 });
+  assert.strictEqual(risk.passed, false);
+  assert.strictEqual(risk.failedCheck, 'mintAuthority');
+  assert.strictEqual(risk.reason, 'Mint authority not renounced');
+  assert.strictEqual(risk.score, 0);
+});
+
+test('a failed check without a weight blocks, so new checks fail closed', () => {
+  const risk = scoreSafetyChecks([failed('honeypot'), passed('supply')], { ...SCORING, threshold: 0 });
+  assert.strictEqual(risk.passed, false);
+  assert.strictEqual(risk.failedCheck, 'honeypot');
+});
+
+test('skipped checks cost nothing and are left out of the breakdown', () => {
+  const risk = scoreSafetyChecks([{ check: 'honeypot', passed: false, skipped: true, reason: 'disabled' }, passed('supply')], SCORING);
+  assert.strictEqual(risk.passed, true);
+  assert.deepStrictEqual(risk.breakdown.map(entry => entry.check), ['supply']);
+});
+
+test('without scoring settings every failure blocks and the threshold is 100', () => {
+  const risk = scoreSafetyChecks([failed('supply')]);
+  assert.strictEqual(risk.failedCheck, 'supply');
+  assert.strictEqual(risk.threshold, 100);
+});
+
+test('summarizeRisk keeps the score and each check\'s penalty', () => {
+  const risk = scoreSafetyChecks([failed('supply', 'Supply too large'), passed('metadata')], SCORING);
+  assert.deepStrictEqual(summarizeRisk(risk), {
+    score: 85,
+    threshold: 60,
+    breakdown: [{ check: 'supply', penalty: 15, reason: 'Supply too large' }, { check: 'metadata', penalty: 0, reason: null }]
+  });
+  assert.strictEqual(summarizeRisk(null), null);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getActiveRules, evaluateSnipeFilters } = require('../snipe_filters');
+
+const NOW = 1750000000000;
+
+function token(overrides = {}) {
+  return {
+    address: 'MintA',
+    name: 'Good Token',
+    symbol: 'GOOD',
+    liquidity: 20000,
+    mc: 500000,
+    price: 0.01,
+    lastTradeUnixTime: NOW / 1000 - 60,
+    v24hUSD: 100000,
+    v24hChangePercent: 40,
+    ...overrides
+  };
+}
+
+function filters(order, rules) {
+  return { order, rules };
+}
+
+test('getActiveRules follows the order, then adds configured rules it leaves out', () => {
+  const config = filters(['price', 'liquidity'], { liquidity: {}, price: {}, volume24h: {}, marketCap: {} });
+  assert.deepStrictEqual(getActiveRules(config).map(({ name }) => name), ['price', 'liquidity', 'marketCap', 'volume24h']);
+});
+
+test('getActiveRules skips disabled and unconfigured rules', () => {
+  const config = filters(['liquidity', 'price', 'recency'], { liquidity: { enabled: false }, price: { enabled: true } });
+  assert.deepStrictEqual(getActiveRules(config).map(({ name }) => name), ['price']);
+});
+
+test('getActiveRules fills in parameters the config leaves out', () => {
+  const [marketCap] = getActiveRules(filters(['marketCap'], { marketCap: { enabled: true, max: 1000000 } }));
+  assert.deepStrictEqual(marketCap.params, { min: 30000, max: 1000000 });
+});
+
+test('a token passing every rule gets a result for each', () => {
+  const config = filters(['liquidity', 'marketCap', 'recency'], { liquidity: {}, marketCap: {}, recency: {} });
+  const verdict = evaluateSnipeFilters(token(), config, { now: NOW });
+  
+  assert.strictEqual(verdict.passed, true);
+  assert.strictEqual(verdict.rejectedBy, null);
+  assert.deepStrictEqual(verdict.results, [
+    { rule: 'liquidity', passed: true, reason: 'Liquidity $20,000' },
+    { rule: 'marketCap', passed: true, reason: 'Market cap $500,000' },
+    { rule: 'recency', passed: true, reason: 'Last trade 1 minutes ago' }
+  ]);
+});
+
+test('the first failing rule in pipeline order rejects the token, and every rule still runs', () => {
+  const rules = { liquidity: { min: 50000 }, marketCap: { max: 100000 }, volume24h: {} };
+  const candidate = token({ v24hUSD: 0 });
+  
+  const verdict = evaluateSnipeFilters(candidate, filters(['volume24h', 'marketCap', 'liquidity'], rules), { now: NOW });
+  assert.strictEqual(verdict.passed, false);
+  assert.strictEqual(verdict.rejectedBy, 'volume24h');
+  assert.strictEqual(verdict.reason, '24h volume $0 below $5,000');
+  assert.deepStrictEqual(verdict.results.map(result => result.passed), [false, false, false]);
+  
+  assert.strictEqual(evaluateSnipeFilters(candidate, filters(['marketCap', 'liquidity', 'volume24h'], rules), { now: NOW }).rejectedBy, 'marketCap');
+});
+
+test('excluded tokens are rejected before any rule runs', () => {
+  const verdict = evaluateSnipeFilters(token(), filters(['liquidity'], { liquidity: {} }), { now: NOW, excludedTokens: ['MintA'] });
+  assert.deepStrictEqual(verdict, {
+    passed: false,
+    rejectedBy: 'excluded',
+    reason: 'Token is in excludedTokens',
+    results: [{ rule: 'excluded', passed: false, reason: 'Token is in excludedTokens' }]
+  });
+});
+
+test('a rule that throws fails the token instead of the cycle', () => {
+  const verdict = evaluateSnipeFilters(token(), filters(['nameList'], { nameList: { deny: 'scam' } }), { now: NOW });
+  assert.strictEqual(verdict.rejectedBy, 'nameList');
+  assert.match(verdict.reason, /^Rule error: /);
+});
+
+test('the name list denies names or symbols matching a pattern, ignoring case', () => {
+  const config = filters(['nameList'], { nameList: { deny: ['rug', '^moon'] } });
+  assert.strictEqual(evaluateSnipeFilters(token({ name: 'Totally not a RUG' }), config, { now: NOW }).reason, 'Name/symbol matches /rug/');
+  assert.strictEqual(evaluateSnipeFilters(token({ symbol: 'MOONX' }), config, { now: NOW }).passed, false);
+  assert.strictEqual(evaluateSnipeFilters(token({ name: 'Honeymoon' }), config, { now: NOW }).passed, true);
+  assert.deepStrictEqual(evaluateSnipeFilters(token(), config, { now: NOW }).results, [{ rule: 'nameList', passed: true, reason: 'No denied names' }]);
+});
+
+test('name list patterns are compiled once per filters config', t => {
+  const config = filters(['nameList'], { nameList: { deny: ['rug'], allow: ['^rugby'] } });
+  const [nameList] = getActiveRules(config);
+  assert.ok(nameList.params.deny[0].regex instanceof RegExp);
+  assert.strictEqual(getActiveRules(config), getActiveRules(config));
+  
+  const compiled = t.mock.method(global, 'RegExp');
+  evaluateSnipeFilters(token({ name: 'Rugby Club' }), config, { now: NOW });
+  evaluateSnipeFilters(token({ name: 'Rug Pull' }), config, { now: NOW });
+  assert.strictEqual(compiled.mock.callCount(), 0);
+});
+
+test('an allow pattern lets a denied name through', () => {
+  const config = filters(['nameList'], { nameList: { deny: ['safe'], allow: ['^SafeMoon Official$'] } });
+  assert.deepStrictEqual(evaluateSnipeFilters(token({ name: 'SafeMoon Official' }), config, { now: NOW }).results, [
+    { rule: 'nameList', passed: true, reason: 'Name/symbol allowed by /^SafeMoon Official$/' }
+  ]);
+  assert.strictEqual(evaluateSnipeFilters(token({ name: 'SafeMoon Official 2' }), config, { now: NOW }).rejectedBy, 'nameList');
+});
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FILTER_RULES } = require('../snipe_filters');
+const { validateStrategyConfig, loadStrategyConfig, resolveStrategyProfile, diffStrategyConfigs } = require('../strategy_config');
+
+const STRATEGY_FILE = path.join(__dirname, '..', 'strategy.json');
+
+// A fresh copy of the shipped strategy.json for each test to modify
+function shippedConfig() {
+  return JSON.parse(fs.readFileSync(STRATEGY_FILE, 'utf8'));
+}
+
+test('the shipped strategy.json is valid', () => {
+  assert.deepStrictEqual(validateStrategyConfig(shippedConfig()), { valid: true, errors: [] });
+});
+
+test('reports type and range errors with the setting\'s path', () => {
+  const config = shippedConfig();
+  config.monitorInterval = 'fast';
+  config.sniping.maxSlippageBps = 12.5;
+  config.exits.defaultPlan.stopLossPercent = 150;
+  
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, [
+    'monitorInterval: expected a number, got string',
+    'sniping.maxSlippageBps: expected an integer, got 12.5',
+    'exits.defaultPlan.stopLossPercent: must be <= 100, got 150'
+  ]);
+});
+
+test('reports unknown settings and missing required ones', () => {
+  const config = shippedConfig();
+  delete config.sniping.dryRun;
+  config.sniping.dryrun = true;
+  
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, [
+    'sniping.dryRun: is required',
+    'sniping.dryrun: unknown setting'
+  ]);
+});
+
+test('accepts null for nullable settings only', () => {
+  const config = shippedConfig();
+  config.exits.defaultPlan.trailingStopPercent = null;
+  assert.strictEqual(validateStrategyConfig(config).valid, true);
+  
+  config.exits.monitorInterval = null;
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, ['exits.monitorInterval: expected a number, got null']);
+});
+
+test('checks override keys are addresses', () => {
+  const config = shippedConfig();
+  config.exits.overrides = { 'not-a-mint': { stopLossPercent: 20 } };
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, ['exits.overrides: key "not-a-mint" is not a valid address']);
+});
+
+test('rejects filter ranges whose min is above their max', () => {
+  const config = shippedConfig();
+  config.filters.rules.marketCap = { min: 5000000, max: 100000 };
+  config.filters.rules.price = { min: 2, max: 1 };
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, [
+    'filters.rules.marketCap: min (5000000) is above max (100000)',
+    'filters.rules.price: min (2) is above max (1)'
+  ]);
+});
+
+test('rejects a priority fee floor above its ceiling', () => {
+  const config = shippedConfig();
+  config.execution.priorityFee = { ...config.execution.priorityFee, minMicroLamports: 200000, maxMicroLamports: 1000 };
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, [
+    'execution.priorityFee: minMicroLamports (200000) is above maxMicroLamports (1000)'
+  ]);
+});
+
+test('checks the filter order names known rules, each once', () => {
+  const config = shippedConfig();
+  config.filters.order = ['liquidity', 'age'];
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, [
+    `filters.order[1]: "age" is not one of ${Object.keys(FILTER_RULES).join(', ')}`
+  ]);
+  
+  config.filters.order = ['liquidity', 'price', 'liquidity'];
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, ['filters.order: lists liquidity more than once']);
+});
+
+test('rejects take-profit tranches selling more than 100% in total', () => {
+  const config = shippedConfig();
+  config.exits.overrides = {
+    So11111111111111111111111111111111111111112: {
+      takeProfits: [{ multiple: 2, sellPercent: 60 }, { multiple: 3, sellPercent: 60 }]
+    }
+  };
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, [
+    'exits.overrides.So11111111111111111111111111111111111111112.takeProfits: tranches sell 120% in total (max 100%)'
+  ]);
+});
+
+test('rejects name list patterns that are not regular expressions', () => {
+  const config = shippedConfig();
+  config.filters.rules.nameList = { deny: ['rug', 'scam('], allow: [] };
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, ['filters.rules.nameList.deny[1]: "scam(" is not a valid regular expression']);
+});
+
+test('skips the consistency checks until the schema passes', () => {
+  const config = shippedConfig();
+  config.monitorInterval = -1;
+  config.filters.rules.marketCap = { min: 5000000, max: 100000 };
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, ['monitorInterval: must be >= 1000, got -1']);
+});
+
+test('loadStrategyConfig reports unreadable and invalid files', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  
+  const missing = loadStrategyConfig(path.join(directory, 'missing.json'));
+  assert.strictEqual(missing.success, false);
+  assert.match(missing.errors[0], /^Could not read .*missing\.json/);
+  
+  const file = path.join(directory, 'strategy.json');
+  const config = shippedConfig();
+  config.monitorInterval = 10;
+  fs.writeFileSync(file, JSON.stringify(config));
+  assert.deepStrictEqual(loadStrategyConfig(file), { success: false, errors: ['monitorInterval: must be >= 1000, got 10'] });
+});
+
+// The shipped settings with two profiles that only touch the exits
+function configWithProfiles() {
+  const config = shippedConfig();
+  config.profiles = {
+    cautious: {
+      description: 'Tight stop',
+      exits: { defaultPlan: { stopLossPercent: 20, takeProfits: [{ multiple: 1.5, sellPercent: 100 }] } }
+    },
+    patient: { exits: { monitorInterval: 60000 } }
+  };
+  return config;
+}
+
+test('without a profile the base settings apply', () => {
+  const config = configWithProfiles();
+  const result = resolveStrategyProfile(config, null);
+  
+  const { profiles, ...baseSettings } = config;
+  assert.deepStrictEqual(result, { success: true, config: baseSettings, profile: 'default' });
+});
+
+test('a profile is merged over the base key by key, and replaces arrays', () => {
+  const config = configWithProfiles();
+  const result = resolveStrategyProfile(config, 'cautious');
+  
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.profile, 'cautious');
+  assert.strictEqual(result.description, 'Tight stop');
+  assert.strictEqual(result.config.profiles, undefined);
+  assert.deepStrictEqual(result.config.exits.defaultPlan, {
+    ...config.exits.defaultPlan,
+    stopLossPercent: 20,
+    takeProfits: [{ multiple: 1.5, sellPercent: 100 }]
+  });
+  assert.strictEqual(result.config.exits.monitorInterval, config.exits.monitorInterval);
+  assert.deepStrictEqual(result.config.sniping, config.sniping);
+});
+
+test('defaultProfile applies unless another profile is named', () => {
+  const config = configWithProfiles();
+  config.defaultProfile = 'patient';
+  assert.strictEqual(validateStrategyConfig(config).valid, true);
+  
+  assert.strictEqual(resolveStrategyProfile(config, null).config.exits.monitorInterval, 60000);
+  assert.strictEqual(resolveStrategyProfile(config, 'cautious').profile, 'cautious');
+});
+
+test('an unknown profile lists the available ones', () => {
+  assert.deepStrictEqual(resolveStrategyProfile(configWithProfiles(), 'yolo'), {
+    success: false,
+    errors: ['Unknown strategy profile "yolo" (available: cautious, patient)']
+  });
+  
+  const withoutProfiles = shippedConfig();
+  delete withoutProfiles.profiles;
+  assert.deepStrictEqual(resolveStrategyProfile(withoutProfiles, 'yolo').errors, ['Unknown strategy profile "yolo" (available: none)']);
+});
+
+test('profiles are validated on their own and merged with the base', () => {
+  const config = configWithProfiles();
+  config.profiles.patient.exits.interval = 60000;
+  assert.deepStrictEqual(validateStrategyConfig(config).errors, ['profiles.patient.exits.interval: unknown setting']);
+  
+  // Valid alone, but together with the base tranches it sells more than 100%
+  const merged = configWithProfiles();
+  merged.exits.overrides = { So11111111111111111111111111111111111111112: { takeProfits: [{ multiple: 2, sellPercent: 80 }] } };
+  merged.profiles.cautious.exits.overrides = { So11111111111111111111111111111111111111112: { takeProfits: [{ multiple: 2, sellPercent: 80 }, { multiple: 4, sellPercent: 80 }] } };
+  assert.deepStrictEqual(resolveStrategyProfile(merged, 'cautious').errors, [
+    'profile "cautious": exits.overrides.So11111111111111111111111111111111111111112.takeProfits: tranches sell 160% in total (max 100%)'
+  ]);
+});
+
+test('diffStrategyConfigs lists each changed leaf setting', () => {
+  const before = shippedConfig();
+  const after = shippedConfig();
+  after.monitorInterval = 20000;
+  after.exits.defaultPlan.takeProfits = [{ multiple: 3, sellPercent: 100 }];
+  after.exits.defaultPlan.stopLossPercent = undefined;
+  
+  assert.deepStrictEqual(diffStrategyConfigs(before, after), [
+    { path: 'monitorInterval', from: before.monitorInterval, to: 20000 },
+    { path: 'exits.defaultPlan.takeProfits', from: before.exits.defaultPlan.takeProfits, to: [{ multiple: 3, sellPercent: 100 }] },
+    { path: 'exits.defaultPlan.stopLossPercent', from: before.exits.defaultPlan.stopLossPercent, to: undefined }
+  ]);
+  assert.deepStrictEqual(diffStrategyConfigs(before, shippedConfig()), []);
+});
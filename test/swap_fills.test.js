@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+const { readSwapFill, fetchSwapFill } = require('../swap_fills');
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const TOKEN = Keypair.generate().publicKey.toBase58();
+const OWNER = Keypair.generate().publicKey.toBase58();
+const FEE = 5000;
+const TOKEN_ACCOUNT_RENT = 2039280;
+
+function tokenBalance(accountIndex, mint, amount, owner = OWNER) {
+  return { accountIndex, mint, owner, uiTokenAmount: { amount: String(amount) } };
+}
+
+// A confirmed transaction as getTransaction returns it. Accounts: 0 the owner (fee payer),
+// 1 the owner's wSOL account, 2 the owner's token account, 3 the pool's token vault.
+function swapTransaction({ preBalances, postBalances, preTokenBalances = [], postTokenBalances = [] }) {
+  const keys = [OWNER, Keypair.generate().publicKey.toBase58(), Keypair.generate().publicKey.toBase58(), Keypair.generate().publicKey.toBase58()];
+  return {
+    slot: 777,
+    meta: { fee: FEE, computeUnitsConsumed: 143000, preBalances, postBalances, preTokenBalances, postTokenBalances, loadedAddresses: { writable: [], readonly: [] } },
+    transaction: {
+      message: {
+        getAccountKeys: () => ({ length: keys.length, get: index => keys[index] })
+      }
+    }
+  };
+}
+
+// 1 SOL in for 2,000,000 raw tokens, opening the token account; the wSOL account is
+// opened and closed inside the swap
+function solBuy() {
+  return swapTransaction({
+    preBalances: [5000000000, 0, 0, 10],
+    postBalances: [5000000000 - 1000000000 - FEE - TOKEN_ACCOUNT_RENT, 0, TOKEN_ACCOUNT_RENT, 10],
+    preTokenBalances: [tokenBalance(3, TOKEN, 900000000, 'pool')],
+    postTokenBalances: [tokenBalance(2, TOKEN, 2000000), tokenBalance(3, TOKEN, 898000000, 'pool')]
+  });
+}
+
+test('a SOL buy spends the lamport change less the fee and the new account\'s rent', () => {
+  assert.deepStrictEqual(readSwapFill(solBuy(), { owner: OWNER, inputMint: SOL, outputMint: TOKEN }), {
+    success: true,
+    inputAmount: '1000000000',
+    outputAmount: '2000000',
+    feeLamports: FEE,
+    rentLamports: TOKEN_ACCOUNT_RENT,
+    computeUnitsConsumed: 143000,
+    slot: 777
+  });
+});
+
+test('a SOL sell receives the lamport change plus the fee', () => {
+  const transaction = swapTransaction({
+    preBalances: [1000000000, 0, TOKEN_ACCOUNT_RENT, 10],
+    postBalances: [1000000000 + 500000000 - FEE, 0, TOKEN_ACCOUNT_RENT, 10],
+    preTokenBalances: [tokenBalance(2, TOKEN, 2000000)],
+    postTokenBalances: [tokenBalance(2, TOKEN, 0)]
+  });
+  const fill = readSwapFill(transaction, { owner: OWNER, inputMint: TOKEN, outputMint: SOL });
+  assert.strictEqual(fill.inputAmount, '2000000');
+  assert.strictEqual(fill.outputAmount, '500000000');
+  assert.strictEqual(fill.rentLamports, 0);
+});
+
+test('token amounts sum the owner\'s accounts for the mint and ignore everyone else\'s', () => {
+  const transaction = swapTransaction({
+    preBalances: [1000000000, TOKEN_ACCOUNT_RENT, TOKEN_ACCOUNT_RENT, 10],
+    postBalances: [1000000000 - FEE, TOKEN_ACCOUNT_RENT, TOKEN_ACCOUNT_RENT, 10],
+    preTokenBalances: [tokenBalance(1, USDC, 25000000), tokenBalance(2, TOKEN, 0), tokenBalance(3, USDC, 1000000000, 'pool')],
+    postTokenBalances: [tokenBalance(1, USDC, 15000000), tokenBalance(2, TOKEN, 123456), tokenBalance(3, USDC, 1010000000, 'pool')]
+  });
+  const fill = readSwapFill(transaction, { owner: OWNER, inputMint: USDC, outputMint: TOKEN });
+  assert.strictEqual(fill.inputAmount, '10000000');
+  assert.strictEqual(fill.outputAmount, '123456');
+});
+
+test('a swap that delivered nothing is not a fill', () => {
+  const transaction = swapTransaction({ preBalances: [1000000000, 0, 0, 10], postBalances: [1000000000 - FEE, 0, 0, 10] });
+  assert.deepStrictEqual(readSwapFill(transaction, { owner: OWNER, inputMint: SOL, outputMint: TOKEN }), { success: false, error: `No ${TOKEN} received` });
+});
+
+test('fetchSwapFill reads the confirmed transaction and reports errors', async () => {
+  const requests = [];
+  const connection = {
+    async getTransaction(signature, options) {
+      requests.push({ signature, options });
+      return solBuy();
+    }
+  };
+  const fill = await fetchSwapFill(connection, 'sig', { owner: OWNER, inputMint: SOL, outputMint: TOKEN });
+  assert.strictEqual(fill.outputAmount, '2000000');
+  assert.deepStrictEqual(requests, [{ signature: 'sig', options: { commitment: 'confirmed', maxSupportedTransactionVersion: 0 } }]);
+  
+  const stranger = Keypair.generate().publicKey.toBase58();
+  assert.deepStrictEqual(await fetchSwapFill(connection, 'sig', { owner: stranger, inputMint: SOL, outputMint: TOKEN }), {
+    success: false,
+    error: `${stranger} is not in the transaction`
+  });
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Metadata URIs answer from `responses` when listed there, otherwise through the real fetch,
+// so redirects can be scripted while address checks still run against real lookups
+const realFetch = require('node-fetch');
+const responses = new Map();
+const requested = [];
+require.cache[require.resolve('node-fetch')].exports = async (url, options) => {
+  requested.push(url);
+  const response = responses.get(url);
+  if (!response) {
+    return realFetch(url, options);
+  }
+  return {
+    status: response.status,
+    ok: response.status >= 200 && response.status < 300,
+    headers: { get: name => (name === 'location' ? response.location || null : null) },
+    json: async () => response.body
+  };
+};
+const { fetchMetadataSnapshot } = require('../token_metadata');
+
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+// A Token-2022 mint carrying its own metadata, so no RPC is needed to find the URI
+function mintWithUri(uri) {
+  return {
+    owner: TOKEN_2022_PROGRAM_ID,
+    data: { parsed: { info: { extensions: [{ extension: 'tokenMetadata', state: { name: 'Token', symbol: 'TKN', uri } }] } } }
+  };
+}
+
+async function offChain(uri) {
+  const snapshot = await fetchMetadataSnapshot(null, 'MintA', mintWithUri(uri));
+  return snapshot.offChain;
+}
+
+test.beforeEach(() => {
+  responses.clear();
+  requested.length = 0;
+});
+
+test('fetches https URIs and lists the non-empty fields', async () => {
+  responses.set('https://metadata.example/token.json', { status: 200, body: { name: 'Token', symbol: 'TKN', image: '', description: null } });
+  assert.deepStrictEqual(await offChain('https://metadata.example/token.json'), { fields: ['name', 'symbol'] });
+});
+
+test('fetches ipfs and arweave URIs through their gateways', async () => {
+  responses.set('https://ipfs.io/ipfs/bafyhash', { status: 200, body: { name: 'Token' } });
+  responses.set('https://arweave.net/txid', { status: 200, body: { name: 'Token' } });
+  assert.deepStrictEqual(await offChain('ipfs://bafyhash'), { fields: ['name'] });
+  assert.deepStrictEqual(await offChain('ar://txid'), { fields: ['name'] });
+});
+
+test('refuses URIs that are not https', async () => {
+  assert.deepStrictEqual(await offChain('http://metadata.example/token.json'), { error: 'http: URIs are not fetched, only https:' });
+  assert.deepStrictEqual(await offChain('file:///etc/passwd'), { error: 'file: URIs are not fetched, only https:' });
+  assert.deepStrictEqual(await offChain('not a uri'), { error: 'invalid URI' });
+  assert.deepStrictEqual(requested, []);
+});
+
+test('refuses loopback, private and link-local addresses', async () => {
+  const blocked = [
+    ['https://127.0.0.1/token.json', '127.0.0.1'],
+    ['https://10.1.2.3/token.json', '10.1.2.3'],
+    ['https://172.20.0.5/token.json', '172.20.0.5'],
+    ['https://192.168.1.10/token.json', '192.168.1.10'],
+    ['https://169.254.169.254/latest/meta-data', '169.254.169.254'],
+    ['https://[::1]/token.json', '::1'],
+    ['https://[fd00::1]/token.json', 'fd00::1'],
+    ['https://[::ffff:127.0.0.1]/token.json', '::ffff:7f00:1']
+  ];
+  for (const [uri, address] of blocked) {
+    assert.deepStrictEqual(await offChain(uri), { error: `non-public address ${address}` });
+  }
+  assert.deepStrictEqual(requested, []);
+});
+
+test('refuses host names that resolve to a non-public address', async () => {
+  const result = await offChain('https://localhost/token.json');
+  assert.match(result.error, /localhost resolves to non-public address (127\.0\.0\.1|::1)/);
+});
+
+test('checks every redirect and gives up after three', async () => {
+  responses.set('https://metadata.example/a.json', { status: 302, location: 'https://169.254.169.254/latest/meta-data' });
+  assert.deepStrictEqual(await offChain('https://metadata.example/a.json'), { error: 'non-public address 169.254.169.254' });
+  
+  responses.set('https://metadata.example/b.json', { status: 301, location: 'http://metadata.example/b.json' });
+  assert.deepStrictEqual(await offChain('https://metadata.example/b.json'), { error: 'http: URIs are not fetched, only https:' });
+  
+  responses.set('https://metadata.example/loop.json', { status: 302, location: 'https://metadata.example/loop.json' });
+  assert.deepStrictEqual(await offChain('https://metadata.example/loop.json'), { error: 'too many redirects' });
+  
+  responses.set('https://metadata.example/old.json', { status: 308, location: '/new.json' });
+  responses.set('https://metadata.example/new.json', { status: 200, body: { name: 'Token' } });
+  assert.deepStrictEqual(await offChain('https://metadata.example/old.json'), { fields: ['name'] });
+});
+
+test('reports HTTP errors and JSON that is not an object', async () => {
+  responses.set('https://metadata.example/missing.json', { status: 404 });
+  responses.set('https://metadata.example/list.json', { status: 200, body: ['name'] });
+  assert.deepStrictEqual(await offChain('https://metadata.example/missing.json'), { error: 'HTTP 404' });
+  assert.deepStrictEqual(await offChain('https://metadata.example/list.json'), { error: 'not a JSON object' });
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const { decodeTransactionError, createTransactionSender } = require('../transaction_sender');
+
+const JUPITER = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+const PAYER = Keypair.generate();
+
+// Signed legacy transaction: a transfer, then an instruction for `programId`
+function signedTransaction(programId = JUPITER) {
+  const transaction = new Transaction().add(
+    SystemProgram.transfer({ fromPubkey: PAYER.publicKey, toPubkey: PAYER.publicKey, lamports: 1 }),
+    { programId: new PublicKey(programId), keys: [], data: Buffer.alloc(0) }
+  );
+  transaction.recentBlockhash = PAYER.publicKey.toBase58();
+  transaction.feePayer = PAYER.publicKey;
+  transaction.sign(PAYER);
+  return transaction;
+}
+
+// statuses: what getSignatureStatuses answers on each poll (the last one repeats)
+function fakeConnection({ statuses = [null], blockHeights = [100], sendError = null, logs = [] } = {}) {
+  const calls = { sent: 0, polls: 0 };
+  return {
+    calls,
+    async sendRawTransaction() {
+      calls.sent++;
+      if (sendError) {
+        throw new Error(sendError);
+      }
+      return 'sig';
+    },
+    async getSignatureStatuses() {
+      const status = statuses[Math.min(calls.polls++, statuses.length - 1)];
+      return { value: [status] };
+    },
+    async getBlockHeight() {
+      return blockHeights.length > 1 ? blockHeights.shift() : blockHeights[0];
+    },
+    async getTransaction() {
+      return { meta: { logMessages: logs } };
+    }
+  };
+}
+
+test('names known custom program errors', () => {
+  const transaction = signedTransaction();
+  assert.deepStrictEqual(decodeTransactionError({ InstructionError: [1, { Custom: 6001 }] }, transaction), {
+    instruction: 1,
+    programId: JUPITER,
+    code: 6001,
+    name: 'SlippageToleranceExceeded',
+    message: `Instruction 1 (${JUPITER}) failed: custom program error 6001 (0x1771) SlippageToleranceExceeded`
+  });
+});
+
+test('leaves unknown custom codes unnamed', () => {
+  const error = decodeTransactionError({ InstructionError: [1, { Custom: 42 }] }, signedTransaction());
+  assert.strictEqual(error.name, null);
+  assert.strictEqual(error.message, `Instruction 1 (${JUPITER}) failed: custom program error 42 (0x2a)`);
+});
+
+test('describes built-in instruction errors', () => {
+  const transaction = signedTransaction();
+  const programId = SystemProgram.programId.toBase58();
+  assert.strictEqual(decodeTransactionError({ InstructionError: [0, 'InsufficientFunds'] }, transaction).message, `Instruction 0 (${programId}) failed: InsufficientFunds`);
+  assert.strictEqual(decodeTransactionError({ InstructionError: [0, { BorshIoError: 'x' }] }, transaction).name, '{"BorshIoError":"x"}');
+  assert.strictEqual(decodeTransactionError({ InstructionError: [7, 'InvalidAccountData'] }, transaction).message, 'Instruction 7 failed: InvalidAccountData');
+});
+
+test('passes transaction-level errors through', () => {
+  assert.deepStrictEqual(decodeTransactionError('BlockhashNotFound', signedTransaction()), {
+    instruction: null,
+    programId: null,
+    code: null,
+    name: 'BlockhashNotFound',
+    message: 'BlockhashNotFound'
+  });
+  assert.strictEqual(decodeTransactionError({ InsufficientFundsForRent: { account_index: 0 } }, signedTransaction()).message, '{"InsufficientFundsForRent":{"account_index":0}}');
+});
+
+test('send rebroadcasts until the transaction confirms', async () => {
+  const connection = fakeConnection({ statuses: [null, null, { slot: 55, err: null, confirmationStatus: 'confirmed' }] });
+  const sender = createTransactionSender({ connection, rebroadcastInterval: 1 });
+  const transaction = signedTransaction();
+  
+  const result = await sender.send(transaction, { lastValidBlockHeight: 200 });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.status, 'confirmed');
+  assert.strictEqual(result.slot, 55);
+  assert.strictEqual(connection.calls.sent, 3);
+});
+
+test('send reports a failed transaction with its decoded error and logs', async () => {
+  const connection = fakeConnection({
+    statuses: [{ slot: 56, err: { InstructionError: [1, { Custom: 6001 }] }, confirmationStatus: 'confirmed' }],
+    logs: ['Program log: Instruction: Route', 'Program log: Error: slippage tolerance exceeded']
+  });
+  const result = await createTransactionSender({ connection, rebroadcastInterval: 1 }).send(signedTransaction(), { lastValidBlockHeight: 200 });
+  
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.programError.name, 'SlippageToleranceExceeded');
+  assert.deepStrictEqual(result.logs, ['Program log: Error: slippage tolerance exceeded']);
+});
+
+test('send gives up once the blockhash has expired', async () => {
+  const connection = fakeConnection({ blockHeights: [150, 201], sendError: 'Node is behind' });
+  const result = await createTransactionSender({ connection, rebroadcastInterval: 1 }).send(signedTransaction(), { lastValidBlockHeight: 200 });
+  
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 'expired');
+  assert.strictEqual(result.error, 'Transaction expired - no RPC accepted it (Node is behind)');
+});
+
+test('simulate reports the units a passing swap consumed', async () => {
+  const connection = { async simulateTransaction() {
+    return { value: { err: null, unitsConsumed: 151000, logs: ['Program log: ok'] } };
+  } };
+  assert.deepStrictEqual(await createTransactionSender({ connection }).simulate(signedTransaction()), {
+    success: true,
+    status: 'simulated',
+    unitsConsumed: 151000,
+    logs: ['Program log: ok']
+  });
+});
+
+test('simulate decodes a failing swap and tells an unreachable RPC apart', async () => {
+  const failing = { async simulateTransaction() {
+    return { value: { err: { InstructionError: [1, { Custom: 6001 }] }, unitsConsumed: 90000, logs: ['Program log: Error: slippage tolerance exceeded'] } };
+  } };
+  const result = await createTransactionSender({ connection: failing }).simulate(signedTransaction());
+  assert.strictEqual(result.status, 'simulation_failed');
+  assert.strictEqual(result.error, `Simulation failed: Instruction 1 (${JUPITER}) failed: custom program error 6001 (0x1771) SlippageToleranceExceeded`);
+  assert.strictEqual(result.unitsConsumed, 90000);
+  
+  const unreachable = { async simulateTransaction() {
+    throw new Error('fetch failed');
+  } };
+  assert.deepStrictEqual(await createTransactionSender({ connection: unreachable }).simulate(signedTransaction()), {
+    success: false,
+    status: 'unavailable',
+    error: 'fetch failed'
+  });
+});
@@ -0,0 +1,100 @@
+// Token-2022 mint extension inspection.
+//
+// Token-2022 mints can carry extensions that turn a token into a trap: a transfer fee that
+// eats every sell, a hook program that can block transfers, a permanent delegate that can move
+// anyone's balance, and so on. The RPC's jsonParsed encoding already decodes them into
+// `parsed.info.extensions` as [{ extension, state }]. Each extension we care about gets a
+// policy from the strategy file: 'reject', 'warn' or 'allow' (transferFee also has maxFeeBps).
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const EXTENSION_POLICIES = ['reject', 'warn', 'allow'];
+
+// Takes the higher of the current and scheduled fee, since the scheduled one can start any epoch
+function getTransferFeeBps(mintInfo) {
+  const config = findExtension(mintInfo, 'transferFeeConfig');
+  if (!config) {
+    return 0;
+  }
+  const fees = [config.olderTransferFee, config.newerTransferFee].filter(Boolean);
+  return Math.max(0, ...fees.map(fee => Number(fee.transferFeeBasisPoints) || 0));
+}
+
+function findExtension(mintInfo, name) {
+  const entry = (mintInfo?.extensions || []).find(extension => extension.extension === name);
+  return entry ? entry.state || {} : null;
+}
+
+// Each check returns a description when the extension is present and active, otherwise null
+const EXTENSION_CHECKS = {
+  transferFee(mintInfo) {
+    if (!findExtension(mintInfo, 'transferFeeConfig')) {
+      return null;
+    }
+    const feeBps = getTransferFeeBps(mintInfo);
+    return feeBps > 0 ? `${(feeBps / 100).toFixed(2)}% transfer fee` : null;
+  },
+  transferHook(mintInfo) {
+    const hook = findExtension(mintInfo, 'transferHook');
+    return hook && hook.programId ? `Transfer hook program ${hook.programId}` : null;
+  },
+  permanentDelegate(mintInfo) {
+    const delegate = findExtension(mintInfo, 'permanentDelegate');
+    return delegate && delegate.delegate ? `Permanent delegate ${delegate.delegate}` : null;
+  },
+  nonTransferable(mintInfo) {
+    return findExtension(mintInfo, 'nonTransferable') ? 'Non-transferable' : null;
+  },
+  defaultAccountState(mintInfo) {
+    const state = findExtension(mintInfo, 'defaultAccountState');
+    return state && state.accountState === 'frozen' ? 'New token accounts start frozen' : null;
+  },
+  confidentialTransfers(mintInfo) {
+    return findExtension(mintInfo, 'confidentialTransferMint') ? 'Confidential transfers enabled' : null;
+  }
+};
+
+// accountInfo: the mint's parsed account ({ owner, data: { parsed: { info } } })
+// policies: { <extension>: { policy, maxFeeBps } } - extensions without a policy are rejected
+// Returns { passed, reason, details, program, extensions, warnings, transferFeeBps }
+function inspectTokenExtensions(accountInfo, policies = {}) {
+  const program = String(accountInfo.owner) === TOKEN_2022_PROGRAM_ID ? 'token-2022' : 'token';
+  if (program === 'token') {
+    return { passed: true, details: 'Classic SPL token', program, extensions: [], warnings: [], transferFeeBps: 0 };
+  }
+  
+  const mintInfo = accountInfo.data?.parsed?.info;
+  const transferFeeBps = getTransferFeeBps(mintInfo);
+  const extensions = [];
+  const warnings = [];
+  
+  for (const [name, check] of Object.entries(EXTENSION_CHECKS)) {
+    const description = check(mintInfo);
+    if (!description) {
+      continue;
+    }
+    
+    const { policy = 'reject', maxFeeBps } = policies[name] || {};
+    extensions.push({ name, policy, description });
+    
+    const overFeeCap = name === 'transferFee' && maxFeeBps !== undefined && transferFeeBps > maxFeeBps;
+    if (policy === 'reject' || overFeeCap) {
+      const reason = overFeeCap ? `${description} above the ${(maxFeeBps / 100).toFixed(2)}% cap` : description;
+      return { passed: false, reason: `Token-2022: ${reason}`, program, extensions, warnings, transferFeeBps };
+    }
+    if (policy === 'warn') {
+      warnings.push(description);
+    }
+  }
+  
+  const details = extensions.length > 0
+    ? `Token-2022 with ${extensions.map(extension => extension.description).join(', ')}`
+    : 'Token-2022 with no risky extensions';
+  return { passed: true, details, program, extensions, warnings, transferFeeBps };
+}
+
+module.exports = {
+  TOKEN_2022_PROGRAM_ID,
+  EXTENSION_POLICIES,
+  EXTENSION_CHECKS,
+  getTransferFeeBps,
+  inspectTokenExtensions
+};
@@ -0,0 +1,254 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID } = require('./token_extensions');
+
+// Token metadata inspection.
+//
+// A metadata snapshot is { source, address, updateAuthority, isMutable, name, symbol, uri, offChain }.
+// `source` is 'metaplex' for the Token Metadata program's account, or 'token-2022' when the mint
+// carries its own metadata extension. `offChain` describes the JSON at `uri`: { fields } with the
+// keys that have a non-empty value, or { error } when it couldn't be fetched or parsed.
+const METADATA_PROGRAM_ID = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+const METADATA_PROGRAM = new PublicKey(METADATA_PROGRAM_ID);
+const URI_FETCH_TIMEOUT = 5000;
+const MAX_URI_BYTES = 1024 * 1024;
+const MAX_URI_REDIRECTS = 3;
+
+// The URI is picked by the token's creator, so it may only point at public HTTPS hosts - never at
+// this machine, the local network or a cloud metadata endpoint such as 169.254.169.254
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Metaplex metadata layout: key (u8), update authority (32), mint (32), then borsh strings
+// (u32 length + bytes, zero-padded) for name, symbol and uri, seller fee (u16), optional
+// creators (34 bytes each), primary sale (bool) and is mutable (bool)
+const UPDATE_AUTHORITY_OFFSET = 1;
+const NAME_OFFSET = 65;
+const CREATOR_SIZE = 34;
+
+function getMetadataAddress(tokenMint) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM.toBuffer(), new PublicKey(tokenMint).toBuffer()],
+    METADATA_PROGRAM
+  )[0];
+}
+
+function decodeMetaplexMetadata(data) {
+  let offset = NAME_OFFSET;
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8');
+    offset += 4 + length;
+    return value.replace(/\0/g, '').trim();
+  };
+  
+  const name = readString();
+  const symbol = readString();
+  const uri = readString();
+  offset += 2; // seller fee basis points
+  if (data[offset++] === 1) {
+    offset += 4 + data.readUInt32LE(offset) * CREATOR_SIZE;
+  }
+  offset += 1; // primary sale happened
+  
+  return {
+    updateAuthority: new PublicKey(data.subarray(UPDATE_AUTHORITY_OFFSET, UPDATE_AUTHORITY_OFFSET + 32)).toBase58(),
+    isMutable: data[offset] === 1,
+    name,
+    symbol,
+    uri
+  };
+}
+
+// Gateways for the storage schemes launchpads commonly use
+function resolveUri(uri) {
+  if (uri.startsWith('ipfs://')) {
+    return `https://ipfs.io/ipfs/${uri.slice('ipfs://'.length)}`;
+  }
+  if (uri.startsWith('ar://')) {
+    return `https://arweave.net/${uri.slice('ar://'.length)}`;
+  }
+  return uri;
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+function isPublicAddress(address) {
+  return !BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that fails for hosts resolving to a non-public address. Checking at connect time,
+// not before the fetch, means a host can't pass the check and then resolve elsewhere.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const uriAgent = new https.Agent({ lookup: publicLookup });
+
+// Returns an error message for a URL the metadata fetch must not follow, or null
+function checkUriTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'invalid URI';
+  }
+  if (parsed.protocol !== 'https:') {
+    return `${parsed.protocol} URIs are not fetched, only https:`;
+  }
+  // Literal IPs never reach the lookup above
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    return `non-public address ${host}`;
+  }
+  return null;
+}
+
+// Follows redirects by hand so every hop goes through checkUriTarget
+async function fetchPublicUri(uri) {
+  let url = resolveUri(uri);
+  for (let redirects = 0; ; redirects++) {
+    const blocked = checkUriTarget(url);
+    if (blocked) {
+      throw new Error(blocked);
+    }
+    const response = await fetch(url, { agent: uriAgent, redirect: 'manual', timeout: URI_FETCH_TIMEOUT, size: MAX_URI_BYTES });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    if (redirects >= MAX_URI_REDIRECTS) {
+      throw new Error('too many redirects');
+    }
+    url = new URL(location, url).toString();
+  }
+}
+
+async function fetchOffChainMetadata(uri) {
+  try {
+    const response = await fetchPublicUri(uri);
+    if (!response.ok) {
+      return { error: `HTTP ${response.status}` };
+    }
+    const json = await response.json();
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      return { error: 'not a JSON object' };
+    }
+    const fields = Object.keys(json).filter(key => json[key] !== null && json[key] !== '');
+    return { fields };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// mintAccount: the mint's parsed account ({ owner, data: { parsed: { info } } })
+// Returns null when the token has no metadata at all
+async function fetchMetadataSnapshot(connection, tokenMint, mintAccount) {
+  let metadata = null;
+  
+  const extension = String(mintAccount.owner) === TOKEN_2022_PROGRAM_ID &&
+    (mintAccount.data?.parsed?.info?.extensions || []).find(entry => entry.extension === 'tokenMetadata');
+  if (extension) {
+    const state = extension.state || {};
+    metadata = {
+      source: 'token-2022',
+      address: tokenMint,
+      updateAuthority: state.updateAuthority || null,
+      isMutable: Boolean(state.updateAuthority),
+      name: (state.name || '').trim(),
+      symbol: (state.symbol || '').trim(),
+      uri: (state.uri || '').trim()
+    };
+  } else {
+    const address = getMetadataAddress(tokenMint);
+    const account = await connection.getAccountInfo(address);
+    if (!account || !account.owner.equals(METADATA_PROGRAM)) {
+      return null;
+    }
+    metadata = { source: 'metaplex', address: address.toBase58(), ...decodeMetaplexMetadata(account.data) };
+  }
+  
+  const offChain = metadata.uri ? await fetchOffChainMetadata(metadata.uri) : null;
+  return { ...metadata, offChain };
+}
+
+function normalizeName(value) {
+  return (value || '').replace(/\0/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// listed: { name, symbol } as the market data provider reports them, or null to skip the comparison
+// limits: { requireImmutable, trustedUpdateAuthorities, requireNameMatch, requiredUriFields }
+// Returns { passed, reason, details, source, updateAuthority, isMutable, warnings }
+function analyzeTokenMetadata(snapshot, listed, limits = {}) {
+  const warnings = [];
+  const result = () => {
+    const authority = snapshot.isMutable ? `mutable by ${snapshot.updateAuthority}` : 'immutable';
+    return {
+      details: `"${snapshot.name}" (${snapshot.symbol}), ${authority}`,
+      source: snapshot.source,
+      updateAuthority: snapshot.updateAuthority,
+      isMutable: snapshot.isMutable,
+      warnings
+    };
+  };
+  const fail = reason => ({ passed: false, reason, ...result() });
+  
+  if (snapshot.isMutable && !(limits.trustedUpdateAuthorities || []).includes(snapshot.updateAuthority)) {
+    if (limits.requireImmutable) {
+      return fail(`Metadata is mutable (update authority ${snapshot.updateAuthority})`);
+    }
+    warnings.push(`Update authority ${snapshot.updateAuthority} can change the metadata`);
+  }
+  
+  if (listed) {
+    const mismatches = ['name', 'symbol'].filter(field => listed[field] && normalizeName(listed[field]) !== normalizeName(snapshot[field]));
+    if (mismatches.length > 0) {
+      const mismatch = mismatches.map(field => `${field} "${snapshot[field]}" vs listed "${listed[field]}"`).join(', ');
+      if (limits.requireNameMatch) {
+        return fail(`On-chain ${mismatch}`);
+      }
+      warnings.push(`On-chain ${mismatch}`);
+    }
+  }
+  
+  const requiredFields = limits.requiredUriFields || [];
+  if (requiredFields.length > 0) {
+    if (!snapshot.uri) {
+      return fail('Metadata has no URI');
+    }
+    if (!snapshot.offChain || snapshot.offChain.error) {
+      return fail(`Metadata URI ${snapshot.uri} unreadable: ${snapshot.offChain ? snapshot.offChain.error : 'not fetched'}`);
+    }
+    const missing = requiredFields.filter(field => !snapshot.offChain.fields.includes(field));
+    if (missing.length > 0) {
+      return fail(`Metadata JSON is missing ${missing.join(', ')}`);
+    }
+  }
+  
+  return { passed: true, ...result() };
+}
+
+module.exports = {
+  METADATA_PROGRAM_ID,
+  getMetadataAddress,
+  fetchMetadataSnapshot,
+  analyzeTokenMetadata
+};
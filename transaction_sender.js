@@ -0,0 +1,222 @@
+const bs58 = require('bs58');
+const { Connection, VersionedTransaction } = require('@solana/web3.js');
+const { RAYDIUM_AMM_PROGRAM_ID } = require('./raydium_pools');
+
+// Sends signed transactions until they land or their blockhash expires.
+//
+// A transaction is broadcast to the main RPC and every extra endpoint at once, then again every
+// rebroadcast interval while its signature status is polled. RPC nodes drop transactions under
+// load, so resending is what gets a snipe through congestion; the network deduplicates by
+// signature, so the copies can never execute twice. Once the block height passes the blockhash's
+// lastValidBlockHeight the transaction can no longer land, and it is reported as expired.
+// simulate() runs a signed transaction against the current bank first, so a swap that would fail
+// is never broadcast and its fee never paid. It resolves to one of:
+//   { success: true,  status: 'simulated',         unitsConsumed, logs }
+//   { success: false, status: 'simulation_failed', unitsConsumed, error, programError, logs }
+//   { success: false, status: 'unavailable',       error } - the RPC could not simulate
+// send() resolves to one of:
+//   { success: true,  status: 'confirmed', signature, slot }
+//   { success: false, status: 'failed',    signature, slot, error, programError, logs }
+//   { success: false, status: 'expired',   signature, error }
+//   { success: false, status: 'unknown',   signature, error } - the RPC stopped answering, so the
+//     outcome could not be told; never safe to retry
+const DEFAULT_REBROADCAST_INTERVAL = 2000;
+const BLOCKHASH_VALIDITY_BLOCKS = 150;
+const MAX_SEND_DURATION = 180000; // 150 blocks take about a minute; this only catches a dead RPC
+const LOG_LINES_KEPT = 20;
+
+// Custom error codes worth naming in a failure report, by program id
+const KNOWN_PROGRAM_ERRORS = {
+  JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4: { 6001: 'SlippageToleranceExceeded', 6008: 'NotEnoughAccountKeys', 6017: 'ExactOutAmountNotMatched' },
+  [RAYDIUM_AMM_PROGRAM_ID]: { 30: 'ExceededSlippage', 40: 'InsufficientFunds' },
+  TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: { 1: 'InsufficientFunds', 4: 'OwnerMismatch', 17: 'AccountFrozen' }
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getSignature(transaction) {
+  return bs58.encode(transaction.signatures[0].signature || transaction.signatures[0]);
+}
+
+function getInstructionProgramId(transaction, index) {
+  const message = transaction.message;
+  if (message && message.compiledInstructions) {
+    const instruction = message.compiledInstructions[index];
+    return instruction ? message.staticAccountKeys[instruction.programIdIndex].toString() : null;
+  }
+  const instruction = transaction.instructions && transaction.instructions[index];
+  return instruction ? instruction.programId.toString() : null;
+}
+
+// Turns a transaction error such as { InstructionError: [3, { Custom: 6001 }] } into
+// { instruction, programId, code, name, message }
+function decodeTransactionError(err, transaction) {
+  if (typeof err === 'string') {
+    return { instruction: null, programId: null, code: null, name: err, message: err };
+  }
+  if (!err || !err.InstructionError) {
+    return { instruction: null, programId: null, code: null, name: null, message: JSON.stringify(err) };
+  }
+  
+  const [instruction, detail] = err.InstructionError;
+  const programId = getInstructionProgramId(transaction, instruction);
+  const code = detail && detail.Custom !== undefined ? detail.Custom : null;
+  const name = code !== null
+    ? (KNOWN_PROGRAM_ERRORS[programId] || {})[code] || null
+    : typeof detail === 'string' ? detail : JSON.stringify(detail);
+  const described = code !== null ? `custom program error ${code} (0x${code.toString(16)})${name ? ` ${name}` : ''}` : name;
+  return {
+    instruction,
+    programId,
+    code,
+    name,
+    message: `Instruction ${instruction}${programId ? ` (${programId})` : ''} failed: ${described}`
+  };
+}
+
+// The lines that explain a failure: program error messages, or the tail of the log
+function summarizeLogs(logs) {
+  const errors = logs.filter(line => /error|failed|insufficient|slippage/i.test(line));
+  return (errors.length > 0 ? errors : logs).slice(-LOG_LINES_KEPT);
+}
+
+// connection: the main RPC, also used for status polling. broadcastEndpoints: extra RPC URLs
+// the transaction is sent to as well.
+function createTransactionSender({ connection, broadcastEndpoints = [], rebroadcastInterval = DEFAULT_REBROADCAST_INTERVAL }) {
+  const connections = [connection, ...broadcastEndpoints.map(url => new Connection(url, { commitment: 'confirmed' }))];
+  
+  // Resolves to { accepted, error }: how many endpoints took the transaction, and why one didn't
+  async function broadcast(raw) {
+    const results = await Promise.allSettled(connections.map(target => target.sendRawTransaction(raw, {
+      skipPreflight: true,
+      maxRetries: 0
+    })));
+    const rejected = results.find(result => result.status === 'rejected');
+    return {
+      accepted: results.filter(result => result.status === 'fulfilled').length,
+      error: rejected ? rejected.reason.message : null
+    };
+  }
+  
+  async function fetchLogs(signature) {
+    try {
+      const confirmed = await connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      return confirmed?.meta?.logMessages || [];
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  // Returns the signature status once the transaction is confirmed or failed, otherwise null
+  async function checkStatus(signature) {
+    const { value } = await connection.getSignatureStatuses([signature]);
+    const status = value[0];
+    if (status && (status.err || status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+      return status;
+    }
+    return null;
+  }
+  
+  async function simulate(transaction) {
+    let value;
+    try {
+      // A legacy transaction gets a fresh blockhash for the simulation, so its signature is not checked
+      ({ value } = transaction instanceof VersionedTransaction
+        ? await connection.simulateTransaction(transaction, { sigVerify: false, commitment: 'confirmed' })
+        : await connection.simulateTransaction(transaction));
+    } catch (error) {
+      return { success: false, status: 'unavailable', error: error.message };
+    }
+    
+    const logs = value.logs || [];
+    if (!value.err) {
+      return { success: true, status: 'simulated', unitsConsumed: value.unitsConsumed ?? null, logs };
+    }
+    const programError = decodeTransactionError(value.err, transaction);
+    return {
+      success: false,
+      status: 'simulation_failed',
+      unitsConsumed: value.unitsConsumed ?? null,
+      error: `Simulation failed: ${programError.message}`,
+      programError,
+      logs: summarizeLogs(logs)
+    };
+  }
+  
+  async function settle(transaction, signature, status) {
+    if (!status.err) {
+      return { success: true, status: 'confirmed', signature, slot: status.slot };
+    }
+    const programError = decodeTransactionError(status.err, transaction);
+    return {
+      success: false,
+      status: 'failed',
+      signature,
+      slot: status.slot,
+      error: `Transaction failed: ${programError.message}`,
+      programError,
+      logs: summarizeLogs(await fetchLogs(signature))
+    };
+  }
+  
+  // transaction: signed legacy or versioned transaction. lastValidBlockHeight: of its blockhash;
+  // when unknown, the blockhash is assumed to be fresh.
+  async function send(transaction, { lastValidBlockHeight = null, rebroadcastInterval: interval = rebroadcastInterval } = {}) {
+    const signature = getSignature(transaction);
+    const raw = transaction.serialize();
+    const expiresAfter = lastValidBlockHeight ?? await connection.getBlockHeight('confirmed') + BLOCKHASH_VALIDITY_BLOCKS;
+    
+    const deadline = Date.now() + MAX_SEND_DURATION;
+    let { accepted, error: lastError } = await broadcast(raw);
+    while (true) {
+      await sleep(interval);
+      if (Date.now() > deadline) {
+        return { success: false, status: 'unknown', signature, error: `No confirmation or expiry seen${lastError ? ` (${lastError})` : ''} - check ${signature} before retrying` };
+      }
+      try {
+        const status = await checkStatus(signature);
+        if (status) {
+          return settle(transaction, signature, status);
+        }
+        
+        if (await connection.getBlockHeight('confirmed') > expiresAfter) {
+          // It may have landed in the last few blocks
+          const finalStatus = await checkStatus(signature);
+          if (finalStatus) {
+            return settle(transaction, signature, finalStatus);
+          }
+          return {
+            success: false,
+            status: 'expired',
+            signature,
+            error: accepted > 0
+              ? `Transaction expired unconfirmed (blockhash valid until block ${expiresAfter})`
+              : `Transaction expired - no RPC accepted it${lastError ? ` (${lastError})` : ''}`
+          };
+        }
+      } catch (error) {
+        // A flaky status poll is not a verdict; keep going until the blockhash expires
+        lastError = error.message;
+      }
+      const resent = await broadcast(raw);
+      accepted += resent.accepted;
+      lastError = resent.error || lastError;
+    }
+  }
+  
+  return {
+    endpoints: connections.length,
+    simulate,
+    send
+  };
+}
+
+module.exports = {
+  decodeTransactionError,
+  createTransactionSender
+};